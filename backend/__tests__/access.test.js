@@ -0,0 +1,215 @@
+/**
+ * Tests for role-based access control: route scopes, metadata redaction for the support role and
+ * the admin-only log deletion and retention routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createAccessControl, requiredScope } = require('../access');
+const { createApiKeyStore } = require('../apiKeys');
+const { createRedactor } = require('../lib/redaction');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const entry = (level, resourceId, message, metadata = {}) => ({
+  level,
+  message,
+  resourceId,
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: '5e5342f',
+  metadata
+});
+
+describe('redaction', () => {
+  const { redactLog, findRedactedFilter } = createRedactor(['userId', 'clientIP']);
+
+  test('should mask denylisted metadata at any depth and in any case', () => {
+    const log = entry('info', 'auth-service-01', 'Login ok', { userId: 'u-42', clientIp: '10.0.0.1', session: { userId: 'u-42', ttl: 60 }, region: 'eu' });
+    expect(redactLog(log).metadata).toEqual({ userId: '[REDACTED]', clientIp: '[REDACTED]', session: { userId: '[REDACTED]', ttl: 60 }, region: 'eu' });
+    expect(log.metadata.userId).toBe('u-42');
+  });
+
+  test('should drop search highlights inside masked fields', () => {
+    const log = { ...entry('info', 'a', 'u-42 logged in', { userId: 'u-42' }), match: { score: 1, highlights: { message: [[0, 4]], 'metadata.userId': [[0, 4]] } } };
+    expect(redactLog(log).match).toEqual({ score: 1, highlights: { message: [[0, 4]] } });
+  });
+
+  test('should find filters on masked fields', () => {
+    expect(findRedactedFilter({ 'metadata.userId': 'u-42' })).toBe('metadata.userId');
+    expect(findRedactedFilter({ 'metadata.session.userid:exists': '' })).toBe('metadata.session.userid');
+    expect(findRedactedFilter({ q: 'level:error AND metadata.clientIP:"10.0.0.1"' })).toBe('metadata.clientIP');
+    expect(findRedactedFilter({ 'metadata.region': 'eu', q: 'metadata.retryCount > 2', level: 'error' })).toBeNull();
+  });
+});
+
+describe('requiredScope', () => {
+
+  test('should map every route to a scope', () => {
+    expect(requiredScope('GET', '/health')).toBeNull();
+    expect(requiredScope('POST', '/logs')).toBe('ingest');
+    expect(requiredScope('POST', '/logs/batch')).toBe('ingest');
+    expect(requiredScope('GET', '/logs/01HV0000000000000000000000')).toBe('query');
+    expect(requiredScope('HEAD', '/traces/trace-001')).toBe('query');
+    expect(requiredScope('GET', '/alerts')).toBe('query');
+    expect(requiredScope('GET', '/alerts/rules')).toBe('admin');
+    expect(requiredScope('DELETE', '/logs/01HV0000000000000000000000')).toBe('admin');
+    expect(requiredScope('PUT', '/retention')).toBe('admin');
+    expect(requiredScope('POST', '/retention/sweep')).toBe('admin');
+    // Routes missing from the table are admin-only
+    expect(requiredScope('GET', '/logsx')).toBe('admin');
+  });
+});
+
+describe('socket access', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-access-'));
+    store = createApiKeyStore({ dir: tmpDir });
+    await store.init();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const connect = (accessControl, handshake) => {
+    const socket = { handshake: { auth: {}, headers: {}, ...handshake }, data: {} };
+    let result;
+    accessControl.socketMiddleware(socket, (error) => { result = error || null; });
+    return { socket, error: result };
+  };
+
+  test('should authenticate live feed sockets with the query scope', async () => {
+    const { key: queryKey } = await store.createKey({ name: 'Auth dashboard', scopes: ['query'], resourceIds: ['auth-service-*'] });
+    const { key: ingestKey } = await store.createKey({ name: 'CI', scopes: ['ingest'], resourceIds: null });
+    const accessControl = createAccessControl({ store, enabled: true });
+
+    const { socket, error } = connect(accessControl, { auth: { apiKey: queryKey } });
+    expect(error).toBeNull();
+    expect(socket.data.access.allowsResource('auth-service-02')).toBe(true);
+    expect(socket.data.access.allowsResource('db-server-01')).toBe(false);
+
+    expect(connect(accessControl, { headers: { 'x-api-key': queryKey } }).error).toBeNull();
+    expect(connect(accessControl, {}).error.message).toBe('API key required');
+    expect(connect(accessControl, { auth: { apiKey: ingestKey } }).error.message).toBe('Invalid API key or missing query scope');
+  });
+
+  test('should give support sockets redacted access', async () => {
+    const { key } = await store.createKey({ name: 'Support', role: 'support', scopes: ['query'], resourceIds: null });
+    const accessControl = createAccessControl({ store, enabled: true, redactedMetadata: ['userId'] });
+
+    const { access } = connect(accessControl, { auth: { apiKey: key } }).socket.data;
+    expect(access).toMatchObject({ role: 'support', redacted: true });
+    expect(access.redactLog(entry('info', 'a', 'Login ok', { userId: 'u-42' })).metadata).toEqual({ userId: '[REDACTED]' });
+
+    const open = connect(createAccessControl({ store, enabled: false }), {}).socket.data.access;
+    expect(open.redacted).toBe(false);
+  });
+});
+
+describe('role-based routes', () => {
+  let tmpDir;
+  let app;
+  let keys;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-access-routes-'));
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    process.env.AUTH_ENABLED = 'true';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+
+    keys = { admin: ADMIN_KEY };
+    for (const role of ['engineer', 'support']) {
+      const res = await request(app).post('/api-keys').set('X-API-Key', ADMIN_KEY).send({ name: role, role });
+      keys[role] = res.body.key;
+    }
+    await request(app).post('/logs/batch').set('X-API-Key', ADMIN_KEY).send([
+      entry('error', 'auth-service-01', 'Login failed', { userId: 'u-42', clientIP: '10.0.0.1', attempt: 3 }),
+      entry('debug', 'auth-service-01', 'Token cache miss', { region: 'eu' })
+    ]);
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_ENABLED;
+    delete process.env.ADMIN_API_KEY;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const as = (role, req) => req.set('X-API-Key', keys[role]);
+
+  test('should mask denylisted metadata for the support role only', async () => {
+    const [supportView] = (await as('support', request(app).get('/logs').query({ level: 'error' }))).body;
+    expect(supportView.metadata).toEqual({ userId: '[REDACTED]', clientIP: '[REDACTED]', attempt: 3 });
+
+    const [engineerView] = (await as('engineer', request(app).get('/logs').query({ level: 'error' }))).body;
+    expect(engineerView.metadata).toEqual({ userId: 'u-42', clientIP: '10.0.0.1', attempt: 3 });
+
+    // Every route that returns logs goes through the same layer
+    expect((await as('support', request(app).get(`/logs/${supportView.id}`))).body.metadata.userId).toBe('[REDACTED]');
+    const page = await as('support', request(app).get('/logs').query({ limit: 1, level: 'error' }));
+    expect(page.body.items[0].metadata.clientIP).toBe('[REDACTED]');
+    const trace = await as('support', request(app).get('/traces/trace-001'));
+    expect(JSON.stringify(trace.body)).not.toContain('u-42');
+  });
+
+  test('should not let the support role filter or search on masked fields', async () => {
+    const filtered = await as('support', request(app).get('/logs').query({ 'metadata.userId': 'u-42' }));
+    expect(filtered).toMatchObject({ status: 403, body: { error: 'Filtering on redacted field metadata.userId is not allowed' } });
+    expect((await as('support', request(app).get('/logs/stats').query({ q: 'metadata.clientIP:"10.0.0.1"' }))).status).toBe(403);
+
+    expect((await as('support', request(app).get('/logs').query({ search: 'u-42' }))).body).toEqual([]);
+    expect((await as('engineer', request(app).get('/logs').query({ search: 'u-42' }))).body).toHaveLength(1);
+    expect((await as('support', request(app).get('/logs').query({ search: 'login' }))).body).toHaveLength(1);
+  });
+
+  test('should keep management routes for admins', async () => {
+    const [log] = (await as('engineer', request(app).get('/logs').query({ level: 'error' }))).body;
+
+    expect((await as('engineer', request(app).delete(`/logs/${log.id}`))).status).toBe(403);
+    expect((await as('support', request(app).post('/logs').send(entry('info', 'a', 'x')))).status).toBe(403);
+    expect((await as('engineer', request(app).put('/retention').send({ maxLogs: 10 }))).status).toBe(403);
+    expect((await as('engineer', request(app).get('/api-keys'))).status).toBe(403);
+
+    expect((await as('admin', request(app).delete(`/logs/${log.id}`))).status).toBe(204);
+    expect((await as('admin', request(app).delete(`/logs/${log.id}`))).status).toBe(404);
+    expect((await as('engineer', request(app).get('/logs').query({ search: 'login' }))).body).toEqual([]);
+  });
+
+  test('should delete logs by filter', async () => {
+    expect((await as('admin', request(app).delete('/logs'))).body).toEqual({ error: 'DELETE /logs needs at least one filter' });
+    // Filters that would not narrow the result are refused rather than deleting everything
+    const refused = async (query) => (await as('admin', request(app).delete('/logs').query(query))).body.error;
+    expect(await refused({ level: '' })).toBe('Filter level needs a value');
+    expect(await refused({ resourceid: 'auth-service-01' })).toBe('Unknown filter resourceid');
+    expect(await refused({ level: 'debug', timestamp_start: 'yesterday' })).toBe('Invalid timestamp_start, expected an ISO 8601 timestamp');
+    expect(await refused({ search: '!!' })).toBe('DELETE /logs needs at least one filter');
+    expect(await refused({ 'metadata.region:exists': 'maybe' })).toMatch(/^Invalid metadata filter/);
+    expect((await as('engineer', request(app).get('/logs'))).body).toHaveLength(2);
+
+    expect((await as('admin', request(app).delete('/logs').query({ level: 'debug' }))).body).toEqual({ deleted: 1 });
+    expect((await as('engineer', request(app).get('/logs'))).body.map(log => log.level)).toEqual(['error']);
+  });
+
+  test('should let admins manage retention', async () => {
+    const updated = await as('admin', request(app).put('/retention').send({ maxLogs: 1, rules: [{ level: 'debug', maxAge: '1d' }] }));
+    expect(updated.status).toBe(200);
+    expect(updated.body).toEqual({ maxLogs: 1, rules: [{ name: 'level=debug maxAge=1d', level: 'debug', maxAge: '1d' }] });
+    expect((await as('admin', request(app).put('/retention').send({ rules: [{ level: 'debug' }] }))).status).toBe(400);
+
+    const run = await as('admin', request(app).post('/retention/sweep'));
+    expect(run.body).toMatchObject({ scanned: 2, pruned: 1 });
+    expect((await as('engineer', request(app).get('/retention'))).body.policy.maxLogs).toBe(1);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for alert rules: sliding windows, cooldowns, persistence and the /alerts routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createAlertEngine, parseRule } = require('../alerts');
+
+const entry = (level, resourceId, message) => ({
+  level,
+  message,
+  resourceId,
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: '5e5342f',
+  metadata: {}
+});
+
+let nextId = 0;
+const stored = (level, resourceId, message) => ({ id: String(++nextId), ...entry(level, resourceId, message) });
+
+const dbErrors = { name: 'DB errors', filters: { level: 'error', resourceId: 'db-server-*' }, threshold: 5, window: '2m', cooldown: '10m' };
+
+describe('parseRule', () => {
+
+  test('should fill in defaults', () => {
+    expect(parseRule({ name: 'Disk', filters: { message: '/Disk space at 9\\d%/' } })).toEqual({
+      valid: true,
+      rule: { name: 'Disk', filters: { message: '/Disk space at 9\\d%/' }, threshold: 0, window: '1m', cooldown: '5m', enabled: true }
+    });
+  });
+
+  test('should reject invalid rules', () => {
+    expect(parseRule({ filters: {} }).error).toBe('Alert rule needs a name');
+    expect(parseRule({ name: 'x', threshold: -1 }).error).toBe('threshold must be a non-negative integer');
+    expect(parseRule({ name: 'x', window: 'soon' }).error).toMatch(/^Invalid duration "soon"/);
+    expect(parseRule({ name: 'x', filters: { message: '/(a+)+/' } }).error).toMatch(/pattern rejected/);
+    expect(parseRule({ name: 'x', filters: { search: 'disk' } }).valid).toBe(false);
+  });
+});
+
+describe('alert engine', () => {
+  let tmpDir;
+  let engine;
+  let emitted;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-alerts-'));
+    emitted = [];
+    engine = createAlertEngine({ dir: tmpDir, onAlert: alert => emitted.push(alert) });
+    await engine.init();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should fire when more than threshold logs match within the window', async () => {
+    await engine.createRule(parseRule(dbErrors).rule);
+    const start = Date.parse('2024-01-01T10:00:00Z');
+
+    // Five matching errors, plus noise from other resources and levels
+    for (let i = 0; i < 5; i++) {
+      expect(await engine.evaluate([stored('error', 'db-server-01', 'Query failed'), stored('error', 'app-server-01', 'Boom')], start + i * 10000)).toEqual([]);
+    }
+    await engine.evaluate([stored('warn', 'db-server-01', 'Slow query')], start + 50000);
+
+    const [alert] = await engine.evaluate([stored('error', 'db-server-02', 'Query failed')], start + 60000);
+    expect(alert).toMatchObject({
+      ruleName: 'DB errors',
+      count: 6,
+      threshold: 5,
+      window: '2m',
+      resourceIds: ['db-server-01', 'db-server-02'],
+      message: 'DB errors: 6 matching logs within 2m (threshold 5)'
+    });
+    expect(alert.logIds).toHaveLength(6);
+    expect(emitted).toEqual([alert]);
+  });
+
+  test('should forget matches that slid out of the window', async () => {
+    await engine.createRule(parseRule(dbErrors).rule);
+    const start = Date.parse('2024-01-01T10:00:00Z');
+
+    for (let i = 0; i < 6; i++) {
+      // One error every 30 seconds: never more than 4 inside a 2 minute window
+      expect(await engine.evaluate([stored('error', 'db-server-01', 'Query failed')], start + i * 30000)).toEqual([]);
+    }
+  });
+
+  test('should stay quiet during the cooldown', async () => {
+    await engine.createRule(parseRule({ name: 'Disk', filters: { message: '/Disk space at 9\\d%/' }, cooldown: '10m' }).rule);
+    const start = Date.parse('2024-01-01T10:00:00Z');
+
+    expect(await engine.evaluate([stored('warn', 'storage-01', 'Disk space at 85%')], start)).toEqual([]);
+    expect(await engine.evaluate([stored('warn', 'storage-01', 'Disk space at 91%')], start)).toHaveLength(1);
+    expect(await engine.evaluate([stored('warn', 'storage-01', 'Disk space at 93%')], start + 60000)).toEqual([]);
+    expect(await engine.evaluate([stored('warn', 'storage-01', 'Disk space at 95%')], start + 11 * 60000)).toHaveLength(1);
+  });
+
+  test('should skip disabled rules and reset state on update', async () => {
+    const rule = await engine.createRule(parseRule({ ...dbErrors, threshold: 1 }).rule);
+    const start = Date.parse('2024-01-01T10:00:00Z');
+    await engine.evaluate([stored('error', 'db-server-01', 'Query failed')], start);
+
+    await engine.updateRule(rule.id, parseRule({ ...dbErrors, threshold: 1, enabled: false }).rule);
+    expect(await engine.evaluate([stored('error', 'db-server-01', 'Query failed')], start + 1000)).toEqual([]);
+
+    await engine.updateRule(rule.id, parseRule({ ...dbErrors, threshold: 1 }).rule);
+    expect(await engine.evaluate([stored('error', 'db-server-01', 'Query failed')], start + 2000)).toEqual([]);
+    expect(await engine.evaluate([stored('error', 'db-server-01', 'Query failed')], start + 3000)).toHaveLength(1);
+  });
+
+  test('should persist rules and fired alerts', async () => {
+    const rule = await engine.createRule(parseRule({ name: 'Any error', filters: { level: 'error' } }).rule);
+    await engine.evaluate([stored('error', 'db-server-01', 'Query failed')]);
+
+    const reloaded = createAlertEngine({ dir: tmpDir });
+    await reloaded.init();
+    expect(reloaded.listRules()).toEqual([rule]);
+    expect(reloaded.listAlerts().map(alert => alert.ruleId)).toEqual([rule.id]);
+  });
+});
+
+describe('alert routes', () => {
+  let tmpDir;
+  let app;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-alert-routes-'));
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should create, read, update and delete rules', async () => {
+    const created = await request(app).post('/alerts/rules').send(dbErrors);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ ...dbErrors, enabled: true });
+
+    const { id } = created.body;
+    expect((await request(app).get('/alerts/rules')).body).toEqual([created.body]);
+    expect((await request(app).get(`/alerts/rules/${id}`)).body).toEqual(created.body);
+
+    const updated = await request(app).put(`/alerts/rules/${id}`).send({ ...dbErrors, threshold: 10 });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ id, threshold: 10, createdAt: created.body.createdAt });
+
+    expect((await request(app).delete(`/alerts/rules/${id}`)).status).toBe(204);
+    expect((await request(app).get(`/alerts/rules/${id}`)).status).toBe(404);
+    expect((await request(app).put(`/alerts/rules/${id}`).send(dbErrors)).status).toBe(404);
+  });
+
+  test('should reject invalid rules', async () => {
+    const res = await request(app).post('/alerts/rules').send({ name: 'Bad', filters: { level: '/(/' } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid level filter/);
+  });
+
+  test('should evaluate ingested logs and emit fired alerts', async () => {
+    const publishAlert = jest.spyOn(app.liveFeed, 'publishAlert');
+    await request(app).post('/alerts/rules').send({ ...dbErrors, threshold: 2 });
+
+    await request(app).post('/logs').send(entry('error', 'db-server-01', 'Query failed'));
+    await request(app).post('/logs/batch').send([
+      entry('error', 'db-server-01', 'Query failed'),
+      entry('info', 'db-server-01', 'Query ok'),
+      entry('error', 'db-server-02', 'Query failed')
+    ]);
+    // Within the cooldown
+    await request(app).post('/logs').send(entry('error', 'db-server-01', 'Query failed'));
+
+    const alerts = publishAlert.mock.calls.map(([alert]) => alert);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ ruleName: 'DB errors', count: 3 });
+
+    const res = await request(app).get('/alerts');
+    expect(res.body).toEqual(alerts);
+    expect((await request(app).get('/alerts').query({ limit: 0 })).status).toBe(400);
+  });
+});
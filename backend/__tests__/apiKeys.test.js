@@ -0,0 +1,181 @@
+/**
+ * Tests for API keys: hashed storage, scopes and resource-limited keys
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApiKeyStore, parseApiKey } = require('../apiKeys');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const entry = (level, resourceId, message) => ({
+  level,
+  message,
+  resourceId,
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: '5e5342f',
+  metadata: {}
+});
+
+describe('parseApiKey', () => {
+
+  test('should accept scoped and resource-limited keys', () => {
+    expect(parseApiKey({ name: ' Auth service ', scopes: ['ingest', 'query', 'ingest'], resourceIds: ['auth-service-*'] })).toEqual({
+      valid: true,
+      apiKey: { name: 'Auth service', role: null, scopes: ['ingest', 'query'], resourceIds: ['auth-service-*'] }
+    });
+    expect(parseApiKey({ name: 'Dashboards', scopes: ['query'] }).apiKey.resourceIds).toBeNull();
+  });
+
+  test('should derive scopes from a role', () => {
+    expect(parseApiKey({ name: 'Alice', role: 'engineer' }).apiKey).toEqual({ name: 'Alice', role: 'engineer', scopes: ['query'], resourceIds: null });
+    expect(parseApiKey({ name: 'Ops', role: 'admin' }).apiKey.scopes).toEqual(['ingest', 'query', 'admin']);
+    expect(parseApiKey({ name: 'x', role: 'owner' }).error).toBe('role must be one of: admin, engineer, support');
+    expect(parseApiKey({ name: 'x', role: 'support', scopes: ['admin'] }).error).toBe('Give an API key either a role or scopes, not both');
+  });
+
+  test('should reject invalid keys', () => {
+    expect(parseApiKey(null).error).toBe('API key must be a JSON object');
+    expect(parseApiKey({ scopes: ['query'] }).error).toBe('API key needs a name');
+    expect(parseApiKey({ name: 'x', scopes: [] }).error).toMatch(/^scopes must be a non-empty list/);
+    expect(parseApiKey({ name: 'x', scopes: ['write'] }).valid).toBe(false);
+    expect(parseApiKey({ name: 'x', scopes: ['query'], resourceIds: [] }).error).toBe('resourceIds must be a non-empty list of resourceId patterns');
+  });
+});
+
+describe('API key store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-api-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should only store a hash of the key', async () => {
+    const store = createApiKeyStore({ dir: tmpDir });
+    await store.init();
+    const { key, ...created } = await store.createKey({ name: 'CI', scopes: ['ingest'], resourceIds: null });
+
+    expect(key).toMatch(new RegExp(`^evk_${created.id}_`));
+    expect(store.listKeys()).toEqual([created]);
+    const saved = fs.readFileSync(path.join(tmpDir, 'api-keys.json'), 'utf8');
+    expect(saved).not.toContain(key.split('_')[2]);
+
+    const reloaded = createApiKeyStore({ dir: tmpDir });
+    await reloaded.init();
+    expect(reloaded.verify(key)).toMatchObject({ id: created.id, scopes: ['ingest'] });
+    expect(reloaded.verify(key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A'))).toBeNull();
+    expect(reloaded.verify('not-a-key')).toBeNull();
+  });
+
+  test('should stop accepting revoked keys', async () => {
+    const store = createApiKeyStore({ dir: tmpDir, adminKey: ADMIN_KEY });
+    await store.init();
+    const { id, key } = await store.createKey({ name: 'CI', scopes: ['ingest'], resourceIds: null });
+
+    expect(await store.revokeKey(id)).toBe(true);
+    expect(await store.revokeKey(id)).toBe(false);
+    expect(store.verify(key)).toBeNull();
+    expect(store.verify(ADMIN_KEY).scopes).toEqual(['ingest', 'query', 'admin']);
+  });
+});
+
+describe('API key routes', () => {
+  let tmpDir;
+  let app;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-api-key-routes-'));
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    process.env.AUTH_ENABLED = 'true';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_ENABLED;
+    delete process.env.ADMIN_API_KEY;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const createKey = async (definition) => {
+    const res = await request(app).post('/api-keys').set('X-API-Key', ADMIN_KEY).send(definition);
+    expect(res.status).toBe(201);
+    return res.body;
+  };
+
+  test('should require a valid key with the right scope', async () => {
+    expect(await request(app).get('/logs')).toMatchObject({ status: 401, body: { error: 'API key required' } });
+    expect((await request(app).get('/logs').set('X-API-Key', 'evk_nope')).body).toEqual({ error: 'Invalid API key' });
+
+    const { key } = await createKey({ name: 'CI', scopes: ['ingest'] });
+    expect((await request(app).post('/logs').set('Authorization', `Bearer ${key}`).send(entry('info', 'ci-runner', 'Build started'))).status).toBe(201);
+    expect(await request(app).get('/logs').set('X-API-Key', key)).toMatchObject({ status: 403, body: { error: 'API key lacks the query scope' } });
+    expect((await request(app).get('/api-keys').set('X-API-Key', key)).status).toBe(403);
+  });
+
+  test('should list keys without secrets and revoke them', async () => {
+    const { key, ...created } = await createKey({ name: 'Dashboards', scopes: ['query'] });
+    const listed = await request(app).get('/api-keys').set('X-API-Key', ADMIN_KEY);
+    expect(listed.body).toEqual([created]);
+    expect(JSON.stringify(listed.body)).not.toContain('hash');
+
+    expect((await request(app).post('/api-keys').set('X-API-Key', ADMIN_KEY).send({ name: 'x' })).status).toBe(400);
+    expect((await request(app).delete(`/api-keys/${created.id}`).set('X-API-Key', ADMIN_KEY)).status).toBe(204);
+    expect((await request(app).delete(`/api-keys/${created.id}`).set('X-API-Key', ADMIN_KEY)).status).toBe(404);
+    expect((await request(app).get('/logs').set('X-API-Key', key)).body).toEqual({ error: 'Invalid API key' });
+  });
+
+  test('should limit keys to their resources', async () => {
+    const { key } = await createKey({ name: 'Auth service', scopes: ['ingest', 'query'], resourceIds: ['auth-service-*'] });
+    const asAdmin = (req) => req.set('X-API-Key', ADMIN_KEY);
+    const asService = (req) => req.set('X-API-Key', key);
+
+    await asAdmin(request(app).post('/logs')).send(entry('error', 'db-server-01', 'Query failed'));
+    const own = await asService(request(app).post('/logs')).send(entry('error', 'auth-service-01', 'Token expired'));
+    expect(own.status).toBe(201);
+
+    const other = await asService(request(app).post('/logs')).send(entry('error', 'db-server-01', 'Spoofed'));
+    expect(other).toMatchObject({ status: 403, body: { error: 'API key may not ingest logs for resource db-server-01' } });
+
+    const batch = await asService(request(app).post('/logs/batch')).send([
+      entry('info', 'auth-service-02', 'Login ok'),
+      entry('info', 'db-server-01', 'Spoofed')
+    ]);
+    expect(batch.body.results.map(result => result.status)).toEqual(['created', 'rejected']);
+
+    const visible = await asService(request(app).get('/logs'));
+    expect(visible.body.map(log => log.resourceId).sort()).toEqual(['auth-service-01', 'auth-service-02']);
+    const [dbLog] = (await asAdmin(request(app).get('/logs').query({ resourceId: 'db-server-01' }))).body;
+    expect((await asService(request(app).get(`/logs/${dbLog.id}`))).status).toBe(404);
+    expect((await asService(request(app).get(`/logs/${own.body.log.id}`))).status).toBe(200);
+    expect((await asAdmin(request(app).get('/logs'))).body).toHaveLength(3);
+  });
+
+  test('should only list alerts about the key\'s resources', async () => {
+    const { key } = await createKey({ name: 'Auth dashboard', scopes: ['query'], resourceIds: ['auth-service-*'] });
+    for (const resourceId of ['db-server-01', 'auth-service-01']) {
+      await request(app).post('/alerts/rules').set('X-API-Key', ADMIN_KEY).send({ name: resourceId, filters: { resourceId, level: 'error' } });
+    }
+    await request(app).post('/logs').set('X-API-Key', ADMIN_KEY).send(entry('error', 'db-server-01', 'Query failed'));
+    await request(app).post('/logs').set('X-API-Key', ADMIN_KEY).send(entry('error', 'auth-service-01', 'Token expired'));
+
+    const all = await request(app).get('/alerts').set('X-API-Key', ADMIN_KEY);
+    expect(all.body.map(alert => alert.resourceIds)).toEqual([['auth-service-01'], ['db-server-01']]);
+    const own = await request(app).get('/alerts').set('X-API-Key', key);
+    expect(own.body.map(alert => alert.resourceIds)).toEqual([['auth-service-01']]);
+    expect(JSON.stringify(own.body)).not.toContain('db-server-01');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the cold archive of expired logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const request = require('supertest');
+const { createArchive } = require('../storage/archive');
+
+const makeLog = (id, timestamp, overrides = {}) => ({
+  id,
+  level: 'info',
+  message: `Archived log ${id}`,
+  resourceId: 'archive-test-01',
+  timestamp,
+  traceId: `trace-${id}`,
+  spanId: `span-${id}`,
+  commit: 'abc123',
+  metadata: {},
+  ...overrides
+});
+
+describe('archive segments', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-archive-')), 'archive');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  test('should write one gzip segment per day', async () => {
+    const archive = createArchive({ dir });
+    await archive.init();
+    await archive.archive([
+      makeLog('1', '2024-01-01T10:00:00.000Z'),
+      makeLog('2', '2024-01-01T23:00:00.000Z'),
+      makeLog('3', '2024-01-02T01:00:00.000Z')
+    ]);
+
+    const segments = fs.readdirSync(dir).filter(name => name.endsWith('.ndjson.gz')).sort();
+    expect(segments).toHaveLength(2);
+    expect(segments[0]).toMatch(/^archive-2024-01-01-/);
+
+    const lines = zlib.gunzipSync(fs.readFileSync(path.join(dir, segments[0]))).toString().trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).id)).toEqual(['1', '2']);
+    expect(archive.describe()).toMatchObject({ segments: 2, archivedLogs: 3, oldest: '2024-01-01T10:00:00.000Z' });
+  });
+
+  test('should scan only segments that cover the requested range', async () => {
+    const archive = createArchive({ dir });
+    await archive.init();
+    await archive.archive([makeLog('old', '2024-01-01T10:00:00.000Z', { level: 'error' })]);
+    await archive.archive([makeLog('new', '2024-02-01T10:00:00.000Z', { level: 'error' })]);
+
+    // Corrupt the January segment: a range query for February must not touch it
+    const january = fs.readdirSync(dir).find(name => name.startsWith('archive-2024-01-01'));
+    fs.writeFileSync(path.join(dir, january), 'not gzip');
+
+    const logs = await archive.scan({ level: 'error', timestamp_start: '2024-01-15T00:00:00Z' });
+    expect(logs.map(log => log.id)).toEqual(['new']);
+  });
+
+  test('should recover segments missing from the manifest after a crash', async () => {
+    const archive = createArchive({ dir });
+    await archive.init();
+    await archive.archive([makeLog('1', '2024-01-01T10:00:00.000Z')]);
+    fs.rmSync(path.join(dir, 'manifest.json'));
+
+    const reopened = createArchive({ dir });
+    await reopened.init();
+    expect((await reopened.scan()).map(log => log.id)).toEqual(['1']);
+    expect(fs.existsSync(path.join(dir, 'manifest.json'))).toBe(true);
+  });
+});
+
+describe('GET /logs?include_archived=true', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-archive-api-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    process.env.MAX_LOGS = '1';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+
+    const { id: _old, ...older } = makeLog('old', '2024-01-01T10:00:00.000Z', { message: 'Disk failure on node 3' });
+    const { id: _new, ...newer } = makeLog('new', '2024-01-05T10:00:00.000Z', { message: 'Disk check passed' });
+    await request(app).post('/logs/batch').send([older, newer]);
+    await app.retentionSweeper.sweep();
+  });
+
+  afterAll(() => {
+    delete process.env.MAX_LOGS;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should leave archived logs out by default', async () => {
+    const res = await request(app).get('/logs').query({ message: 'disk' });
+    expect(res.body.map(log => log.message)).toEqual(['Disk check passed']);
+  });
+
+  test('should merge archived logs in the requested range', async () => {
+    const res = await request(app).get('/logs').query({ message: 'disk', include_archived: 'true' });
+    expect(res.body.map(log => log.message)).toEqual(['Disk check passed', 'Disk failure on node 3']);
+
+    const ranged = await request(app).get('/logs').query({
+      include_archived: 'true',
+      timestamp_start: '2024-01-01T00:00:00Z',
+      timestamp_end: '2024-01-02T00:00:00Z'
+    });
+    expect(ranged.body.map(log => log.message)).toEqual(['Disk failure on node 3']);
+  });
+
+  test('should include archive totals in the retention report', async () => {
+    const res = await request(app).get('/retention');
+    expect(res.body.archive).toMatchObject({ segments: 1, archivedLogs: 1 });
+  });
+});
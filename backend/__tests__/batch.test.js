@@ -0,0 +1,118 @@
+/**
+ * Integration tests for POST /logs/batch
+ * Covers JSON and NDJSON bodies and the per-index result array
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const dbFile = path.join(os.tmpdir(), `evallo-batch-${process.pid}.json`);
+process.env.STORAGE_ADAPTER = 'json';
+process.env.LOGS_DB_FILE = dbFile;
+
+const app = require('../server');
+
+const makeLog = (overrides = {}) => ({
+  level: 'info',
+  message: 'Batch entry',
+  resourceId: 'batch-service-01',
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-batch',
+  spanId: 'span-batch',
+  commit: 'abc123',
+  metadata: { source: 'test' },
+  ...overrides
+});
+
+const readStoredLogs = () => JSON.parse(fs.readFileSync(dbFile, 'utf8')).logs;
+
+describe('POST /logs/batch', () => {
+
+  beforeEach(async () => {
+    fs.writeFileSync(dbFile, JSON.stringify({ logs: [] }));
+    await app.initializeDatabase();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dbFile, { force: true });
+  });
+
+  test('should store every valid entry of a JSON array', async () => {
+    const res = await request(app)
+      .post('/logs/batch')
+      .send([makeLog({ message: 'first' }), makeLog({ message: 'second' })]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.accepted).toBe(2);
+    expect(res.body.rejected).toBe(0);
+    expect(res.body.results.map(r => r.status)).toEqual(['created', 'created']);
+
+    const stored = readStoredLogs();
+    expect(stored).toHaveLength(2);
+    expect(new Set(stored.map(log => log.id)).size).toBe(2);
+  });
+
+  test('should accept an object with a logs array', async () => {
+    const res = await request(app)
+      .post('/logs/batch')
+      .send({ logs: [makeLog()] });
+
+    expect(res.status).toBe(201);
+    expect(readStoredLogs()).toHaveLength(1);
+  });
+
+  test('should report rejected entries by index and keep the valid ones', async () => {
+    const res = await request(app)
+      .post('/logs/batch')
+      .send([makeLog(), makeLog({ level: 'fatal' }), { message: 'missing fields' }, 'not an object']);
+
+    expect(res.status).toBe(207);
+    expect(res.body.accepted).toBe(1);
+    expect(res.body.rejected).toBe(3);
+    expect(res.body.results[0]).toMatchObject({ index: 0, status: 'created' });
+    expect(res.body.results[1]).toMatchObject({ index: 1, status: 'rejected' });
+    expect(res.body.results[1].error).toContain('Invalid level');
+    expect(res.body.results[2].error).toContain('Missing required fields');
+    expect(res.body.results[3].error).toBe('Log entry must be a JSON object');
+    expect(readStoredLogs()).toHaveLength(1);
+  });
+
+  test('should return 400 when every entry is rejected', async () => {
+    const res = await request(app)
+      .post('/logs/batch')
+      .send([makeLog({ metadata: 'nope' })]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.accepted).toBe(0);
+    expect(readStoredLogs()).toHaveLength(0);
+  });
+
+  test('should parse NDJSON bodies line by line', async () => {
+    const body = [
+      JSON.stringify(makeLog({ message: 'line one' })),
+      '{ not json',
+      '',
+      JSON.stringify(makeLog({ message: 'line three' }))
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/logs/batch')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body);
+
+    expect(res.status).toBe(207);
+    expect(res.body.results).toHaveLength(3);
+    expect(res.body.results[1]).toMatchObject({ status: 'rejected', error: 'Invalid JSON on line 2' });
+    expect(readStoredLogs().map(log => log.message)).toEqual(['line three', 'line one']);
+  });
+
+  test('should reject empty and non-array bodies', async () => {
+    const empty = await request(app).post('/logs/batch').send([]);
+    expect(empty.status).toBe(400);
+
+    const wrongShape = await request(app).post('/logs/batch').send({ level: 'info' });
+    expect(wrongShape.status).toBe(400);
+  });
+});
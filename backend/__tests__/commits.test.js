@@ -0,0 +1,115 @@
+/**
+ * Tests for commit summaries and regression comparisons (GET /commits, GET /commits/:a/compare/:b)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { compareCommits, messagePattern, summarizeCommits } = require('../lib/commits');
+
+const log = (commit, timestamp, level, resourceId, message) => ({ level, message, resourceId, timestamp, traceId: `trace-${timestamp}`, spanId: 'span-001', commit, metadata: {} });
+
+const logs = [
+  log('3f4e5d2', '2024-01-01T10:00:00Z', 'info', 'app-server-01', 'User authentication successful'),
+  log('3f4e5d2', '2024-01-01T10:05:00Z', 'info', 'app-server-02', 'User authentication successful'),
+  log('3f4e5d2', '2024-01-01T10:10:00Z', 'error', 'app-server-02', 'Request to 10.0.0.12:8080 failed after 30 seconds'),
+  log('3f4e5d2', '2024-01-01T10:15:00Z', 'info', 'app-server-02', 'Cache warmed in 120ms'),
+  log('7a8b9c1', '2024-01-01T11:00:00Z', 'warn', 'app-server-02', 'High memory usage detected: 85% of available memory in use'),
+  log('7a8b9c1', '2024-01-01T11:05:00Z', 'warn', 'app-server-02', 'High memory usage detected: 91% of available memory in use'),
+  log('7a8b9c1', '2024-01-01T11:10:00Z', 'error', 'app-server-02', 'Request to 10.0.0.14:8080 failed after 45 seconds'),
+  log('7a8b9c1', '2024-01-01T11:15:00Z', 'error', 'app-server-02', 'Request to 10.0.0.12:8080 failed after 30 seconds'),
+  log('7a8b9c1', '2024-01-01T11:20:00Z', 'info', 'app-server-01', 'User authentication successful')
+];
+
+describe('messagePattern', () => {
+
+  test('should replace variable parts with placeholders', () => {
+    expect(messagePattern('High memory usage detected: 85% of available memory in use')).toBe('High memory usage detected: <num>% of available memory in use');
+    expect(messagePattern('Request to 10.0.0.12:8080 failed after 30 seconds')).toBe('Request to <ip> failed after <num> seconds');
+    expect(messagePattern('Deployed 7a8b9c1 to "prod-eu"')).toBe('Deployed <hex> to <str>');
+    expect(messagePattern('Session 123e4567-e89b-12d3-a456-426614174000 expired')).toBe('Session <uuid> expired');
+  });
+});
+
+describe('commit summaries', () => {
+
+  test('should list commits in first-seen order with rates per resource', () => {
+    const [first, second] = summarizeCommits([...logs].reverse());
+    expect(first).toMatchObject({ commit: '3f4e5d2', firstSeen: '2024-01-01T10:00:00.000Z', lastSeen: '2024-01-01T10:15:00.000Z', logCount: 4, errorCount: 1, errorRate: 0.25, warnRate: 0 });
+    expect(second).toMatchObject({ commit: '7a8b9c1', logCount: 5, errorRate: 0.4, warnRate: 0.4 });
+    expect(second.resources).toEqual([
+      { resourceId: 'app-server-01', logCount: 1, errorCount: 0, warnCount: 0, errorRate: 0, warnRate: 0 },
+      { resourceId: 'app-server-02', logCount: 4, errorCount: 2, warnCount: 2, errorRate: 0.5, warnRate: 0.5 }
+    ]);
+  });
+
+  test('should report new and increased message patterns of the later commit', () => {
+    const before = logs.filter(entry => entry.commit === '3f4e5d2');
+    const after = logs.filter(entry => entry.commit === '7a8b9c1');
+    const comparison = compareCommits('3f4e5d2', before, '7a8b9c1', after);
+
+    expect(comparison.errorRateChange).toBe(0.15);
+    expect(comparison.warnRateChange).toBe(0.4);
+    expect(comparison.newPatterns).toEqual([{
+      pattern: 'High memory usage detected: <num>% of available memory in use',
+      example: 'High memory usage detected: 85% of available memory in use',
+      levels: { warn: 2 },
+      resourceIds: ['app-server-02'],
+      countBefore: 0,
+      countAfter: 2,
+      rateBefore: 0,
+      rateAfter: 0.4
+    }]);
+    expect(comparison.increasedPatterns.map(change => [change.pattern, change.rateBefore, change.rateAfter])).toEqual([
+      ['Request to <ip> failed after <num> seconds', 0.25, 0.4]
+    ]);
+    // Authentication went from 2 in 4 to 1 in 5 logs, which is not an increase
+    expect(comparison.resolvedPatterns.map(change => change.pattern)).toEqual(['Cache warmed in <num>ms']);
+  });
+});
+
+describe('commit endpoints', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-commits-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('GET /commits should list commits narrowed by the log filters', async () => {
+    const res = await request(app).get('/commits');
+    expect(res.status).toBe(200);
+    expect(res.body.map(commit => commit.commit)).toEqual(['3f4e5d2', '7a8b9c1']);
+
+    const recent = await request(app).get('/commits').query({ timestamp_start: '2024-01-01T11:00:00Z' });
+    expect(recent.body.map(commit => commit.commit)).toEqual(['7a8b9c1']);
+  });
+
+  test('GET /commits/:a/compare/:b should show the memory warnings introduced by 7a8b9c1', async () => {
+    const res = await request(app).get('/commits/3f4e5d2/compare/7a8b9c1');
+    expect(res.status).toBe(200);
+    expect(res.body.base.commit).toBe('3f4e5d2');
+    expect(res.body.newPatterns[0].pattern).toBe('High memory usage detected: <num>% of available memory in use');
+
+    const scoped = await request(app).get('/commits/3f4e5d2/compare/7a8b9c1').query({ resourceId: 'app-server-01' });
+    expect(scoped.body.newPatterns).toEqual([]);
+  });
+
+  test('GET /commits/:a/compare/:b should return 404 for unknown commits', async () => {
+    const res = await request(app).get('/commits/3f4e5d2/compare/0000000');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Commit 0000000 not found');
+  });
+});
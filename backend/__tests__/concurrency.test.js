@@ -0,0 +1,156 @@
+/**
+ * Concurrency tests for ingestion
+ * Fires hundreds of parallel POST /logs requests and checks that none are lost,
+ * plus unit tests for the write coordinator's group commit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createWriteCoordinator } = require('../storage/writeCoordinator');
+
+// The sqlite adapter needs the optional better-sqlite3 package; its run is skipped without it
+const hasSqliteDriver = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const PARALLEL_INGESTS = 300;
+
+const makeLog = (i) => ({
+  level: ['error', 'warn', 'info', 'debug'][i % 4],
+  message: `Concurrent log ${i}`,
+  resourceId: `resource-${i % 10}`,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+  traceId: `trace-${i}`,
+  spanId: `span-${i}`,
+  commit: 'abc123',
+  metadata: { index: i }
+});
+
+// Load a fresh copy of the server wired to the given storage adapter
+const loadServer = (adapter, tmpDir) => {
+  process.env.STORAGE_ADAPTER = adapter;
+  process.env.DATA_DIR = path.join(tmpDir, 'data');
+  process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+
+  let app;
+  jest.isolateModules(() => {
+    app = require('../server');
+  });
+  return app;
+};
+
+const describeAdapter = (adapter) => (adapter === 'sqlite' && !hasSqliteDriver ? describe.skip : describe);
+
+['json', 'segments', 'sqlite'].forEach(adapter => describeAdapter(adapter)(`parallel ingestion with the ${adapter} adapter`, () => {
+  let tmpDir;
+  let app;
+  let baseUrl;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `evallo-concurrency-${adapter}-`));
+    app = loadServer(adapter, tmpDir);
+    await app.initializeDatabase();
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => app.server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test(`should keep all ${PARALLEL_INGESTS} logs posted at once`, async () => {
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_INGESTS }, (_, i) => request(baseUrl).post('/logs').send(makeLog(i)))
+    );
+    expect(responses.every(res => res.status === 201)).toBe(true);
+
+    const res = await request(baseUrl).get('/logs');
+    expect(res.body).toHaveLength(PARALLEL_INGESTS);
+    const messages = new Set(res.body.map(log => log.message));
+    expect(messages.size).toBe(PARALLEL_INGESTS);
+  }, 30000);
+
+  test('should keep parallel batch and single ingests together', async () => {
+    const batch = Array.from({ length: 50 }, (_, i) => makeLog(PARALLEL_INGESTS + i));
+    const singles = Array.from({ length: 50 }, (_, i) => makeLog(PARALLEL_INGESTS + 50 + i));
+
+    await Promise.all([
+      request(baseUrl).post('/logs/batch').send(batch),
+      ...singles.map(log => request(baseUrl).post('/logs').send(log))
+    ]);
+
+    const res = await request(baseUrl).get('/logs');
+    expect(res.body).toHaveLength(PARALLEL_INGESTS + 100);
+  }, 30000);
+}));
+
+describe('write coordinator', () => {
+
+  // Adapter whose appends take a while, recording each call
+  const createSlowAdapter = () => {
+    const calls = [];
+    const stored = [];
+    return {
+      calls,
+      stored,
+      name: 'slow',
+      async append(entries) {
+        calls.push(entries.length);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        stored.push(...entries);
+        return entries;
+      },
+      async deleteRange() {
+        calls.push('delete');
+        return [];
+      },
+      async close() {}
+    };
+  };
+
+  test('should group appends that arrive while a write is in flight', async () => {
+    const adapter = createSlowAdapter();
+    const storage = createWriteCoordinator(adapter);
+
+    const first = storage.append([{ id: 'a' }]);
+    await new Promise(resolve => setImmediate(resolve));
+    const rest = [storage.append([{ id: 'b' }]), storage.append([{ id: 'c' }, { id: 'd' }])];
+
+    expect(await first).toEqual([{ id: 'a' }]);
+    expect(await rest[1]).toEqual([{ id: 'c' }, { id: 'd' }]);
+    expect(adapter.calls).toEqual([1, 3]);
+    expect(adapter.stored.map(entry => entry.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('should run deletes between append groups in call order', async () => {
+    const adapter = createSlowAdapter();
+    const storage = createWriteCoordinator(adapter);
+
+    storage.append([{ id: 'a' }]);
+    storage.deleteRange({});
+    storage.append([{ id: 'b' }]);
+    await storage.flush();
+
+    expect(adapter.calls).toEqual([1, 'delete', 1]);
+  });
+
+  test('should reject every caller of a failed group and keep accepting writes', async () => {
+    const adapter = createSlowAdapter();
+    const storage = createWriteCoordinator(adapter);
+    const append = adapter.append;
+    adapter.append = async () => { throw new Error('disk full'); };
+
+    await expect(storage.append([{ id: 'a' }])).rejects.toThrow('disk full');
+
+    adapter.append = append;
+    await expect(storage.append([{ id: 'b' }])).resolves.toEqual([{ id: 'b' }]);
+  });
+});
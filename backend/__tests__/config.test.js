@@ -0,0 +1,175 @@
+/**
+ * Tests for the configuration loader: precedence, typed env vars, validation and SIGHUP reloads
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ConfigError, changedSettings, loadConfig } = require('../config');
+
+const ENV_VARS = ['EVALLO_CONFIG', 'PORT', 'LOG_LEVEL', 'CORS_ORIGIN', 'MAX_LOGS', 'AUTH_ENABLED', 'STORAGE_ADAPTER', 'DATA_DIR', 'LOGS_DB_FILE'];
+
+const writeConfig = (file, settings) => {
+  fs.writeFileSync(file, `module.exports = ${JSON.stringify(settings, null, 2)};`);
+};
+
+// Jest's module registry ignores require.cache, so every changed config goes to a file of its own
+let version = 0;
+const writeNewConfig = (dir, settings) => {
+  const file = path.join(dir, `config-${++version}.js`);
+  writeConfig(file, settings);
+  process.env.EVALLO_CONFIG = file;
+};
+
+describe('loadConfig', () => {
+  let tmpDir;
+  let configFile;
+  let savedEnv;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-config-'));
+    configFile = path.join(tmpDir, 'config.js');
+    savedEnv = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+    ENV_VARS.forEach(name => delete process.env[name]);
+    process.env.EVALLO_CONFIG = configFile;
+  });
+
+  afterEach(() => {
+    ENV_VARS.forEach(name => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should use the defaults without a config file', () => {
+    expect(loadConfig()).toMatchObject({ port: 5000, logLevel: 'info', corsOrigin: 'http://localhost:3000', maxLogs: 1000 });
+  });
+
+  test('should layer the config file and typed environment variables over the defaults', () => {
+    writeConfig(configFile, { port: 8080, logLevel: 'warn', quotas: { dailyLogsPerResource: 500 }, storage: { dataDir: './data' } });
+    process.env.PORT = '9090';
+    process.env.MAX_LOGS = '250';
+    process.env.AUTH_ENABLED = 'true';
+
+    const config = loadConfig();
+    expect(config).toMatchObject({ port: 9090, logLevel: 'warn', maxLogs: 250, auth: { enabled: true } });
+    expect(config.quotas).toEqual({ dailyLogsPerResource: 500, debugShare: 0.8 });
+    expect(config.storage.dataDir).toBe(path.join(tmpDir, 'data'));
+  });
+
+  test('should report every invalid setting at once', () => {
+    writeConfig(configFile, { logLevel: 'verbose', rateLimit: { query: { capacity: 0 } }, liveFeed: { replayWindow: 'soon' } });
+    process.env.PORT = 'http';
+
+    expect(loadConfig).toThrow(ConfigError);
+    expect(loadConfig).toThrow([
+      'Invalid configuration:',
+      '  - port must be an integer from 1 to 65535, got "http" (from PORT)',
+      '  - logLevel must be one of error, warn, info, debug, got "verbose"',
+      '  - rateLimit.query.capacity must be an integer of at least 1, got 0',
+      '  - liveFeed.replayWindow must be a duration such as 30s, 15m or 1h, got "soon"'
+    ].join('\n'));
+  });
+
+  test('should check retention rules and unreadable files', () => {
+    writeConfig(configFile, { retention: { rules: [{ level: 'debug' }] } });
+    expect(loadConfig).toThrow('retention: Retention rule 1 (level=debug) needs maxAge or maxBytesPerResource');
+
+    configFile = path.join(tmpDir, 'broken.js');
+    process.env.EVALLO_CONFIG = configFile;
+    fs.writeFileSync(configFile, 'module.exports = {');
+    expect(loadConfig).toThrow(/^Could not load config file .*broken\.js/);
+  });
+
+  test('should list changed settings', () => {
+    const before = loadConfig();
+    expect(changedSettings(before, { ...before, port: 1, quotas: { ...before.quotas, debugShare: 0.5 } })).toEqual(['port', 'quotas.debugShare']);
+  });
+});
+
+describe('config reload', () => {
+  let tmpDir;
+  let configFile;
+  let app;
+  let logging;
+  const defaultConfig = process.env.EVALLO_CONFIG;
+
+  const settings = (overrides = {}) => ({
+    rateLimit: { query: { capacity: 5, refillPerSecond: 0.01 } },
+    auth: { redactedMetadata: ['userId'] },
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-config-reload-'));
+    configFile = path.join(tmpDir, 'config.js');
+    writeConfig(configFile, settings());
+    process.env.EVALLO_CONFIG = configFile;
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+      logging = require('../lib/logger');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterEach(() => {
+    process.env.EVALLO_CONFIG = defaultConfig;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should apply reloadable settings and report the rest', async () => {
+    expect((await request(app).get('/logs')).headers['ratelimit-remaining']).toBe('4');
+    const configureFeed = jest.spyOn(app.liveFeed, 'configure');
+
+    writeNewConfig(tmpDir, settings({
+      port: 6000,
+      maxLogs: 50,
+      rateLimit: { query: { capacity: 2, refillPerSecond: 0.01 } },
+      liveFeed: { replayWindow: '5m' }
+    }));
+    expect(app.reloadConfig()).toEqual({
+      reloaded: true,
+      applied: ['maxLogs', 'rateLimit.query.capacity', 'liveFeed.replayWindow'],
+      restartRequired: ['port']
+    });
+
+    expect((await request(app).get('/logs')).headers['ratelimit-remaining']).toBe('1');
+    expect((await request(app).get('/retention')).body.policy.maxLogs).toBe(50);
+    expect(configureFeed).toHaveBeenCalledWith({ replay: { maxLogs: 1000, maxAgeMs: 5 * 60 * 1000 } });
+  });
+
+  test('should keep the running settings when the new config is invalid', async () => {
+    writeNewConfig(tmpDir, settings({ maxLogs: 50, quotas: { debugShare: 2 } }));
+    const result = app.reloadConfig();
+
+    expect(result.reloaded).toBe(false);
+    expect(result.error).toMatch(/quotas\.debugShare must be a number above 0 and at most 1, got 2/);
+    expect((await request(app).get('/retention')).body.policy.maxLogs).toBe(1000);
+  });
+
+  test('should apply the log level to all backend output', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(logging.isLogged('info')).toBe(true);
+    expect(logging.isLogged('debug')).toBe(false);
+
+    writeNewConfig(tmpDir, settings({ logLevel: 'error' }));
+    app.reloadConfig();
+    logging.logger.info('🚨 Alert fired');
+    logging.logger.warn('⚠️ Truncating incomplete record');
+    expect(log).not.toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+
+    writeNewConfig(tmpDir, settings({ logLevel: 'debug' }));
+    app.reloadConfig();
+    logging.logger.debug('🔌 Client connected');
+    expect(log).toHaveBeenCalledWith('🔌 Client connected');
+    log.mockRestore();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for multi-value, wildcard, regex and negated field filters on GET /logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { applyFilters, literalValues, InvalidFilterError } = require('../lib/filters');
+const { compileSafeRegExp, createBoundedTest } = require('../lib/patterns');
+const { createStorage } = require('../storage');
+
+// Only installs with the optional better-sqlite3 package can run the sqlite adapter checks
+const hasSqliteDriver = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const logs = [
+  { id: '1', level: 'error', message: 'Database connection failed: Connection timeout after 30 seconds', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00Z', traceId: 'trace-db-001', spanId: 'span-conn-001', commit: '5e5342f', metadata: {} },
+  { id: '2', level: 'warn', message: 'High memory usage detected: 85% of available memory in use', resourceId: 'app-server-02', timestamp: '2024-01-01T11:00:00Z', traceId: 'trace-memory-001', spanId: 'span-monitor-001', commit: '7a8b9c1', metadata: {} },
+  { id: '3', level: 'info', message: 'User authentication successful', resourceId: 'app-server-01', timestamp: '2024-01-01T12:00:00Z', traceId: 'trace-auth-001', spanId: 'span-login-001', commit: '3f4e5d2', metadata: {} },
+  { id: '4', level: 'debug', message: 'Cache lookup took 12ms', resourceId: 'cache-server-01', timestamp: '2024-01-01T13:00:00Z', traceId: 'trace-cache-001', spanId: 'span-cache-001', commit: '3f4e5d2', metadata: {} },
+  { id: '5', level: 'error', message: 'Upstream timeout after 5 seconds', resourceId: 'api-gateway-01', timestamp: '2024-01-01T14:00:00Z', traceId: 'trace-api-001', spanId: 'span-proxy-001', commit: '9d8e7f6', metadata: {} }
+];
+
+const ids = (filters) => applyFilters(logs, filters).map(log => log.id);
+
+describe('field filters', () => {
+
+  test('should match any of a comma separated or repeated list', () => {
+    expect(ids({ level: 'error,warn' })).toEqual(['5', '2', '1']);
+    expect(ids({ level: 'error, info' })).toEqual(['5', '3', '1']);
+    expect(ids({ level: ['warn', 'debug'] })).toEqual(['4', '2']);
+  });
+
+  test('should match glob wildcards', () => {
+    expect(ids({ resourceId: 'app-server-*' })).toEqual(['3', '2']);
+    expect(ids({ resourceId: '*-server-01' })).toEqual(['4', '3', '1']);
+    expect(ids({ traceId: 'trace-???-001' })).toEqual(['5']);
+    expect(ids({ message: 'timeout*seconds' })).toEqual(['5', '1']);
+  });
+
+  test('should match regular expressions', () => {
+    expect(ids({ message: '/timeout after \\d+ seconds/' })).toEqual(['5', '1']);
+    expect(ids({ message: '/^upstream/i' })).toEqual(['5']);
+    expect(ids({ resourceId: '/^(db|cache)-/' })).toEqual(['4', '1']);
+  });
+
+  test('should negate filters', () => {
+    expect(ids({ 'level!': 'debug' })).toEqual(['5', '3', '2', '1']);
+    expect(ids({ 'level!': 'debug,info' })).toEqual(['5', '2', '1']);
+    expect(ids({ 'resourceId!': 'app-server-*', level: 'error,info' })).toEqual(['5', '1']);
+    expect(ids({ 'message!': '/timeout/' })).toEqual(['4', '3', '2']);
+  });
+
+  test('should keep commas in message values', () => {
+    expect(ids({ message: 'failed: connection' })).toEqual(['1']);
+    expect(ids({ message: 'timeout, retrying' })).toEqual([]);
+  });
+
+  test('should reject invalid and unsafe regexes', () => {
+    expect(() => applyFilters(logs, { message: '/(unclosed/' })).toThrow(InvalidFilterError);
+    expect(() => applyFilters(logs, { resourceId: '/(a+)+$/' })).toThrow(/nested repetition/);
+    expect(() => applyFilters(logs, { message: '/(a|a)+$/' })).toThrow(/repeated alternation/);
+    expect(() => applyFilters(logs, { message: '/.*.*.*.*.*.*.*.*x/' })).toThrow(/more than 3 unbounded quantifiers/);
+  });
+
+  test('should treat path-like values as plain text', () => {
+    const paths = [
+      { id: 'a', level: 'info', message: 'GET /api/users took 12ms', resourceId: 'api-01', timestamp: '2024-01-01T10:00:00Z' },
+      { id: 'b', level: 'warn', message: 'Disk almost full on /var/log/syslog', resourceId: 'host-01', timestamp: '2024-01-01T11:00:00Z' }
+    ];
+    const pathIds = (filters) => applyFilters(paths, filters).map(log => log.id);
+    expect(pathIds({ message: '/api/users' })).toEqual(['a']);
+    expect(pathIds({ message: '/VAR/log' })).toEqual(['b']);
+    expect(pathIds({ message: '/var/log/syslog' })).toEqual(['b']);
+    // Only the documented flags make a value a regex; /timeout/g is looked for as written
+    expect(pathIds({ message: '/timeout/g' })).toEqual([]);
+    expect(pathIds({ message: '/users took \\d+ms/i' })).toEqual(['a']);
+  });
+
+  test('should report which values the storage engine can look up directly', () => {
+    expect(literalValues('error')).toEqual(['error']);
+    expect(literalValues('error,warn')).toEqual(['error', 'warn']);
+    expect(literalValues('app-server-*')).toBeNull();
+    expect(literalValues('/error/')).toBeNull();
+    expect(literalValues(['error', 'warn'])).toBeNull();
+  });
+});
+
+describe('compileSafeRegExp', () => {
+
+  test('should accept ordinary patterns', () => {
+    ['timeout after \\d+ seconds', '^(error|warn)$', '(?:ab)*c', '([a-z]+)?x', '[(+]+', 'a{2}(b*){1}'].forEach(source => {
+      expect(compileSafeRegExp(source)).toBeInstanceOf(RegExp);
+    });
+  });
+
+  test('should refuse patterns prone to catastrophic backtracking', () => {
+    ['(a+)+', '(a*)*b', '(\\w*,?){10,}', '(x+){2}', '(a(b+))*', '(a)\\1', 'a'.repeat(201),
+      '(a|a)+$', '(a|ab)*c', '((a|b)c)+', '.*.*.*.*.*.*.*.*x', 'a+b*c{2,}d+'].forEach(source => {
+      expect(() => compileSafeRegExp(source)).toThrow('pattern rejected');
+    });
+  });
+
+  test('should give up on values a pattern cannot decide in time', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const test = createBoundedTest(compileSafeRegExp('.*.*x'));
+    expect(test('ax')).toBe(true);
+
+    const started = Date.now();
+    expect(test('a'.repeat(5000))).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+    // The pattern stays disabled rather than stalling every following value
+    expect(test('ax')).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
+
+describe('field filters on GET /logs', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-fields-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs.map(({ id, ...log }) => log));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should read negations and patterns straight from the URL', async () => {
+    const res = await request(app).get('/logs?level!=debug&resourceId=*-server-*');
+    expect(res.status).toBe(200);
+    expect(res.body.map(log => log.resourceId)).toEqual(['app-server-01', 'app-server-02', 'db-server-01']);
+
+    const regex = await request(app).get('/logs').query({ message: '/timeout after \\d+ seconds/' });
+    expect(regex.body.map(log => log.resourceId)).toEqual(['api-gateway-01', 'db-server-01']);
+  });
+
+  test('should return unsafe regexes as 400 responses', async () => {
+    const res = await request(app).get('/logs').query({ message: '/(a+)+$/' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid message filter "\/\(a\+\)\+\$\/": pattern rejected/);
+  });
+});
+
+(hasSqliteDriver ? describe : describe.skip)('sqlite adapter with field filters', () => {
+  let tmpDir;
+  let storage;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-fields-sqlite-'));
+    storage = createStorage({ adapter: 'sqlite', dataDir: tmpDir, sqliteFile: path.join(tmpDir, 'logs.sqlite') });
+    await storage.init();
+    await storage.append(logs);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should push value lists down and leave patterns to applyFilters', async () => {
+    expect((await storage.scan({ level: 'error,warn' })).map(log => log.id)).toEqual(['5', '2', '1']);
+    expect((await storage.scan({ level: 'error', resourceId: 'db-*' })).map(log => log.id)).toEqual(['1']);
+    expect((await storage.scan({ 'level!': 'error', commit: '3f4e5d2' })).map(log => log.id)).toEqual(['4', '3']);
+  });
+});
@@ -62,77 +62,9 @@ const mockLogs = [
   }
 ];
 
-// Import the filtering logic (we'll need to extract it from server.js)
-// For now, let's test the logic directly
+const { applyFilters } = require('../lib/filters');
 
 describe('Log Filtering Logic', () => {
-  
-  // Helper function to apply filters (extracted from server logic)
-  const applyFilters = (logs, filters) => {
-    let filteredLogs = [...logs];
-    
-    const {
-      level,
-      message,
-      resourceId,
-      timestamp_start,
-      timestamp_end,
-      traceId,
-      spanId,
-      commit
-    } = filters;
-    
-    // Apply filters using AND logic (all filters must match)
-    if (level) {
-      filteredLogs = filteredLogs.filter(log => log.level === level);
-    }
-    
-    if (message) {
-      const messageLower = message.toLowerCase();
-      filteredLogs = filteredLogs.filter(log => 
-        log.message.toLowerCase().includes(messageLower)
-      );
-    }
-    
-    if (resourceId) {
-      filteredLogs = filteredLogs.filter(log => log.resourceId === resourceId);
-    }
-    
-    if (timestamp_start) {
-      const startDate = new Date(timestamp_start);
-      if (!isNaN(startDate.getTime())) {
-        filteredLogs = filteredLogs.filter(log => 
-          new Date(log.timestamp) >= startDate
-        );
-      }
-    }
-    
-    if (timestamp_end) {
-      const endDate = new Date(timestamp_end);
-      if (!isNaN(endDate.getTime())) {
-        filteredLogs = filteredLogs.filter(log => 
-          new Date(log.timestamp) <= endDate
-        );
-    }
-    }
-    
-    if (traceId) {
-      filteredLogs = filteredLogs.filter(log => log.traceId === traceId);
-    }
-    
-    if (spanId) {
-      filteredLogs = filteredLogs.filter(log => log.spanId === spanId);
-    }
-    
-    if (commit) {
-      filteredLogs = filteredLogs.filter(log => log.commit === commit);
-    }
-    
-    // Sort in reverse chronological order by timestamp
-    filteredLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    return filteredLogs;
-  };
 
   describe('Single Filter Tests', () => {
     
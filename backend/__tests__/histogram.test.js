@@ -0,0 +1,174 @@
+/**
+ * Tests for GET /logs/histogram time buckets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { buildHistogram, parseHistogramParams } = require('../lib/histogram');
+const { createWallClock } = require('../lib/timezones');
+
+const makeLog = (level, timestamp) => ({
+  level,
+  message: `${level} at ${timestamp}`,
+  resourceId: 'histogram-test-01',
+  timestamp,
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: 'abc123',
+  metadata: {}
+});
+
+const logs = [
+  makeLog('error', '2024-01-01T10:02:00Z'),
+  makeLog('info', '2024-01-01T10:04:59Z'),
+  makeLog('warn', '2024-01-01T10:17:00Z'),
+  makeLog('error', '2024-01-01T12:40:00Z')
+];
+
+describe('buildHistogram', () => {
+
+  test('should return contiguous, zero-filled buckets split by level', () => {
+    const histogram = buildHistogram(logs, { interval: '1h' });
+    expect(histogram.buckets.map(bucket => [bucket.start, bucket.total])).toEqual([
+      ['2024-01-01T10:00:00.000Z', 3],
+      ['2024-01-01T11:00:00.000Z', 0],
+      ['2024-01-01T12:00:00.000Z', 1]
+    ]);
+    expect(histogram.buckets[0].byLevel).toEqual({ error: 1, warn: 1, info: 1, debug: 0 });
+    expect(histogram.buckets[1].byLevel).toEqual({ error: 0, warn: 0, info: 0, debug: 0 });
+  });
+
+  test('should align minute buckets', () => {
+    const histogram = buildHistogram(logs.slice(0, 3), { interval: '5m' });
+    expect(histogram.buckets.map(bucket => bucket.total)).toEqual([2, 0, 0, 1]);
+  });
+
+  test('should cover the requested range rather than just the data', () => {
+    const histogram = buildHistogram(logs, {
+      interval: '1d',
+      start: '2023-12-30T00:00:00Z',
+      end: '2024-01-02T12:00:00Z'
+    });
+    expect(histogram.buckets.map(bucket => [bucket.local, bucket.total])).toEqual([
+      ['2023-12-30T00:00', 0],
+      ['2023-12-31T00:00', 0],
+      ['2024-01-01T00:00', 4],
+      ['2024-01-02T00:00', 0]
+    ]);
+  });
+
+  test('should bucket days by local midnight in the requested time zone', () => {
+    // 2024-01-01T23:30 in New York is already 2 January in UTC
+    const histogram = buildHistogram([makeLog('info', '2024-01-02T04:30:00Z'), makeLog('info', '2024-01-01T10:00:00Z')], {
+      interval: '1d',
+      timeZone: 'America/New_York'
+    });
+    expect(histogram.buckets).toHaveLength(1);
+    expect(histogram.buckets[0]).toMatchObject({ start: '2024-01-01T05:00:00.000Z', local: '2024-01-01T00:00', total: 2 });
+  });
+
+  test('should handle half-hour offsets and DST changes', () => {
+    const kolkata = buildHistogram([makeLog('info', '2024-01-01T10:45:00Z')], { interval: '1h', timeZone: 'Asia/Kolkata' });
+    expect(kolkata.buckets[0]).toMatchObject({ start: '2024-01-01T10:30:00.000Z', local: '2024-01-01T16:00' });
+
+    // Berlin switches to summer time on 31 March 2024, so that local day is 23 hours long
+    const berlin = buildHistogram([makeLog('info', '2024-03-30T23:30:00Z'), makeLog('info', '2024-03-31T22:30:00Z')], {
+      interval: '1d',
+      timeZone: 'Europe/Berlin'
+    });
+    expect(berlin.buckets.map(bucket => [bucket.start, bucket.total])).toEqual([
+      ['2024-03-30T23:00:00.000Z', 1],
+      ['2024-03-31T22:00:00.000Z', 1]
+    ]);
+  });
+
+  test('should cover the repeated hour when the clocks fall back', () => {
+    // Berlin goes from 03:00 summer time back to 02:00 at 01:00Z on 27 October 2024, so the range
+    // starts at 02:00 local, runs to 02:59 and ends at 02:10 local
+    const histogram = buildHistogram([makeLog('info', '2024-10-27T00:45:00Z')], {
+      interval: '5m',
+      timeZone: 'Europe/Berlin',
+      start: '2024-10-27T00:00:00Z',
+      end: '2024-10-27T01:10:00Z'
+    });
+    expect(histogram.buckets).toHaveLength(12);
+    expect(histogram.buckets[0].local).toBe('2024-10-27T02:00');
+    expect(histogram.buckets[11].local).toBe('2024-10-27T02:55');
+    expect(histogram.buckets.filter(bucket => bucket.total > 0).map(bucket => bucket.local)).toEqual(['2024-10-27T02:45']);
+
+    const clock = createWallClock('Europe/Berlin');
+    expect(clock.wallRange(Date.parse('2024-10-27T00:00:00Z'), Date.parse('2024-10-27T01:10:00Z'))).toEqual({
+      min: Date.parse('2024-10-27T02:00:00Z'),
+      max: Date.parse('2024-10-27T02:59:59.999Z')
+    });
+  });
+
+  test('should return no buckets without data or bounds', () => {
+    expect(buildHistogram([], { interval: '1h' }).buckets).toEqual([]);
+  });
+
+  test('should refuse ranges that need too many buckets', () => {
+    expect(() => buildHistogram(logs, { interval: '1m', start: '2020-01-01T00:00:00Z' })).toThrow(/limit is 10000/);
+
+    // Refused before the range is walked day by day in a named zone
+    const started = Date.now();
+    expect(() => buildHistogram(logs, {
+      interval: '1d',
+      timeZone: 'Europe/Berlin',
+      start: '0001-01-01T00:00:00Z',
+      end: '9999-01-01T00:00:00Z'
+    })).toThrow(/limit is 10000/);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should validate interval and timezone', () => {
+    expect(parseHistogramParams({ interval: '1h' })).toEqual({ valid: true, interval: '1h', timeZone: 'UTC' });
+    expect(parseHistogramParams({ interval: '2h' }).error).toBe('Invalid interval. Must be one of: 1m, 5m, 1h, 1d');
+    expect(parseHistogramParams({ interval: '1h', timezone: 'Atlantis/Capital' }).valid).toBe(false);
+  });
+
+  test('should convert between instants and wall times', () => {
+    const clock = createWallClock('Asia/Kolkata');
+    const instant = Date.parse('2024-01-01T10:00:00Z');
+    expect(clock.toWall(instant)).toBe(Date.parse('2024-01-01T15:30:00Z'));
+    expect(clock.toInstant(clock.toWall(instant))).toBe(instant);
+  });
+});
+
+describe('GET /logs/histogram', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-histogram-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should bucket the logs matching the filters', async () => {
+    const res = await request(app).get('/logs/histogram').query({ interval: '1h', level: 'error' });
+    expect(res.status).toBe(200);
+    expect(res.body.buckets.map(bucket => bucket.byLevel.error)).toEqual([1, 0, 1]);
+    expect(res.body.timezone).toBe('UTC');
+  });
+
+  test('should reject bad params', async () => {
+    expect((await request(app).get('/logs/histogram')).status).toBe(400);
+    expect((await request(app).get('/logs/histogram').query({ interval: '1h', timezone: 'Nowhere' })).status).toBe(400);
+
+    const tooMany = await request(app).get('/logs/histogram').query({ interval: '1m', timestamp_start: '2000-01-01T00:00:00Z' });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.error).toMatch(/Use a larger interval/);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for ULID-style log IDs and GET /logs/:id
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { generateId, isUlid, normalizeId, idTimestamp } = require('../lib/ids');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-ids-'));
+process.env.STORAGE_ADAPTER = 'segments';
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+
+const app = require('../server');
+
+const sampleLog = {
+  level: 'info',
+  message: 'ID test entry',
+  resourceId: 'id-service-01',
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-id',
+  spanId: 'span-id',
+  commit: 'abc123',
+  metadata: {}
+};
+
+describe('ULID generation', () => {
+
+  test('should produce 26 character Crockford base32 IDs', () => {
+    const id = generateId();
+    expect(id).toHaveLength(26);
+    expect(isUlid(id)).toBe(true);
+  });
+
+  test('should stay unique and sorted within the same millisecond', () => {
+    const now = Date.now();
+    const ids = Array.from({ length: 1000 }, () => generateId(now));
+    expect(new Set(ids).size).toBe(1000);
+    expect([...ids].sort()).toEqual(ids);
+  });
+
+  test('should sort by creation time across milliseconds', () => {
+    const earlier = generateId(Date.now() + 1000);
+    const later = generateId(Date.now() + 2000);
+    expect(earlier < later).toBe(true);
+  });
+
+  test('should decode the embedded timestamp', () => {
+    const now = Date.now() + 5000;
+    expect(idTimestamp(generateId(now))).toBe(now);
+    expect(idTimestamp('1755066867776')).toBeNull();
+  });
+
+  test('should normalize ULID case but leave legacy IDs alone', () => {
+    const id = generateId();
+    expect(normalizeId(id.toLowerCase())).toBe(id);
+    expect(normalizeId('1755066867776')).toBe('1755066867776');
+  });
+});
+
+describe('GET /logs/:id', () => {
+
+  beforeAll(async () => {
+    fs.writeFileSync(process.env.LOGS_DB_FILE, JSON.stringify({
+      logs: [{ id: '1755066867776', ...sampleLog, message: 'Legacy entry', ingestedAt: '2025-08-13T06:34:27.776Z' }]
+    }));
+    await app.initializeDatabase();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return an ingested log by its ULID', async () => {
+    const created = await request(app).post('/logs').send(sampleLog);
+    expect(isUlid(created.body.log.id)).toBe(true);
+
+    const res = await request(app).get(`/logs/${created.body.log.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(created.body.log);
+  });
+
+  test('should accept a lowercase ULID', async () => {
+    const created = await request(app).post('/logs').send(sampleLog);
+    const res = await request(app).get(`/logs/${created.body.log.id.toLowerCase()}`);
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(created.body.log.id);
+  });
+
+  test('should still resolve legacy numeric IDs', async () => {
+    const res = await request(app).get('/logs/1755066867776');
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Legacy entry');
+  });
+
+  test('should return 404 for unknown IDs', async () => {
+    const res = await request(app).get('/logs/01ARZ3NDEKTSV4RRFFQ69G5FAV');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Log not found');
+  });
+
+  test('should assign distinct IDs to every entry of a batch', async () => {
+    const res = await request(app).post('/logs/batch').send(Array.from({ length: 20 }, () => sampleLog));
+    const ids = res.body.results.map(result => result.id);
+    expect(new Set(ids).size).toBe(20);
+    expect(ids.every(isUlid)).toBe(true);
+  });
+
+  test('should ignore client-sent IDs and ingestion times', async () => {
+    const spoofed = { ...sampleLog, id: 'ZZZZZZZZZZZZZZZZZZZZZZZZZZ', ingestedAt: '2000-01-01T00:00:00.000Z' };
+    const single = await request(app).post('/logs').send(spoofed);
+    const batch = await request(app).post('/logs/batch').send([spoofed, spoofed]);
+
+    const ids = [single.body.log.id, ...batch.body.results.map(result => result.id)];
+    expect(ids.every(isUlid)).toBe(true);
+    expect(new Set(ids).size).toBe(3);
+    expect(single.body.log.ingestedAt).not.toBe('2000-01-01T00:00:00.000Z');
+    expect((await request(app).get('/logs/ZZZZZZZZZZZZZZZZZZZZZZZZZZ')).status).toBe(404);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for the live feed: filter-scoped subscriptions and replay of missed logs after a reconnect
+ */
+
+const { createAccessControl } = require('../access');
+const { createLiveFeed } = require('../liveFeed');
+const { applyFilters } = require('../lib/filters');
+const { generateId } = require('../lib/ids');
+const { parseSubscription } = require('../lib/subscriptions');
+
+const logs = [
+  { id: '1', level: 'error', message: 'Database connection failed: Connection timeout after 30 seconds', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00.000Z', traceId: 'trace-db-001', spanId: 'span-conn-001', commit: '5e5342f', metadata: { connectionPool: 'main-pool' } },
+  { id: '2', level: 'warn', message: 'High memory usage detected', resourceId: 'app-server-02', timestamp: '2024-01-01T11:00:00.000Z', traceId: 'trace-memory-001', spanId: 'span-monitor-001', commit: '7a8b9c1', metadata: { usagePercent: 85 } },
+  { id: '3', level: 'info', message: 'User authentication successful', resourceId: 'app-server-01', timestamp: '2024-01-01T12:00:00.000Z', traceId: 'trace-auth-001', spanId: 'span-login-001', commit: '3f4e5d2', metadata: {} }
+];
+
+// Just enough of socket.io for the feed: connection events, per-socket data, emit and acks
+const createFakeIo = () => {
+  const sockets = new Map();
+  let onConnection;
+  return {
+    on: (event, handler) => { onConnection = handler; },
+    of: () => ({ sockets }),
+    connect(id) {
+      const handlers = {};
+      const socket = {
+        id,
+        data: {},
+        received: [],
+        on: (event, handler) => { handlers[event] = handler; },
+        emit: (event, payload) => socket.received.push([event, payload]),
+        // Deliver a client message and resolve with the acknowledgement
+        send: (event, ...args) => new Promise(resolve => handlers[event](...args, resolve))
+      };
+      sockets.set(id, socket);
+      onConnection(socket);
+      return socket;
+    }
+  };
+};
+
+const ids = (socket) => socket.received.flatMap(([, event]) => (event.log ? [event.log] : event.logs)).map(log => log.id);
+
+describe('parseSubscription', () => {
+
+  test('should match like GET /logs filters', () => {
+    const { matches } = parseSubscription({ level: 'error,warn', 'resourceId!': 'db-*' });
+    expect(logs.filter(matches).map(log => log.id)).toEqual(['2']);
+    expect(logs.filter(parseSubscription({ q: 'level:info OR metadata.usagePercent>80' }).matches).map(log => log.id)).toEqual(['2', '3']);
+  });
+
+  test('should match full-text searches against messages and metadata', () => {
+    expect(logs.filter(parseSubscription({ search: 'connection timeout' }).matches).map(log => log.id)).toEqual(['1']);
+    expect(logs.filter(parseSubscription({ search: 'main-pool' }).matches).map(log => log.id)).toEqual(['1']);
+    expect(logs.filter(parseSubscription({ search: 'main-pool' }, { indexMetadata: false }).matches)).toEqual([]);
+  });
+
+  test('should ignore page params and empty values', () => {
+    expect(parseSubscription({ level: 'warn', resourceId: '', sort: 'newest', limit: '50', include_archived: 'true' }).filters).toEqual({ level: 'warn' });
+  });
+
+  test('should reject malformed subscriptions', () => {
+    expect(parseSubscription('level=error').error).toBe('Subscription must be an object of GET /logs filter params');
+    expect(parseSubscription({ level: 5 }).error).toBe('Subscription filter level must be a string or a list of strings');
+    expect(parseSubscription({ q: 'level:' }).valid).toBe(false);
+  });
+});
+
+describe('live feed', () => {
+  let io;
+  let feed;
+
+  beforeEach(() => {
+    io = createFakeIo();
+    feed = createLiveFeed({ io });
+  });
+
+  test('should send everything to clients without a subscription', () => {
+    const socket = io.connect('a');
+    feed.publish('logIngested', [logs[0]], 1);
+    feed.publish('logsIngested', logs.slice(1), 3);
+
+    expect(socket.received).toEqual([
+      ['newLog', { type: 'logIngested', log: logs[0], totalLogs: 1 }],
+      ['newLog', { type: 'logsIngested', logs: logs.slice(1), totalLogs: 3 }]
+    ]);
+  });
+
+  test('should route only matching logs to subscribed clients', async () => {
+    const errors = io.connect('errors');
+    const apps = io.connect('apps');
+    expect(await errors.send('subscribe', { level: 'error' })).toEqual({ ok: true, filters: { level: 'error' } });
+    await apps.send('subscribe', { resourceId: 'app-server-*' });
+
+    feed.publish('logsIngested', logs, 3);
+    feed.publish('logIngested', [logs[2]], 4);
+
+    expect(errors.received).toEqual([['newLog', { type: 'logsIngested', logs: [logs[0]], totalLogs: 3 }]]);
+    expect(ids(apps)).toEqual(['2', '3', '3']);
+  });
+
+  test('should switch subscriptions without reconnecting', async () => {
+    const socket = io.connect('a');
+    await socket.send('subscribe', { level: 'error' });
+    feed.publish('logsIngested', logs, 3);
+
+    await socket.send('subscribe', { level: 'info' });
+    feed.publish('logsIngested', logs, 3);
+
+    expect(await socket.send('unsubscribe')).toEqual({ ok: true });
+    feed.publish('logsIngested', logs, 3);
+
+    expect(ids(socket)).toEqual(['1', '3', '1', '2', '3']);
+  });
+
+  test('should keep the previous subscription when a new one is invalid', async () => {
+    const socket = io.connect('a');
+    await socket.send('subscribe', { level: 'warn' });
+    const ack = await socket.send('subscribe', { message: '/(a+)+/' });
+
+    expect(ack.ok).toBe(false);
+    expect(ack.error).toMatch(/pattern rejected/);
+    feed.publish('logsIngested', logs, 3);
+    expect(ids(socket)).toEqual(['2']);
+  });
+
+  test('should apply the socket access to logs, subscriptions and alerts', async () => {
+    // A support key limited to app servers, authenticated the way the socket.io middleware does it
+    const store = { verify: () => ({ role: 'support', scopes: ['query'], allowsResource: id => id.startsWith('app-server-') }) };
+    const accessControl = createAccessControl({ store, enabled: true, redactedMetadata: ['usagePercent'] });
+    const socket = io.connect('support');
+    accessControl.socketMiddleware({ handshake: { auth: { apiKey: 'key' }, headers: {} }, data: socket.data }, () => {});
+
+    expect(await socket.send('subscribe', { 'metadata.usagePercent>': '80' })).toEqual({ ok: false, error: 'Filtering on redacted field metadata.usagePercent is not allowed' });
+    feed.publish('logsIngested', logs, 3);
+    feed.publishAlert({ ruleName: 'DB errors', resourceIds: ['db-server-01'] });
+    feed.publishAlert({ ruleName: 'Memory', resourceIds: ['app-server-02'] });
+
+    expect(socket.received).toEqual([
+      ['newLog', { type: 'logsIngested', logs: [{ ...logs[1], metadata: { usagePercent: '[REDACTED]' } }, logs[2]], totalLogs: 3 }],
+      ['alert', { ruleName: 'Memory', resourceIds: ['app-server-02'] }]
+    ]);
+  });
+});
+
+describe('replay after reconnect', () => {
+  const now = Date.now();
+  // Logs ingested one second apart, the last one a second ago
+  const stored = [...logs, { ...logs[0], message: 'Database connection restored', level: 'info' }]
+    .map((log, index) => ({ ...log, id: generateId(now - (4 - index) * 1000) }));
+
+  let io;
+  let feed;
+  let scanGate;
+
+  // Storage stand-in whose scans can be held open to interleave live events with a replay
+  const storage = {
+    scan: async (filters) => {
+      await scanGate;
+      return applyFilters(stored, filters);
+    },
+    count: async () => stored.length
+  };
+
+  beforeEach(() => {
+    scanGate = Promise.resolve();
+    io = createFakeIo();
+    feed = createLiveFeed({ io, storage, replay: { maxLogs: 3, maxAgeMs: 60 * 1000 } });
+  });
+
+  test('should replay the matching logs after the last seen ID in ingestion order', async () => {
+    const socket = io.connect('a');
+    await socket.send('subscribe', { resourceId: 'db-server-01' });
+    const ack = await socket.send('replay', { after: stored[0].id.toLowerCase() });
+
+    expect(ack).toEqual({ ok: true, replayed: 1 });
+    expect(socket.received).toEqual([['newLog', { type: 'logsReplayed', logs: [stored[3]], totalLogs: 4 }]]);
+  });
+
+  test('should hold back live events until the replay is sent', async () => {
+    const socket = io.connect('a');
+    let openScan;
+    scanGate = new Promise(resolve => { openScan = resolve; });
+
+    const replay = socket.send('replay', { after: stored[1].id });
+    // One log already in storage (and so in the replay), one arriving after the scan
+    feed.publish('logIngested', [stored[3]], 4);
+    feed.publish('logIngested', [{ ...logs[1], id: generateId() }], 5);
+    expect(socket.received).toEqual([]);
+
+    openScan();
+    expect(await replay).toEqual({ ok: true, replayed: 2 });
+    expect(socket.received.map(([, event]) => event.type)).toEqual(['logsReplayed', 'logIngested']);
+    expect(ids(socket)).toEqual([stored[2].id, stored[3].id, expect.any(String)]);
+
+    feed.publish('logIngested', [stored[0]], 6);
+    expect(socket.received).toHaveLength(3);
+  });
+
+  test('should ask for a resync when the gap cannot be replayed', async () => {
+    const socket = io.connect('a');
+    // Same millisecond as the first stored log but sorting before it, so all four logs were missed
+    const beforeAll = stored[0].id.slice(0, 10) + '0'.repeat(16);
+    expect(await socket.send('replay', { after: beforeAll })).toEqual({ ok: false, resyncRequired: true, error: 'Missed more than 3 logs' });
+
+    // Reconnecting two minutes later is outside the 60s window
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60 * 1000);
+    try {
+      expect(await socket.send('replay', { after: stored[3].id })).toEqual({ ok: false, resyncRequired: true, error: 'Disconnected for longer than the 60s replay window' });
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    expect(await socket.send('replay', { after: '42' })).toMatchObject({ ok: false, resyncRequired: true });
+    expect(await socket.send('replay', null)).toMatchObject({ ok: false, resyncRequired: true });
+
+    expect(socket.received.map(([event]) => event)).toEqual(['resyncRequired', 'resyncRequired', 'resyncRequired', 'resyncRequired']);
+    expect(socket.received[0][1]).toEqual({ reason: 'Missed more than 3 logs' });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for metadata.<path> filters on GET /logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { applyFilters, InvalidFilterError } = require('../lib/filters');
+const { getFieldValues } = require('../lib/fieldPath');
+
+const logs = [
+  { id: '1', level: 'error', message: 'Database connection failed', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00Z', traceId: 'trace-db-001', spanId: 'span-conn-001', commit: '5e5342f', metadata: { retryCount: 3, connectionPool: 'main-pool', replicas: [{ host: 'db-02', lagMs: 120 }, { host: 'db-03', lagMs: 4000 }] } },
+  { id: '2', level: 'warn', message: 'Disk space running low', resourceId: 'storage-server-01', timestamp: '2024-01-01T11:00:00Z', traceId: 'trace-disk-001', spanId: 'span-check-001', commit: '8b9c0d3', metadata: { partition: '/var/log', usagePercent: 95, tags: ['disk', 'capacity'] } },
+  { id: '3', level: 'warn', message: 'High memory usage detected', resourceId: 'app-server-02', timestamp: '2024-01-01T12:00:00Z', traceId: 'trace-memory-001', spanId: 'span-monitor-001', commit: '7a8b9c1', metadata: { usagePercent: 85, tags: ['memory'], limits: { soft: 80, hard: 95 } } },
+  { id: '4', level: 'info', message: 'User authentication successful', resourceId: 'auth-service-01', timestamp: '2024-01-01T13:00:00Z', traceId: 'trace-auth-001', spanId: 'span-login-001', commit: '3f4e5d2', metadata: { userId: 'user-123', verified: true } }
+];
+
+const ids = (filters) => applyFilters(logs, filters).map(log => log.id);
+
+describe('getFieldValues', () => {
+
+  test('should resolve nested objects and traverse arrays', () => {
+    expect(getFieldValues(logs[2], 'metadata.limits.hard')).toEqual([95]);
+    expect(getFieldValues(logs[1], 'metadata.tags')).toEqual(['disk', 'capacity']);
+    expect(getFieldValues(logs[0], 'metadata.replicas.host')).toEqual(['db-02', 'db-03']);
+    expect(getFieldValues(logs[0], 'metadata.replicas.1.lagMs')).toEqual([4000]);
+    expect(getFieldValues(logs[0], 'metadata.missing.path')).toEqual([]);
+  });
+});
+
+describe('metadata filters', () => {
+
+  test('should match values by equality', () => {
+    expect(ids({ 'metadata.connectionPool': 'main-pool' })).toEqual(['1']);
+    expect(ids({ 'metadata.usagePercent': '95' })).toEqual(['2']);
+    expect(ids({ 'metadata.verified': 'true' })).toEqual(['4']);
+  });
+
+  test('should match inside nested objects and arrays', () => {
+    expect(ids({ 'metadata.limits.soft': '80' })).toEqual(['3']);
+    expect(ids({ 'metadata.tags': 'memory' })).toEqual(['3']);
+    expect(ids({ 'metadata.replicas.host': 'db-03' })).toEqual(['1']);
+  });
+
+  test('should support numeric range operators as sent by the query string', () => {
+    // ?metadata.usagePercent>=90 arrives as key "metadata.usagePercent>" with value "90"
+    expect(ids({ 'metadata.usagePercent>': '90' })).toEqual(['2']);
+    expect(ids({ 'metadata.usagePercent<': '85' })).toEqual(['3']);
+    expect(ids({ 'metadata.usagePercent>85': '' })).toEqual(['2']);
+    expect(ids({ 'metadata.usagePercent>=85': '' })).toEqual(['3', '2']);
+    expect(ids({ 'metadata.replicas.lagMs>1000': '' })).toEqual(['1']);
+  });
+
+  test('should check whether a path exists', () => {
+    expect(ids({ 'metadata.userId:exists': 'true' })).toEqual(['4']);
+    expect(ids({ 'metadata.userId:exists': '' })).toEqual(['4']);
+    expect(ids({ 'metadata.usagePercent:exists': 'false' })).toEqual(['4', '1']);
+  });
+
+  test('should combine metadata filters with the other params', () => {
+    expect(ids({ level: 'warn', 'metadata.tags': 'disk' })).toEqual(['2']);
+    expect(ids({ 'metadata.usagePercent>': '80', 'metadata.usagePercent<': '90' })).toEqual(['3']);
+  });
+
+  test('should reject malformed filters', () => {
+    expect(() => applyFilters(logs, { 'metadata.usagePercent>': 'high' })).toThrow(InvalidFilterError);
+    expect(() => applyFilters(logs, { 'metadata.userId:exists': 'maybe' })).toThrow(InvalidFilterError);
+    expect(() => applyFilters(logs, { 'metadata..userId': 'x' })).toThrow('path segments must not be empty');
+  });
+});
+
+describe('metadata filters on GET /logs', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-metadata-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs.map(({ id, ...log }) => log));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should parse operators straight from the URL', async () => {
+    const res = await request(app).get('/logs?metadata.usagePercent>=90');
+    expect(res.status).toBe(200);
+    expect(res.body.map(log => log.resourceId)).toEqual(['storage-server-01']);
+
+    const pool = await request(app).get('/logs?metadata.connectionPool=main-pool');
+    expect(pool.body.map(log => log.resourceId)).toEqual(['db-server-01']);
+  });
+
+  test('should return malformed filters as 400 responses', async () => {
+    const res = await request(app).get('/logs?metadata.usagePercent>=high');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid metadata filter "metadata.usagePercent>": comparison \'>=\' needs a number, got "high"');
+  });
+});
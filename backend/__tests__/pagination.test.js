@@ -0,0 +1,126 @@
+/**
+ * Tests for cursor-based pagination of GET /logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { parsePageParams, paginate, encodeCursor } = require('../lib/pagination');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-pagination-'));
+process.env.STORAGE_ADAPTER = 'segments';
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+
+const app = require('../server');
+
+const makeLog = (i, overrides = {}) => ({
+  level: i % 2 === 0 ? 'error' : 'info',
+  message: `Paged log ${i}`,
+  resourceId: 'page-service-01',
+  // Pairs of logs share a timestamp to exercise the ID tie-breaker
+  timestamp: new Date(Date.UTC(2024, 0, 1, 0, Math.floor(i / 2))).toISOString(),
+  traceId: `trace-${i}`,
+  spanId: `span-${i}`,
+  commit: 'abc123',
+  metadata: { index: i },
+  ...overrides
+});
+
+// Follow nextCursor until the last page
+const collectPages = async (query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const res = await request(app).get('/logs').query({ ...query, ...(cursor ? { cursor } : {}) });
+    expect(res.status).toBe(200);
+    pages.push(res.body);
+    cursor = res.body.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('pagination helpers', () => {
+
+  test('should return null page params for legacy requests', () => {
+    expect(parsePageParams({})).toEqual({ valid: true, page: null });
+  });
+
+  test('should validate limit and cursor', () => {
+    expect(parsePageParams({ limit: '0' }).valid).toBe(false);
+    expect(parsePageParams({ limit: '5000' }).valid).toBe(false);
+    expect(parsePageParams({ limit: 'ten' }).valid).toBe(false);
+    expect(parsePageParams({ cursor: 'garbage' })).toEqual({ valid: false, error: 'Invalid cursor' });
+    expect(parsePageParams({ cursor: '' }).page).toEqual({ limit: 100, after: null });
+  });
+
+  test('should resume strictly after the cursor position', () => {
+    const logs = [
+      { id: 'b', timestamp: '2024-01-01T00:00:02Z' },
+      { id: 'b', timestamp: '2024-01-01T00:00:01Z' },
+      { id: 'a', timestamp: '2024-01-01T00:00:01Z' }
+    ];
+    const { page } = parsePageParams({ limit: '2', cursor: encodeCursor(logs[1]) });
+    expect(paginate(logs, page).items).toEqual([logs[2]]);
+  });
+});
+
+describe('GET /logs with limit and cursor', () => {
+
+  beforeAll(async () => {
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(Array.from({ length: 25 }, (_, i) => makeLog(i)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should keep the bare array response without limit or cursor', async () => {
+    const res = await request(app).get('/logs');
+    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body).toHaveLength(25);
+  });
+
+  test('should return an envelope with items, nextCursor and total', async () => {
+    const res = await request(app).get('/logs').query({ limit: 10 });
+    expect(res.body.items).toHaveLength(10);
+    expect(typeof res.body.nextCursor).toBe('string');
+    expect(res.body.total).toBe(25);
+  });
+
+  test('should walk every log exactly once in order', async () => {
+    const pages = await collectPages({ limit: 7 });
+    const ids = pages.flatMap(page => page.items.map(log => log.id));
+    const all = (await request(app).get('/logs')).body.map(log => log.id);
+
+    expect(pages).toHaveLength(4);
+    expect(ids).toEqual(all);
+    expect(pages[pages.length - 1].nextCursor).toBeNull();
+  });
+
+  test('should not shift pages when newer logs arrive between requests', async () => {
+    const first = await request(app).get('/logs').query({ limit: 5 });
+    const created = await request(app).post('/logs').send(makeLog(100, { timestamp: '2030-01-01T00:00:00Z' }));
+    const second = await request(app).get('/logs').query({ limit: 5, cursor: first.body.nextCursor });
+
+    const withoutNewLog = (await request(app).get('/logs')).body
+      .map(log => log.id)
+      .filter(id => id !== created.body.log.id);
+    expect(second.body.items.map(log => log.id)).toEqual(withoutNewLog.slice(5, 10));
+  });
+
+  test('should paginate filtered results', async () => {
+    const pages = await collectPages({ level: 'error', limit: 4 });
+    const items = pages.flatMap(page => page.items);
+    expect(items.every(log => log.level === 'error')).toBe(true);
+    expect(pages[0].total).toBe(items.length);
+  });
+
+  test('should reject an invalid cursor with 400', async () => {
+    const res = await request(app).get('/logs').query({ cursor: 'not-a-cursor' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+});
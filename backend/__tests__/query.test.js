@@ -0,0 +1,148 @@
+/**
+ * Tests for the q query language on GET /logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { parse, compileQuery, QuerySyntaxError } = require('../lib/query');
+const { applyFilters } = require('../lib/filters');
+
+const logs = [
+  { id: '1', level: 'error', message: 'Database connection failed: Connection timeout after 30 seconds', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00Z', traceId: 'trace-db-001', spanId: 'span-conn-001', commit: '5e5342f', metadata: { retryCount: 3, connectionPool: 'main-pool' } },
+  { id: '2', level: 'warn', message: 'Slow query detected', resourceId: 'db-server-02', timestamp: '2024-01-01T11:00:00Z', traceId: 'trace-db-002', spanId: 'span-query-001', commit: '5e5342f', metadata: { retryCount: 1 } },
+  { id: '3', level: 'warn', message: 'High memory usage detected: 85% of available memory in use', resourceId: 'app-server-02', timestamp: '2024-01-01T12:00:00Z', traceId: 'trace-memory-001', spanId: 'span-monitor-001', commit: '7a8b9c1', metadata: { currentUsage: 85 } },
+  { id: '4', level: 'error', message: 'Replica lag exceeded', resourceId: 'db-server-03', timestamp: '2024-01-01T13:00:00Z', traceId: 'trace-db-003', spanId: 'span-repl-001', commit: '5e5342f', metadata: { retryCount: 5 } },
+  { id: '5', level: 'info', message: 'User authentication successful', resourceId: 'auth-service-01', timestamp: '2024-01-01T14:00:00Z', traceId: 'trace-auth-001', spanId: 'span-login-001', commit: '3f4e5d2', metadata: { userId: 'user-123' } }
+];
+
+const search = (q) => logs.filter(compileQuery(q)).map(log => log.id);
+
+describe('query evaluation', () => {
+
+  test('should answer the errors-or-warnings example', () => {
+    expect(search('(level:error OR level:warn) AND resourceId:db-* AND commit:5e5342f AND metadata.retryCount > 2'))
+      .toEqual(['1', '4']);
+  });
+
+  test('should treat juxtaposition as AND and bind AND tighter than OR', () => {
+    expect(search('level:error resourceId:db-server-03')).toEqual(['4']);
+    expect(search('level:info OR level:error AND metadata.retryCount >= 5')).toEqual(['4', '5']);
+  });
+
+  test('should support NOT and leading minus', () => {
+    expect(search('NOT level:error')).toEqual(['2', '3', '5']);
+    expect(search('-resourceId:db-* -level:info')).toEqual(['3']);
+  });
+
+  test('should match bare words and quoted phrases against the message', () => {
+    expect(search('timeout')).toEqual(['1']);
+    expect(search('"memory usage"')).toEqual(['3']);
+    expect(search('message:"connection timeout"')).toEqual(['1']);
+    expect(search('DETECTED')).toEqual(['2', '3']);
+  });
+
+  test('should support wildcards in field values', () => {
+    expect(search('resourceId:*-server-0?')).toEqual(['1', '2', '3', '4']);
+    expect(search('traceId:trace-db-*')).toEqual(['1', '2', '4']);
+    expect(search('message:repl*lag')).toEqual(['4']);
+  });
+
+  test('should compare numbers and timestamps', () => {
+    expect(search('metadata.retryCount < 2')).toEqual(['2']);
+    expect(search('metadata.retryCount:>=3')).toEqual(['1', '4']);
+    expect(search('timestamp >= "2024-01-01T13:00:00Z"')).toEqual(['4', '5']);
+  });
+
+  test('should match nested metadata values exactly', () => {
+    expect(search('metadata.connectionPool:main-pool')).toEqual(['1']);
+    expect(search('metadata.retryCount:3')).toEqual(['1']);
+    expect(search('metadata.missing:x')).toEqual([]);
+  });
+
+  test('should not confuse negative numbers with negation', () => {
+    expect(parse('metadata.delta > -5')).toEqual({ type: 'term', field: 'metadata.delta', op: '>', value: '-5', quoted: false });
+  });
+});
+
+describe('query syntax errors', () => {
+
+  const errorFor = (q) => {
+    try {
+      compileQuery(q);
+    } catch (error) {
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      return error.message;
+    }
+    throw new Error(`Expected "${q}" to fail`);
+  };
+
+  test('should report unbalanced parentheses', () => {
+    expect(errorFor('(level:error OR level:warn')).toBe("Missing closing ')' for '(' at column 1");
+    expect(errorFor('level:error)')).toBe("Unexpected ')' at column 12");
+  });
+
+  test('should report missing values and operands', () => {
+    expect(errorFor('level:')).toBe("Expected a value after 'level:' but found end of query at column 1");
+    expect(errorFor('level:error AND')).toBe('Expected a search term but the query ended at column 16');
+    expect(errorFor('OR level:error')).toBe('Unexpected OR at column 1');
+  });
+
+  test('should report unknown fields and bad comparisons', () => {
+    expect(errorFor('levle:error')).toMatch(/^Unknown field "levle"/);
+    expect(errorFor('metadata.retryCount > many')).toBe('Comparison \'>\' on metadata.retryCount needs a number, got "many" at column 23');
+    expect(errorFor('timestamp > yesterday')).toMatch(/needs an ISO 8601 date/);
+  });
+
+  test('should report unterminated phrases and empty queries', () => {
+    expect(errorFor('message:"timeout')).toBe('Unterminated quoted phrase at column 9');
+    expect(errorFor('   ')).toBe('Query is empty at column 1');
+  });
+
+  test('should refuse queries nested too deeply', () => {
+    expect(errorFor(`${'('.repeat(5000)}level:error${')'.repeat(5000)}`)).toBe('Query nests deeper than 100 levels at column 101');
+    expect(errorFor(`${'NOT '.repeat(200)}level:error`)).toBe('Query nests deeper than 100 levels at column 401');
+    expect(() => compileQuery(`${'('.repeat(100)}level:error${')'.repeat(100)}`)).not.toThrow();
+  });
+});
+
+describe('q on GET /logs', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-query-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs.map(({ id, ...log }) => log));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should combine q with the existing params', async () => {
+    const res = await request(app).get('/logs').query({ q: 'resourceId:db-* AND metadata.retryCount > 2', level: 'error' });
+    expect(res.status).toBe(200);
+    expect(res.body.map(log => log.resourceId)).toEqual(['db-server-03', 'db-server-01']);
+  });
+
+  test('should return syntax errors as 400 responses', async () => {
+    const res = await request(app).get('/logs').query({ q: 'level:error AND (' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid query: Expected a search term but the query ended at column 18');
+    expect(res.body.position).toBe(17);
+
+    const deep = await request(app).get('/logs').query({ q: `${'('.repeat(1000)}level:error${')'.repeat(1000)}` });
+    expect(deep.status).toBe(400);
+  });
+
+  test('should run through applyFilters like the other params', () => {
+    expect(applyFilters(logs, { q: 'level:warn' }).map(log => log.id)).toEqual(['3', '2']);
+  });
+});
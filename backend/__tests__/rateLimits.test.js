@@ -0,0 +1,193 @@
+/**
+ * Tests for token-bucket rate limits and daily ingestion quotas per resource
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createIngestQuota, createTokenBuckets } = require('../rateLimits');
+
+const entry = (level, resourceId, message) => ({
+  level,
+  message,
+  resourceId,
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: '5e5342f',
+  metadata: {}
+});
+
+describe('token buckets', () => {
+
+  test('should allow a burst and then refill over time', () => {
+    const buckets = createTokenBuckets({ capacity: 3, refillPerSecond: 2 });
+    const now = Date.parse('2024-01-01T10:00:00Z');
+
+    expect([1, 2, 3].map(() => buckets.take('a', now).allowed)).toEqual([true, true, true]);
+    expect(buckets.take('a', now)).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 1 });
+    // Other clients have their own bucket
+    expect(buckets.take('b', now)).toEqual({ allowed: true, remaining: 2 });
+
+    expect(buckets.take('a', now + 500)).toEqual({ allowed: true, remaining: 0 });
+    expect(buckets.take('a', now + 500).allowed).toBe(false);
+    expect(buckets.take('a', now + 10000)).toEqual({ allowed: true, remaining: 2 });
+  });
+
+  test('should report when the next token is due', () => {
+    const buckets = createTokenBuckets({ capacity: 1, refillPerSecond: 0.1 });
+    buckets.take('a', 0);
+    expect(buckets.take('a', 2000).retryAfterSeconds).toBe(8);
+  });
+
+  test('should forget buckets that refilled completely', () => {
+    const buckets = createTokenBuckets({ capacity: 2, refillPerSecond: 1 });
+    buckets.take('a', 0);
+    buckets.take('b', 0);
+    expect(buckets.size()).toBe(2);
+    buckets.take('c', 2 * 60 * 1000);
+    expect(buckets.size()).toBe(1);
+  });
+});
+
+describe('ingest quota', () => {
+  const now = Date.parse('2024-01-01T22:00:00Z');
+
+  test('should shed debug logs first and then everything', () => {
+    const quota = createIngestQuota({ dailyLogsPerResource: 5, debugShare: 0.6 });
+    const admitted = (level, resourceId = 'db-server-01') => quota.admit({ level, resourceId }, now).allowed;
+
+    expect([admitted('debug'), admitted('debug'), admitted('info')]).toEqual([true, true, true]);
+    expect(quota.admit({ level: 'debug', resourceId: 'db-server-01' }, now)).toEqual({
+      allowed: false,
+      retryAfterSeconds: 2 * 60 * 60,
+      error: 'Resource db-server-01 used 60% of its daily quota, debug logs are shed until midnight UTC'
+    });
+    expect([admitted('warn'), admitted('error'), admitted('error')]).toEqual([true, true, false]);
+    expect(quota.admit({ level: 'error', resourceId: 'db-server-01' }, now).error).toBe('Resource db-server-01 used its daily quota of 5 logs');
+
+    // Other resources and the next day start from zero
+    expect(admitted('debug', 'app-server-01')).toBe(true);
+    expect(quota.admit({ level: 'debug', resourceId: 'db-server-01' }, now + 2 * 60 * 60 * 1000).allowed).toBe(true);
+  });
+
+  test('should count logs already ingested today', () => {
+    const quota = createIngestQuota({ dailyLogsPerResource: 3 });
+    quota.init([
+      { resourceId: 'db-server-01', ingestedAt: '2024-01-01T08:00:00.000Z' },
+      { resourceId: 'db-server-01', ingestedAt: '2024-01-01T09:00:00.000Z' },
+      { resourceId: 'db-server-01', ingestedAt: '2023-12-31T09:00:00.000Z' },
+      { resourceId: 'db-server-01' }
+    ], now);
+
+    expect(quota.usage('db-server-01')).toBe(2);
+    expect(quota.admit({ level: 'error', resourceId: 'db-server-01' }, now).allowed).toBe(true);
+    expect(quota.admit({ level: 'error', resourceId: 'db-server-01' }, now).allowed).toBe(false);
+  });
+
+  test('should release the quota of logs that were not stored', () => {
+    const quota = createIngestQuota({ dailyLogsPerResource: 2 });
+    const log = { level: 'info', resourceId: 'db-server-01' };
+    quota.admit(log, now);
+    quota.admit(log, now);
+    expect(quota.admit(log, now).allowed).toBe(false);
+
+    quota.release([log], now);
+    expect(quota.usage('db-server-01')).toBe(1);
+    expect(quota.admit(log, now).allowed).toBe(true);
+  });
+
+  test('should allow everything without a quota', () => {
+    const quota = createIngestQuota();
+    expect(quota.admit({ level: 'debug', resourceId: 'a' }, now)).toEqual({ allowed: true });
+  });
+});
+
+describe('rate limited routes', () => {
+  let tmpDir;
+  let app;
+  const defaultConfig = process.env.EVALLO_CONFIG;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-rate-limits-'));
+    const configFile = path.join(tmpDir, 'config.js');
+    fs.writeFileSync(configFile, `module.exports = ${JSON.stringify({
+      rateLimit: { ingest: { capacity: 4, refillPerSecond: 0.01 }, query: { capacity: 2, refillPerSecond: 0.01 } },
+      quotas: { dailyLogsPerResource: 3, debugShare: 0.5 }
+    })};`);
+    process.env.EVALLO_CONFIG = configFile;
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterEach(() => {
+    process.env.EVALLO_CONFIG = defaultConfig;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should answer 429 with Retry-After once a budget is used up', async () => {
+    expect((await request(app).get('/logs')).headers['ratelimit-remaining']).toBe('1');
+    await request(app).get('/logs/stats');
+    const limited = await request(app).get('/logs');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('100');
+    expect(limited.body).toEqual({ error: 'Too many query requests, retry in 100s' });
+
+    // Ingestion has a budget of its own, and health checks are never limited
+    expect((await request(app).post('/logs').send(entry('info', 'app-server-01', 'ok'))).status).toBe(201);
+    expect((await request(app).get('/health')).status).toBe(200);
+  });
+
+  test('should give clients behind a trusted proxy their own budget', async () => {
+    const viaProxy = (ip) => request(app).get('/logs').set('X-Forwarded-For', ip);
+    await viaProxy('203.0.113.10');
+    await viaProxy('203.0.113.10');
+    expect((await viaProxy('203.0.113.10')).status).toBe(429);
+    expect((await viaProxy('203.0.113.20')).status).toBe(200);
+  });
+
+  test('should not use up the quota when a write fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const segments = path.join(tmpDir, 'segments');
+    fs.rmSync(segments, { recursive: true, force: true });
+    expect((await request(app).post('/logs').send(entry('info', 'db-server-01', 'Lost'))).status).toBe(500);
+    expect((await request(app).post('/logs/batch').send([
+      entry('info', 'db-server-01', 'Lost'),
+      entry('info', 'db-server-01', 'Lost')
+    ])).status).toBe(500);
+    console.error.mockRestore();
+
+    fs.mkdirSync(segments);
+    const stored = await request(app).post('/logs/batch').send([
+      entry('info', 'db-server-01', 'Stored'),
+      entry('info', 'db-server-01', 'Stored'),
+      entry('info', 'db-server-01', 'Stored')
+    ]);
+    expect(stored.status).toBe(201);
+  });
+
+  test('should shed debug logs over the daily quota', async () => {
+    const debug = await request(app).post('/logs/batch').send([
+      entry('debug', 'db-server-01', 'Cache miss'),
+      entry('debug', 'db-server-01', 'Cache miss'),
+      entry('error', 'db-server-01', 'Query failed')
+    ]);
+    expect(debug.status).toBe(207);
+    expect(debug.body.results.map(result => result.status)).toEqual(['created', 'rejected', 'created']);
+    expect(Number(debug.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await request(app).post('/logs').send(entry('warn', 'db-server-01', 'Slow query'))).status).toBe(201);
+    const full = await request(app).post('/logs').send(entry('error', 'db-server-01', 'Query failed'));
+    expect(full.status).toBe(429);
+    expect(full.body).toEqual({ error: 'Resource db-server-01 used its daily quota of 3 logs' });
+
+    const shed = await request(app).post('/logs/batch').send([entry('error', 'db-server-01', 'Query failed')]);
+    expect(shed.status).toBe(429);
+  });
+});
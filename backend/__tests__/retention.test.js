@@ -0,0 +1,188 @@
+/**
+ * Tests for retention policies and the background sweeper
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { compilePolicy, selectExpired, createRetentionSweeper } = require('../retention');
+const { createStorage } = require('../storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-03-01T00:00:00Z');
+
+const makeLog = (id, level, ageDays, overrides = {}) => ({
+  id,
+  level,
+  message: `Log ${id}`,
+  resourceId: 'app-server-01',
+  timestamp: new Date(NOW - ageDays * DAY).toISOString(),
+  traceId: `trace-${id}`,
+  spanId: `span-${id}`,
+  commit: 'abc123',
+  metadata: {},
+  ...overrides
+});
+
+// Newest first, as storage.scan() returns them
+const sortNewestFirst = (logs) => [...logs].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+describe('compilePolicy', () => {
+
+  test('should reject rules without a limit', () => {
+    expect(() => compilePolicy({ rules: [{ level: 'error' }] }))
+      .toThrow('Retention rule 1 (level=error) needs maxAge or maxBytesPerResource');
+  });
+
+  test('should reject unparseable durations and sizes', () => {
+    expect(() => compilePolicy({ rules: [{ level: 'debug', maxAge: 'one day' }] })).toThrow(/Invalid duration "one day"/);
+    expect(() => compilePolicy({ rules: [{ maxBytesPerResource: '10 parsecs' }] })).toThrow(/Invalid size/);
+  });
+
+  test('should reject a non-positive maxLogs', () => {
+    expect(() => compilePolicy({ maxLogs: 0 })).toThrow('maxLogs must be a positive integer');
+  });
+});
+
+describe('selectExpired', () => {
+
+  const policy = compilePolicy({
+    rules: [
+      { level: 'error', maxAge: '30d' },
+      { level: 'debug', maxAge: '1d' }
+    ]
+  });
+
+  test('should keep errors for 30 days and debug for 1 day', () => {
+    const logs = sortNewestFirst([
+      makeLog('e-new', 'error', 10),
+      makeLog('e-old', 'error', 31),
+      makeLog('d-new', 'debug', 0.5),
+      makeLog('d-old', 'debug', 2),
+      makeLog('i-old', 'info', 365)
+    ]);
+
+    const expired = selectExpired(logs, policy, NOW);
+    expect([...expired.keys()].sort()).toEqual(['d-old', 'e-old']);
+    expect(expired.get('e-old')).toBe('level=error maxAge=30d');
+  });
+
+  test('should let the first matching rule decide the age limit', () => {
+    const ordered = compilePolicy({
+      rules: [
+        { level: 'error', maxAge: '30d' },
+        { maxAge: '7d' }
+      ]
+    });
+    const logs = sortNewestFirst([makeLog('error', 'error', 10), makeLog('info', 'info', 10)]);
+
+    expect([...selectExpired(logs, ordered, NOW).keys()]).toEqual(['info']);
+  });
+
+  test('should cap total size per resource and keep the newest logs', () => {
+    const sized = compilePolicy({ rules: [{ resourceId: 'db-*', maxBytesPerResource: 600 }] });
+    const logs = sortNewestFirst([
+      makeLog('db-1', 'info', 1, { resourceId: 'db-server-01' }),
+      makeLog('db-2', 'info', 2, { resourceId: 'db-server-01' }),
+      makeLog('db-3', 'info', 3, { resourceId: 'db-server-01' }),
+      makeLog('db-4', 'info', 4, { resourceId: 'db-server-01' }),
+      makeLog('other', 'info', 5, { resourceId: 'app-server-01' }),
+      makeLog('db-b', 'info', 6, { resourceId: 'db-server-02' })
+    ]);
+
+    const expired = selectExpired(logs, sized, NOW);
+    expect(expired.has('db-1')).toBe(false);
+    expect(expired.has('db-4')).toBe(true);
+    expect(expired.has('other')).toBe(false);
+    expect(expired.has('db-b')).toBe(false);
+  });
+
+  test('should enforce the global maxLogs cap', () => {
+    const capped = compilePolicy({ maxLogs: 2 });
+    const logs = sortNewestFirst([makeLog('1', 'info', 1), makeLog('2', 'info', 2), makeLog('3', 'info', 3)]);
+
+    expect([...selectExpired(logs, capped, NOW).entries()]).toEqual([['3', 'maxLogs']]);
+  });
+});
+
+describe('retention sweeper', () => {
+  let tmpDir;
+  let storage;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-retention-'));
+    storage = createStorage({ adapter: 'segments', dataDir: tmpDir, jsonFile: path.join(tmpDir, 'logs.json') });
+    await storage.init();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should delete expired logs and record the run', async () => {
+    await storage.append([makeLog('keep', 'error', 1), makeLog('drop', 'debug', 3)]);
+    const pruned = [];
+    const sweeper = createRetentionSweeper({
+      storage,
+      policy: compilePolicy({ rules: [{ level: 'debug', maxAge: '1d' }] }),
+      intervalMs: 60000,
+      onPrune: (removed) => pruned.push(...removed)
+    });
+
+    const run = await sweeper.sweep(NOW);
+    expect(run).toMatchObject({ scanned: 2, pruned: 1, byRule: { 'level=debug maxAge=1d': 1 }, byLevel: { debug: 1 } });
+    expect((await storage.scan()).map(log => log.id)).toEqual(['keep']);
+    expect(pruned.map(log => log.id)).toEqual(['drop']);
+
+    const report = sweeper.report();
+    expect(report.totalPruned).toBe(1);
+    expect(report.lastRun).toBe(run);
+    expect(report.policy.rules[0]).toMatchObject({ level: 'debug', maxAge: '1d' });
+  });
+
+  test('should report sweeps that pruned nothing', async () => {
+    await storage.append([makeLog('keep', 'info', 1)]);
+    const sweeper = createRetentionSweeper({ storage, policy: compilePolicy({ maxLogs: 10 }), intervalMs: 60000 });
+
+    await sweeper.sweep(NOW);
+    expect(sweeper.report().history).toHaveLength(1);
+    expect(sweeper.report().lastRun.pruned).toBe(0);
+  });
+});
+
+describe('GET /retention', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-retention-api-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    process.env.MAX_LOGS = '2';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterAll(() => {
+    delete process.env.MAX_LOGS;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should report what the last sweep pruned', async () => {
+    await request(app).post('/logs/batch').send([1, 2, 3].map(i => {
+      const { id, ...entry } = makeLog(String(i), 'info', i);
+      return entry;
+    }));
+    await app.retentionSweeper.sweep();
+
+    const res = await request(app).get('/retention');
+    expect(res.status).toBe(200);
+    expect(res.body.policy.maxLogs).toBe(2);
+    expect(res.body.totalPruned).toBe(1);
+    expect(res.body.lastRun).toMatchObject({ pruned: 1, byRule: { maxLogs: 1 } });
+    expect((await request(app).get('/logs')).body).toHaveLength(2);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the full-text search index and the search param of GET /logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createTextIndex, highlight, parseSearch } = require('../lib/textIndex');
+
+const logs = [
+  { id: '1', level: 'error', message: 'Database connection failed: Connection timeout after 30 seconds', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00Z', traceId: 'trace-db-001', spanId: 'span-conn-001', commit: '5e5342f', metadata: { connectionPool: 'main-pool', tags: ['database', 'timeout'] } },
+  { id: '2', level: 'info', message: 'Connected to replica db-server-02', resourceId: 'db-server-02', timestamp: '2024-01-01T11:00:00Z', traceId: 'trace-db-002', spanId: 'span-conn-002', commit: '5e5342f', metadata: {} },
+  { id: '3', level: 'error', message: 'Upstream timeout after 5 seconds', resourceId: 'api-gateway-01', timestamp: '2024-01-01T12:00:00Z', traceId: 'trace-api-001', spanId: 'span-proxy-001', commit: '9d8e7f6', metadata: { upstream: 'payment-service' } },
+  { id: '4', level: 'warn', message: 'Slow response from payment service', resourceId: 'api-gateway-01', timestamp: '2024-01-01T13:00:00Z', traceId: 'trace-api-002', spanId: 'span-proxy-002', commit: '9d8e7f6', metadata: {} }
+];
+
+const idsFor = (index, search) => [...index.search(parseSearch(search)).keys()].sort();
+
+describe('text index', () => {
+  let index;
+
+  beforeEach(() => {
+    index = createTextIndex();
+    index.add(logs);
+  });
+
+  test('should require every word to match', () => {
+    expect(idsFor(index, 'timeout')).toEqual(['1', '3']);
+    expect(idsFor(index, 'timeout upstream')).toEqual(['3']);
+    expect(idsFor(index, 'timeout missing')).toEqual([]);
+  });
+
+  test('should match phrases only when the words are adjacent', () => {
+    expect(idsFor(index, '"timeout after"')).toEqual(['1', '3']);
+    expect(idsFor(index, '"after timeout"')).toEqual([]);
+    expect(idsFor(index, 'db-server')).toEqual(['2']);
+  });
+
+  test('should match prefixes', () => {
+    expect(idsFor(index, 'conn*')).toEqual(['1', '2']);
+    expect(idsFor(index, 'pay*')).toEqual(['3', '4']);
+  });
+
+  test('should search string metadata values unless disabled', () => {
+    expect(idsFor(index, 'main-pool')).toEqual(['1']);
+
+    const messagesOnly = createTextIndex({ indexMetadata: false });
+    messagesOnly.add(logs);
+    expect(idsFor(messagesOnly, 'main-pool')).toEqual([]);
+    expect(idsFor(messagesOnly, 'payment')).toEqual(['4']);
+  });
+
+  test('should rank message matches above metadata matches', () => {
+    const scores = index.search(parseSearch('payment'));
+    expect(scores.get('4')).toBeGreaterThan(scores.get('3'));
+  });
+
+  test('should forget removed logs', () => {
+    index.remove([logs[0], logs[2]]);
+    expect(idsFor(index, 'timeout')).toEqual([]);
+    expect(index.size()).toBe(2);
+  });
+
+  test('should highlight the matched ranges of each field', () => {
+    expect(highlight(parseSearch('"connection timeout" main*'), logs[0])).toEqual({
+      message: [[28, 46]],
+      'metadata.connectionPool': [[0, 4]]
+    });
+  });
+});
+
+describe('search on GET /logs', () => {
+  let tmpDir;
+  let app;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-search-'));
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    process.env.MAX_LOGS = '4';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs.map(({ id, ...log }) => log));
+  });
+
+  afterEach(() => {
+    app.retentionSweeper.stop();
+    delete process.env.MAX_LOGS;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return matches newest first with scores and highlights', async () => {
+    const res = await request(app).get('/logs').query({ search: 'timeout' });
+    expect(res.status).toBe(200);
+    expect(res.body.map(log => log.resourceId)).toEqual(['api-gateway-01', 'db-server-01']);
+    expect(res.body[0].match.score).toBeGreaterThan(0);
+    expect(res.body[0].match.highlights).toEqual({ message: [[9, 16]] });
+  });
+
+  test('should sort by relevance and page with a relevance cursor', async () => {
+    const res = await request(app).get('/logs').query({ search: 'payment', sort: 'relevance', limit: 1 });
+    expect(res.body.items.map(log => log.message)).toEqual(['Slow response from payment service']);
+    expect(res.body.total).toBe(2);
+
+    const next = await request(app).get('/logs').query({ search: 'payment', sort: 'relevance', limit: 1, cursor: res.body.nextCursor });
+    expect(next.body.items.map(log => log.resourceId)).toEqual(['api-gateway-01']);
+    expect(next.body.items[0].match.highlights).toEqual({ 'metadata.upstream': [[0, 7]] });
+    expect(next.body.nextCursor).toBeNull();
+
+    const mismatched = await request(app).get('/logs').query({ search: 'payment', limit: 1, cursor: res.body.nextCursor });
+    expect(mismatched.status).toBe(400);
+  });
+
+  test('should combine search with the other filters', async () => {
+    const res = await request(app).get('/logs').query({ search: 'timeout', resourceId: 'db-*' });
+    expect(res.body.map(log => log.resourceId)).toEqual(['db-server-01']);
+  });
+
+  test('should index new logs and drop pruned ones', async () => {
+    const { id, ...entry } = logs[3];
+    await request(app).post('/logs').send({ ...entry, message: 'Payment timeout while charging card' });
+    expect((await request(app).get('/logs').query({ search: 'charging' })).body).toHaveLength(1);
+
+    // MAX_LOGS=4 makes the sweep prune the oldest log, the database timeout
+    await app.retentionSweeper.sweep();
+    expect(app.searchIndex.size()).toBe(4);
+    const res = await request(app).get('/logs').query({ search: 'timeout' });
+    expect(res.body.map(log => log.resourceId)).toEqual(['api-gateway-01', 'api-gateway-01']);
+
+    // Archived logs are still found on request
+    const archived = await request(app).get('/logs').query({ search: 'timeout', include_archived: 'true' });
+    expect(archived.body.map(log => log.resourceId)).toEqual(['api-gateway-01', 'api-gateway-01', 'db-server-01']);
+    expect(archived.body[2].match.highlights.message).toEqual([[39, 46]]);
+  });
+
+  test('should reject relevance sorting without a search', async () => {
+    const res = await request(app).get('/logs').query({ sort: 'relevance' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('sort=relevance requires a search');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the SQLite storage adapter
+ * Replays the filtering.test.js scenarios through indexed SQL queries and checks
+ * that the results match the in-memory filter path exactly
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteAdapter } = require('../storage/sqliteAdapter');
+const { applyFilters } = require('../lib/filters');
+
+// better-sqlite3 is an optional dependency, loaded the same way storage/sqliteAdapter.js does;
+// without it this suite is skipped
+const Database = (() => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    return null;
+  }
+})();
+
+const mockLogs = [
+  { id: '1', level: 'error', message: 'Database connection failed', resourceId: 'db-server-01', timestamp: '2024-01-01T10:00:00Z', traceId: 'trace-001', spanId: 'span-001', commit: 'abc123', metadata: { retryCount: 3 } },
+  { id: '2', level: 'warn', message: 'High memory usage detected', resourceId: 'app-server-01', timestamp: '2024-01-01T11:00:00Z', traceId: 'trace-002', spanId: 'span-002', commit: 'def456', metadata: { memoryUsage: 85 } },
+  { id: '3', level: 'info', message: 'User authentication successful', resourceId: 'auth-service-01', timestamp: '2024-01-01T12:00:00Z', traceId: 'trace-003', spanId: 'span-003', commit: 'ghi789', metadata: { userId: 'user-123' } },
+  { id: '4', level: 'error', message: 'API rate limit exceeded', resourceId: 'api-gateway-01', timestamp: '2024-01-01T13:00:00Z', traceId: 'trace-004', spanId: 'span-004', commit: 'jkl012', metadata: { clientIP: '192.168.1.100' } },
+  { id: '5', level: 'debug', message: 'Processing request data', resourceId: 'api-gateway-01', timestamp: '2024-01-01T14:00:00Z', traceId: 'trace-005', spanId: 'span-005', commit: 'mno345', metadata: { requestSize: '2KB' } }
+];
+
+// Filter sets exercised by filtering.test.js
+const scenarios = [
+  { level: 'error' },
+  { message: 'database' },
+  { resourceId: 'api-gateway-01' },
+  { traceId: 'trace-001' },
+  { spanId: 'span-002' },
+  { commit: 'abc123' },
+  { timestamp_start: '2024-01-01T12:00:00Z' },
+  { timestamp_end: '2024-01-01T12:00:00Z' },
+  { level: 'error', message: 'database' },
+  { level: 'error', resourceId: 'api-gateway-01' },
+  { timestamp_start: '2024-01-01T11:00:00Z', timestamp_end: '2024-01-01T13:00:00Z' },
+  { level: 'error', resourceId: 'api-gateway-01', message: 'rate limit' },
+  { traceId: 'trace-001', spanId: 'span-001' },
+  { level: 'error', resourceId: 'non-existent-resource' },
+  { timestamp_start: 'invalid-date' },
+  {},
+  { level: null, message: undefined },
+  { resourceId: 'DB-SERVER-01' },
+  { message: 'DATABASE' },
+  { message: 'connection' },
+  { timestamp_start: '2024-01-01T12:00:00Z', timestamp_end: '2024-01-01T12:00:00Z' }
+];
+
+(Database ? describe : describe.skip)('SQLite storage adapter', () => {
+  let tmpDir;
+  let file;
+  let storage;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-sqlite-'));
+    file = path.join(tmpDir, 'logs.sqlite');
+    storage = createSqliteAdapter({ file });
+    await storage.init();
+    await storage.append(mockLogs);
+  });
+
+  afterAll(async () => {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test.each(scenarios)('should match the in-memory filter path for %o', async (filters) => {
+    const result = await storage.scan(filters);
+    const expected = applyFilters(mockLogs, filters);
+    expect(result.map(log => log.id)).toEqual(expected.map(log => log.id));
+  });
+
+  test('should round-trip records including metadata and extra fields', async () => {
+    await storage.append([{ ...mockLogs[0], id: 'extra-1', ingestedAt: '2024-01-02T00:00:00.000Z', source: 'agent' }]);
+    expect(await storage.getById('extra-1')).toEqual({
+      ...mockLogs[0],
+      id: 'extra-1',
+      ingestedAt: '2024-01-02T00:00:00.000Z',
+      source: 'agent'
+    });
+    await storage.deleteRange({ filter: log => log.id === 'extra-1' });
+  });
+
+  test('should index every filter column', () => {
+    const db = new Database(file, { readonly: true });
+    const indexed = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'logs'").all()
+      .map(row => db.prepare(`PRAGMA index_info(${row.name})`).all()[0])
+      .filter(Boolean)
+      .map(column => column.name);
+    db.close();
+
+    expect(indexed).toEqual(expect.arrayContaining(['level', 'resourceId', 'traceId', 'spanId', 'commit', 'timestamp_ms']));
+  });
+
+  test('should use an index for equality filters', () => {
+    const db = new Database(file, { readonly: true });
+    const plan = db.prepare('EXPLAIN QUERY PLAN SELECT * FROM logs WHERE level = ? ORDER BY timestamp_ms DESC').all('error');
+    db.close();
+
+    expect(plan.map(step => step.detail).join(' ')).toMatch(/USING INDEX idx_logs_level/);
+  });
+
+  test('should store metadata as queryable JSON', () => {
+    const db = new Database(file, { readonly: true });
+    const rows = db.prepare("SELECT id FROM logs WHERE json_extract(metadata, '$.retryCount') > 2").all();
+    db.close();
+
+    expect(rows.map(row => row.id)).toEqual(['1']);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for GET /logs/stats aggregations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { aggregateLogs, parseStatsParams } = require('../lib/stats');
+
+const makeLog = (level, resourceId, timestamp, overrides = {}) => ({
+  level,
+  message: `${level} from ${resourceId}`,
+  resourceId,
+  timestamp,
+  traceId: `trace-${resourceId}`,
+  spanId: 'span-001',
+  commit: 'abc123',
+  metadata: {},
+  ...overrides
+});
+
+const logs = [
+  makeLog('error', 'db-server-01', '2024-01-01T10:05:00Z'),
+  makeLog('error', 'db-server-01', '2024-01-01T10:45:00Z'),
+  makeLog('warn', 'app-server-01', '2024-01-01T11:00:00Z', { commit: 'def456' }),
+  makeLog('info', 'app-server-02', '2024-01-01T23:30:00Z'),
+  makeLog('info', 'db-server-02', '2024-01-02T00:15:00Z', { traceId: 'trace-db-server-01' })
+];
+
+describe('aggregateLogs', () => {
+
+  test('should count by level, resource, trace, commit and hour', () => {
+    const stats = aggregateLogs(logs);
+    expect(stats.total).toBe(5);
+    expect(stats.byLevel).toEqual({ error: 2, warn: 1, info: 2, debug: 0 });
+    expect(stats.byResource).toEqual({ 'db-server-01': 2, 'app-server-01': 1, 'app-server-02': 1, 'db-server-02': 1 });
+    // Traces only appear as a top-N list
+    expect(stats.byTrace).toBeUndefined();
+    expect(stats.top.traceId[0]).toEqual({ value: 'trace-db-server-01', count: 3 });
+    expect(stats.byCommit).toEqual({ abc123: 4, def456: 1 });
+    expect(stats.byHour[10]).toBe(2);
+    expect(stats.byHour[0]).toBe(1);
+    expect(stats.timeRange).toEqual({ oldest: '2024-01-01T10:05:00.000Z', newest: '2024-01-02T00:15:00.000Z' });
+  });
+
+  test('should rank top values by count, then by value', () => {
+    const stats = aggregateLogs(logs, { top: 2 });
+    expect(stats.top.resourceId).toEqual([
+      { value: 'db-server-01', count: 2 },
+      { value: 'app-server-01', count: 1 }
+    ]);
+    expect(stats.top.commit).toEqual([{ value: 'abc123', count: 4 }, { value: 'def456', count: 1 }]);
+  });
+
+  test('should count values named like object properties', () => {
+    const stats = aggregateLogs([
+      makeLog('info', 'constructor', '2024-01-01T10:00:00Z', { commit: 'toString' }),
+      makeLog('info', '__proto__', '2024-01-01T10:00:00Z', { commit: 'toString' })
+    ]);
+    expect(stats.byResource).toEqual({ constructor: 1, ['__proto__']: 1 });
+    expect(stats.byCommit).toEqual({ toString: 2 });
+    expect(stats.top.resourceId).toEqual([{ value: '__proto__', count: 1 }, { value: 'constructor', count: 1 }]);
+    expect(JSON.parse(JSON.stringify(stats)).byResource).toEqual({ constructor: 1, ['__proto__']: 1 });
+  });
+
+  test('should bucket hours in the requested time zone', () => {
+    const stats = aggregateLogs(logs, { timeZone: 'Asia/Kolkata' });
+    // 10:05Z, 10:45Z and 11:00Z are 15:35, 16:15 and 16:30 in UTC+05:30
+    expect(stats.byHour[15]).toBe(1);
+    expect(stats.byHour[16]).toBe(2);
+    expect(stats.timezone).toBe('Asia/Kolkata');
+  });
+
+  test('should validate top and timezone', () => {
+    expect(parseStatsParams({})).toEqual({ valid: true, top: 10, timeZone: 'UTC' });
+    expect(parseStatsParams({ top: '500' }).valid).toBe(false);
+    expect(parseStatsParams({ timezone: 'Mars/Olympus_Mons' }).valid).toBe(false);
+  });
+});
+
+describe('GET /logs/stats', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-stats-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send(logs);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should aggregate every matching log, not just one page', async () => {
+    const res = await request(app).get('/logs/stats');
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(5);
+    expect(res.body.byLevel).toEqual({ error: 2, warn: 1, info: 2, debug: 0 });
+  });
+
+  test('should accept the GET /logs filters', async () => {
+    const res = await request(app).get('/logs/stats').query({ resourceId: 'db-*', 'level!': 'info', top: 1 });
+    expect(res.body.total).toBe(2);
+    expect(res.body.top.resourceId).toEqual([{ value: 'db-server-01', count: 2 }]);
+
+    const search = await request(app).get('/logs/stats').query({ search: 'app*' });
+    expect(search.body.byResource).toEqual({ 'app-server-01': 1, 'app-server-02': 1 });
+  });
+
+  test('should reject invalid params', async () => {
+    expect((await request(app).get('/logs/stats').query({ top: 'all' })).status).toBe(400);
+    expect((await request(app).get('/logs/stats').query({ timezone: 'Nowhere/Land' })).status).toBe(400);
+    expect((await request(app).get('/logs/stats').query({ q: 'level:' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the storage adapters
+ * Runs the shared interface checks against every adapter plus segment-specific recovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, migrateLegacyJsonFile } = require('../storage');
+
+const makeLog = (id, overrides = {}) => ({
+  id,
+  level: 'info',
+  message: `Log message ${id}`,
+  resourceId: 'storage-test-01',
+  timestamp: `2024-01-01T1${id}:00:00.000Z`,
+  traceId: `trace-${id}`,
+  spanId: `span-${id}`,
+  commit: 'abc123',
+  metadata: { index: Number(id) },
+  ingestedAt: '2024-01-02T00:00:00.000Z',
+  ...overrides
+});
+
+let tmpDir;
+
+const storageOptions = (adapter, overrides = {}) => ({
+  adapter,
+  dataDir: path.join(tmpDir, 'data'),
+  jsonFile: path.join(tmpDir, 'logs.json'),
+  sqliteFile: path.join(tmpDir, 'data', 'logs.sqlite'),
+  maxSegmentBytes: 4 * 1024 * 1024,
+  ...overrides
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe.each(['json', 'segments', 'sqlite'])('%s adapter', (adapter) => {
+
+  let opened = [];
+
+  const openStorage = async () => {
+    const storage = createStorage(storageOptions(adapter));
+    await storage.init();
+    opened.push(storage);
+    return storage;
+  };
+
+  afterEach(async () => {
+    await Promise.all(opened.map(storage => storage.close()));
+    opened = [];
+  });
+
+  test('should append and scan newest first', async () => {
+    const storage = await openStorage();
+    await storage.append([makeLog('1'), makeLog('3'), makeLog('2')]);
+
+    const logs = await storage.scan();
+    expect(logs.map(log => log.id)).toEqual(['3', '2', '1']);
+    expect(await storage.count()).toBe(3);
+  });
+
+  test('should apply GET /logs filters in scan', async () => {
+    const storage = await openStorage();
+    await storage.append([
+      makeLog('1', { level: 'error' }),
+      makeLog('2'),
+      makeLog('3', { level: 'error' })
+    ]);
+
+    const logs = await storage.scan({ level: 'error', timestamp_start: '2024-01-01T12:00:00Z' });
+    expect(logs.map(log => log.id)).toEqual(['3']);
+  });
+
+  test('should get a single entry by id', async () => {
+    const storage = await openStorage();
+    await storage.append([makeLog('1'), makeLog('2')]);
+
+    expect(await storage.getById('2')).toMatchObject({ id: '2', message: 'Log message 2' });
+    expect(await storage.getById('missing')).toBeNull();
+  });
+
+  test('should delete a timestamp range and return the removed entries', async () => {
+    const storage = await openStorage();
+    await storage.append([makeLog('1'), makeLog('2'), makeLog('3'), makeLog('4')]);
+
+    const removed = await storage.deleteRange({ end: '2024-01-01T12:00:00Z' });
+    expect(removed.map(log => log.id).sort()).toEqual(['1', '2']);
+    expect((await storage.scan()).map(log => log.id)).toEqual(['4', '3']);
+    expect(await storage.getById('1')).toBeNull();
+    expect(await storage.count()).toBe(2);
+  });
+
+  test('should restrict deleteRange with a filter', async () => {
+    const storage = await openStorage();
+    await storage.append([makeLog('1', { level: 'debug' }), makeLog('2'), makeLog('3', { level: 'debug' })]);
+
+    const removed = await storage.deleteRange({ filter: log => log.level === 'debug' });
+    expect(removed).toHaveLength(2);
+    expect((await storage.scan()).map(log => log.id)).toEqual(['2']);
+  });
+
+  test('should keep data across restarts', async () => {
+    const first = await openStorage();
+    await first.append([makeLog('1'), makeLog('2')]);
+    await first.close();
+
+    const second = await openStorage();
+    expect(await second.count()).toBe(2);
+    expect(await second.getById('1')).toMatchObject({ id: '1' });
+  });
+});
+
+describe('segments adapter', () => {
+
+  test('should roll over to a new segment once the size limit is reached', async () => {
+    const storage = createStorage(storageOptions('segments', { maxSegmentBytes: 200 }));
+    await storage.init();
+    for (let i = 1; i <= 5; i++) {
+      await storage.append([makeLog(String(i))]);
+    }
+
+    const files = fs.readdirSync(path.join(tmpDir, 'data', 'segments'));
+    expect(files.length).toBeGreaterThan(1);
+    expect(await storage.getById('5')).toMatchObject({ id: '5' });
+    expect(await storage.count()).toBe(5);
+  });
+
+  test('should drop a torn trailing record on startup', async () => {
+    const storage = createStorage(storageOptions('segments'));
+    await storage.init();
+    await storage.append([makeLog('1')]);
+
+    const file = path.join(tmpDir, 'data', 'segments', 'segment-000001.ndjson');
+    fs.appendFileSync(file, '{"id":"2","level":"in');
+
+    const reopened = createStorage(storageOptions('segments'));
+    await reopened.init();
+    expect(await reopened.count()).toBe(1);
+    await reopened.append([makeLog('3')]);
+    expect((await reopened.scan()).map(log => log.id)).toEqual(['3', '1']);
+  });
+});
+
+describe('legacy logs.json migration', () => {
+
+  test('should import logs.json into an empty segment store once', async () => {
+    const options = storageOptions('segments');
+    fs.writeFileSync(options.jsonFile, JSON.stringify({ logs: [makeLog('2'), makeLog('1')] }));
+
+    const storage = createStorage(options);
+    await storage.init();
+    expect(await migrateLegacyJsonFile(storage, options)).toBe(2);
+    expect((await storage.scan()).map(log => log.id)).toEqual(['2', '1']);
+    expect(await storage.getById('1')).toMatchObject({ id: '1' });
+
+    // The marker file prevents a second import on the next start
+    expect(await migrateLegacyJsonFile(storage, options)).toBe(0);
+    expect(await storage.count()).toBe(2);
+  });
+
+  test('should leave the json adapter alone', async () => {
+    const options = storageOptions('json');
+    fs.writeFileSync(options.jsonFile, JSON.stringify({ logs: [makeLog('1')] }));
+
+    const storage = createStorage(options);
+    await storage.init();
+    expect(await migrateLegacyJsonFile(storage, options)).toBe(0);
+    expect(fs.existsSync(path.join(options.dataDir, 'migration.json'))).toBe(false);
+  });
+});
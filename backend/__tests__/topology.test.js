@@ -0,0 +1,101 @@
+/**
+ * Tests for the resource topology graph and GET /topology
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { buildTopology, parseTopologyParams } = require('../lib/topology');
+
+const makeLog = (level, resourceId, parentResourceId, timestamp = '2024-01-01T10:00:00Z') => ({
+  level,
+  message: `${level} from ${resourceId}`,
+  resourceId,
+  timestamp,
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: 'abc123',
+  metadata: parentResourceId ? { parentResourceId } : {}
+});
+
+const logs = [
+  makeLog('error', 'db-server-01', 'load-balancer-01'),
+  makeLog('error', 'db-server-01', 'load-balancer-01'),
+  makeLog('info', 'db-server-01', 'load-balancer-01'),
+  makeLog('warn', 'app-server-02', 'monitoring-service'),
+  makeLog('info', 'app-server-02', 'monitoring-service'),
+  makeLog('info', 'api-gateway-01', 'load-balancer-01'),
+  makeLog('info', 'load-balancer-01', null)
+];
+
+describe('buildTopology', () => {
+
+  test('should link resources through parentResourceId', () => {
+    const topology = buildTopology(logs);
+    expect(topology.edges.map(edge => [edge.source, edge.target, edge.logCount])).toEqual([
+      ['load-balancer-01', 'api-gateway-01', 1],
+      ['load-balancer-01', 'db-server-01', 3],
+      ['monitoring-service', 'app-server-02', 2]
+    ]);
+  });
+
+  test('should report volume, error rate and health per node', () => {
+    const nodes = Object.fromEntries(buildTopology(logs).nodes.map(node => [node.id, node]));
+    expect(nodes['db-server-01']).toMatchObject({ logCount: 3, errorCount: 2, errorRate: 0.6667, health: 'failing' });
+    expect(nodes['app-server-02']).toMatchObject({ logCount: 2, errorRate: 0, health: 'degraded' });
+    expect(nodes['api-gateway-01'].health).toBe('healthy');
+    // Known only as a parent
+    expect(nodes['monitoring-service']).toMatchObject({ logCount: 0, health: 'unknown' });
+  });
+
+  test('should default to a one hour window ending now', () => {
+    const now = Date.parse('2024-01-01T12:00:00Z');
+    expect(parseTopologyParams({}, now).range).toEqual({ start: '2024-01-01T11:00:00.000Z', end: '2024-01-01T12:00:00.000Z' });
+    expect(parseTopologyParams({ window: '15m' }, now).range.start).toBe('2024-01-01T11:45:00.000Z');
+    expect(parseTopologyParams({ window: 'soon' }).valid).toBe(false);
+    expect(parseTopologyParams({ timestamp_start: '2024-01-01T00:00:00Z' }).range).toEqual({ start: '2024-01-01T00:00:00Z', end: undefined });
+  });
+});
+
+describe('GET /topology', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-topology-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    const recent = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    await request(app).post('/logs/batch').send([
+      ...logs.map(log => ({ ...log, timestamp: recent })),
+      makeLog('error', 'old-server-01', 'load-balancer-01', '2020-01-01T00:00:00Z')
+    ]);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should build the graph over the default window', async () => {
+    const res = await request(app).get('/topology');
+    expect(res.status).toBe(200);
+    expect(res.body.nodes.map(node => node.id)).not.toContain('old-server-01');
+    expect(res.body.edges).toHaveLength(3);
+  });
+
+  test('should honour explicit time ranges and filters', async () => {
+    const res = await request(app).get('/topology').query({ timestamp_start: '2019-01-01T00:00:00Z', level: 'error' });
+    expect(res.body.nodes.map(node => node.id)).toEqual(['db-server-01', 'load-balancer-01', 'old-server-01']);
+  });
+
+  test('should reject an invalid window', async () => {
+    const res = await request(app).get('/topology').query({ window: 'forever' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid window "forever"/);
+  });
+});
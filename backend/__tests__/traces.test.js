@@ -0,0 +1,118 @@
+/**
+ * Tests for trace reconstruction and GET /traces/:traceId
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { buildTrace } = require('../lib/traces');
+
+const makeLog = (id, spanId, timestamp, overrides = {}) => ({
+  id,
+  level: 'info',
+  message: `Log ${id} in ${spanId}`,
+  resourceId: 'api-gateway-01',
+  timestamp,
+  traceId: 'trace-checkout-001',
+  spanId,
+  commit: 'abc123',
+  metadata: {},
+  ...overrides
+});
+
+// gateway -> auth, gateway -> payment -> db
+const logs = [
+  makeLog('1', 'span-gateway', '2024-01-01T10:00:00.000Z'),
+  makeLog('2', 'span-auth', '2024-01-01T10:00:00.100Z', { resourceId: 'auth-service-01', metadata: { parentSpanId: 'span-gateway' } }),
+  makeLog('3', 'span-auth', '2024-01-01T10:00:00.250Z', { resourceId: 'auth-service-01' }),
+  makeLog('4', 'span-payment', '2024-01-01T10:00:00.300Z', { resourceId: 'payment-service-01', metadata: { parentSpanId: 'span-gateway' } }),
+  makeLog('5', 'span-db', '2024-01-01T10:00:00.400Z', { resourceId: 'db-server-01', level: 'error', metadata: { parentSpanId: 'span-payment' } }),
+  makeLog('6', 'span-payment', '2024-01-01T10:00:01.300Z', { resourceId: 'payment-service-01', level: 'error' }),
+  makeLog('7', 'span-gateway', '2024-01-01T10:00:01.500Z')
+];
+
+describe('buildTrace', () => {
+
+  test('should arrange spans as a parent/child tree', () => {
+    const trace = buildTrace('trace-checkout-001', [...logs].reverse());
+    expect(trace.roots.map(span => span.spanId)).toEqual(['span-gateway']);
+    const [gateway] = trace.roots;
+    expect(gateway.children.map(span => span.spanId)).toEqual(['span-auth', 'span-payment']);
+    expect(gateway.children[1].children.map(span => span.spanId)).toEqual(['span-db']);
+    expect(trace).toMatchObject({ logCount: 7, spanCount: 4, errorCount: 2, durationMs: 1500 });
+  });
+
+  test('should derive span timing from its logs', () => {
+    const [gateway] = buildTrace('trace-checkout-001', logs).roots;
+    const [auth, payment] = gateway.children;
+    expect(auth).toMatchObject({ start: '2024-01-01T10:00:00.100Z', end: '2024-01-01T10:00:00.250Z', durationMs: 150, logCount: 2 });
+    expect(payment.durationMs).toBe(1000);
+    expect(payment.logs.map(log => log.id)).toEqual(['4', '6']);
+  });
+
+  test('should flag spans that contain errors', () => {
+    const trace = buildTrace('trace-checkout-001', logs);
+    const [gateway] = trace.roots;
+    expect(gateway.hasError).toBe(false);
+    expect(gateway.children[1]).toMatchObject({ hasError: true, errorCount: 1 });
+    expect(trace.erroredSpans.sort()).toEqual(['span-db', 'span-payment']);
+  });
+
+  test('should keep spans with unknown parents as roots', () => {
+    const trace = buildTrace('trace-checkout-001', logs.filter(log => log.spanId !== 'span-gateway'));
+    expect(trace.roots.map(span => [span.spanId, span.missingParent])).toEqual([
+      ['span-auth', true],
+      ['span-payment', true]
+    ]);
+  });
+
+  test('should not loop on cyclic parent links', () => {
+    const trace = buildTrace('trace-loop', [
+      makeLog('1', 'span-a', '2024-01-01T10:00:00Z', { metadata: { parentSpanId: 'span-b' } }),
+      makeLog('2', 'span-b', '2024-01-01T10:00:01Z', { metadata: { parentSpanId: 'span-a' } })
+    ]);
+    expect(trace.roots.map(span => span.spanId)).toEqual(['span-b']);
+    expect(trace.roots[0].children.map(span => span.spanId)).toEqual(['span-a']);
+  });
+});
+
+describe('GET /traces/:traceId', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-traces-'));
+  let app;
+
+  beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+    await request(app).post('/logs/batch').send([
+      ...logs.map(({ id, ...log }) => log),
+      { ...logs[0], id: undefined, traceId: 'trace-other-001' }
+    ]);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return the span tree of one trace', async () => {
+    const res = await request(app).get('/traces/trace-checkout-001');
+    expect(res.status).toBe(200);
+    expect(res.body.logCount).toBe(7);
+    expect(res.body.roots[0].children.map(span => span.spanId)).toEqual(['span-auth', 'span-payment']);
+  });
+
+  test('should match the trace ID exactly', async () => {
+    expect((await request(app).get('/traces/trace-*')).status).toBe(404);
+  });
+
+  test('should return 404 for unknown traces', async () => {
+    const res = await request(app).get('/traces/trace-missing');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Trace not found');
+  });
+});
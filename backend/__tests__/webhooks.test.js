@@ -0,0 +1,286 @@
+/**
+ * Tests for outbound webhooks against a local HTTP receiver: templates, signatures, retries and dead letters
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createWebhookDispatcher, parseWebhook, renderTemplate, sign } = require('../webhooks');
+
+// Stand-in receiver that records every request and answers with the next queued status (default 200)
+const startReceiver = async () => {
+  const requests = [];
+  const statuses = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    requests,
+    respondWith: (...codes) => statuses.push(...codes),
+    close: () => new Promise(resolve => receiver.close(resolve))
+  };
+};
+
+const entry = (level, resourceId, message) => ({
+  level,
+  message,
+  resourceId,
+  timestamp: '2024-01-01T10:00:00Z',
+  traceId: 'trace-001',
+  spanId: 'span-001',
+  commit: '5e5342f',
+  metadata: {}
+});
+
+const alert = { id: 'A1', ruleId: 'R1', ruleName: 'DB errors', message: 'DB errors: 6 matching logs within 2m (threshold 5)', count: 6, resourceIds: ['db-server-01'] };
+
+describe('parseWebhook', () => {
+
+  test('should fill in defaults', () => {
+    expect(parseWebhook({ name: 'Pager', url: 'http://localhost:9000/hook' })).toEqual({
+      valid: true,
+      webhook: { name: 'Pager', url: 'http://localhost:9000/hook', event: 'alert', filters: {}, ruleIds: null, template: null, secret: undefined, headers: {}, enabled: true }
+    });
+  });
+
+  test('should reject invalid webhooks', () => {
+    expect(parseWebhook({ name: 'x', url: 'ftp://example.com' }).error).toBe('url must be an absolute http or https URL');
+    expect(parseWebhook({ name: 'x', url: 'not a url' }).error).toBe('url must be an absolute http or https URL');
+    expect(parseWebhook({ name: 'x', url: 'http://a', event: 'trace' }).error).toBe('Invalid event. Must be one of: alert, log');
+    expect(parseWebhook({ name: 'x', url: 'http://a', template: 'text' }).error).toBe('template must be a JSON object or array');
+    expect(parseWebhook({ name: 'x', url: 'http://a', filters: { level: '/(a+)+/' } }).error).toMatch(/pattern rejected/);
+  });
+});
+
+describe('renderTemplate', () => {
+
+  test('should fill placeholders and keep the type of whole-string values', () => {
+    const context = { event: 'alert', alert };
+    expect(renderTemplate({
+      text: ':rotating_light: {{alert.message}} on {{ alert.resourceIds }}',
+      count: '{{alert.count}}',
+      fields: [{ value: '{{alert.resourceIds}}' }],
+      missing: '{{alert.nothing}}',
+      note: 'count={{alert.nothing}}'
+    }, context)).toEqual({
+      text: ':rotating_light: DB errors: 6 matching logs within 2m (threshold 5) on ["db-server-01"]',
+      count: 6,
+      fields: [{ value: ['db-server-01'] }],
+      missing: null,
+      note: 'count='
+    });
+  });
+});
+
+describe('webhook dispatcher', () => {
+  let tmpDir;
+  let receiver;
+  let dispatcher;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-webhooks-'));
+    receiver = await startReceiver();
+    dispatcher = createWebhookDispatcher({ dir: tmpDir, maxAttempts: 3, baseDelayMs: 10 });
+    await dispatcher.init();
+  });
+
+  afterEach(async () => {
+    await receiver.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should sign deliveries with an HMAC of the timestamp and body', async () => {
+    const created = await dispatcher.createWebhook(parseWebhook({ name: 'Pager', url: receiver.url, secret: 's3cret' }).webhook);
+    expect(created.hasSecret).toBe(true);
+    expect(created.secret).toBeUndefined();
+
+    dispatcher.notifyAlert(alert);
+    await dispatcher.idle();
+
+    const [{ headers, body, json }] = receiver.requests;
+    expect(headers['x-evallo-event']).toBe('alert');
+    expect(headers['x-evallo-signature']).toBe(sign('s3cret', headers['x-evallo-timestamp'], body));
+    expect(json).toMatchObject({ event: 'alert', webhook: { id: created.id, name: 'Pager' }, alert });
+  });
+
+  test('should only send alerts of the selected rules and logs matching the filters', async () => {
+    await dispatcher.createWebhook(parseWebhook({ name: 'Other rule', url: receiver.url, ruleIds: ['R2'] }).webhook);
+    await dispatcher.createWebhook(parseWebhook({
+      name: 'Chat',
+      url: receiver.url,
+      event: 'log',
+      filters: { level: 'error', resourceId: 'db-*' },
+      template: { text: 'Error on {{log.resourceId}}: {{log.message}}' }
+    }).webhook);
+
+    dispatcher.notifyAlert(alert);
+    dispatcher.notifyLogs([entry('error', 'db-server-01', 'Query failed'), entry('error', 'app-server-01', 'Boom'), entry('info', 'db-server-01', 'Query ok')]);
+    await dispatcher.idle();
+
+    expect(receiver.requests.map(req => req.json)).toEqual([{ text: 'Error on db-server-01: Query failed' }]);
+  });
+
+  test('should retry transient failures with backoff', async () => {
+    await dispatcher.createWebhook(parseWebhook({ name: 'Pager', url: receiver.url }).webhook);
+    receiver.respondWith(503, 429);
+
+    dispatcher.notifyAlert(alert);
+    await dispatcher.idle();
+
+    expect(receiver.requests).toHaveLength(3);
+    // Every attempt of one delivery carries the same delivery ID
+    expect(new Set(receiver.requests.map(req => req.headers['x-evallo-delivery'])).size).toBe(1);
+    expect(dispatcher.listDeadLetters()).toEqual([]);
+  });
+
+  test('should keep at most concurrency deliveries per webhook in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const messages = [];
+    const slow = http.createServer((req, res) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => setTimeout(() => {
+        messages.push(JSON.parse(body).log.message);
+        inFlight -= 1;
+        res.writeHead(200);
+        res.end();
+      }, 20));
+    });
+    await new Promise(resolve => slow.listen(0, '127.0.0.1', resolve));
+
+    const limited = createWebhookDispatcher({ dir: tmpDir, concurrency: 2 });
+    await limited.init();
+    await limited.createWebhook(parseWebhook({ name: 'Slow', url: `http://127.0.0.1:${slow.address().port}/hook`, event: 'log' }).webhook);
+    limited.notifyLogs(Array.from({ length: 8 }, (_, i) => entry('error', 'db-server-01', `Error ${i}`)));
+    await limited.idle();
+    await new Promise(resolve => slow.close(resolve));
+
+    expect(maxInFlight).toBe(2);
+    expect(messages.sort()).toEqual(Array.from({ length: 8 }, (_, i) => `Error ${i}`));
+  });
+
+  test('should dead-letter deliveries that keep failing or are refused', async () => {
+    const flaky = await dispatcher.createWebhook(parseWebhook({ name: 'Flaky', url: receiver.url }).webhook);
+    receiver.respondWith(500, 502, 504);
+    dispatcher.notifyAlert(alert);
+    await dispatcher.idle();
+
+    const refused = await dispatcher.updateWebhook(flaky.id, parseWebhook({ name: 'Refused', url: receiver.url }).webhook);
+    receiver.respondWith(400);
+    dispatcher.notifyAlert(alert);
+    await dispatcher.idle();
+
+    const [second, first] = dispatcher.listDeadLetters();
+    expect(first.attempts.map(attempt => attempt.status)).toEqual([500, 502, 504]);
+    expect(first.payload.alert).toEqual(alert);
+    expect(second).toMatchObject({ webhookId: refused.id, webhookName: 'Refused', event: 'alert' });
+    expect(second.attempts.map(attempt => attempt.status)).toEqual([400]);
+    expect(receiver.requests).toHaveLength(4);
+
+    // Dead letters survive a restart
+    const reloaded = createWebhookDispatcher({ dir: tmpDir });
+    await reloaded.init();
+    expect(reloaded.listDeadLetters({ webhookId: refused.id })).toHaveLength(2);
+  });
+
+  test('should dead-letter deliveries to unreachable receivers', async () => {
+    await receiver.close();
+    await dispatcher.createWebhook(parseWebhook({ name: 'Gone', url: receiver.url }).webhook);
+    dispatcher.notifyAlert(alert);
+    await dispatcher.idle();
+
+    const [deadLetter] = dispatcher.listDeadLetters();
+    expect(deadLetter.attempts).toHaveLength(3);
+    expect(deadLetter.attempts[0].error).toMatch(/ECONNREFUSED/);
+    receiver = await startReceiver();
+  });
+});
+
+describe('webhook routes', () => {
+  let tmpDir;
+  let receiver;
+  let app;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evallo-webhook-routes-'));
+    receiver = await startReceiver();
+    process.env.STORAGE_ADAPTER = 'segments';
+    process.env.DATA_DIR = tmpDir;
+    process.env.LOGS_DB_FILE = path.join(tmpDir, 'logs.json');
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    await app.initializeDatabase();
+  });
+
+  afterEach(async () => {
+    await receiver.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should manage webhooks without exposing secrets', async () => {
+    const created = await request(app).post('/webhooks').send({ name: 'Pager', url: receiver.url, secret: 's3cret' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Pager', hasSecret: true });
+    expect(created.body.secret).toBeUndefined();
+
+    const { id } = created.body;
+    expect((await request(app).get('/webhooks')).body).toEqual([created.body]);
+
+    // Leaving out the secret keeps it, null removes it
+    const renamed = await request(app).put(`/webhooks/${id}`).send({ name: 'Pager 2', url: receiver.url });
+    expect(renamed.body).toMatchObject({ name: 'Pager 2', hasSecret: true });
+    const unsigned = await request(app).put(`/webhooks/${id}`).send({ name: 'Pager 2', url: receiver.url, secret: null });
+    expect(unsigned.body.hasSecret).toBe(false);
+
+    expect((await request(app).post('/webhooks').send({ name: 'Bad' })).status).toBe(400);
+    expect((await request(app).delete(`/webhooks/${id}`)).status).toBe(204);
+    expect((await request(app).get(`/webhooks/${id}`)).status).toBe(404);
+  });
+
+  test('POST /webhooks/:id/test should send a sample event once', async () => {
+    const { body: webhook } = await request(app).post('/webhooks').send({ name: 'Pager', url: receiver.url, secret: 's3cret' });
+
+    const res = await request(app).post(`/webhooks/${webhook.id}/test`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ delivered: true, status: 200 });
+    expect(receiver.requests[0].json).toMatchObject({ event: 'alert', test: true, alert: { ruleName: 'Test alert' } });
+    expect(receiver.requests[0].headers['x-evallo-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+
+    receiver.respondWith(500);
+    const failed = await request(app).post(`/webhooks/${webhook.id}/test`);
+    expect(failed.status).toBe(502);
+    expect(failed.body).toMatchObject({ delivered: false, status: 500 });
+    expect(receiver.requests).toHaveLength(2);
+
+    expect((await request(app).post('/webhooks/missing/test')).status).toBe(404);
+  });
+
+  test('should notify on fired alerts and matching ingested logs', async () => {
+    await request(app).post('/webhooks').send({ name: 'Pager', url: receiver.url });
+    await request(app).post('/webhooks').send({ name: 'Chat', url: receiver.url, event: 'log', filters: { level: 'error' }, template: { text: '{{log.message}}' } });
+    await request(app).post('/alerts/rules').send({ name: 'Any error', filters: { level: 'error' } });
+
+    await request(app).post('/logs').send(entry('error', 'db-server-01', 'Query failed'));
+    await request(app).post('/logs').send(entry('info', 'db-server-01', 'Query ok'));
+    await app.webhookDispatcher.idle();
+
+    const bodies = receiver.requests.map(req => req.json);
+    expect(bodies).toHaveLength(2);
+    expect(bodies).toContainEqual({ text: 'Query failed' });
+    expect(bodies.find(body => body.event === 'alert').alert.ruleName).toBe('Any error');
+  });
+});
@@ -0,0 +1,147 @@
+const { ROLES } = require('./apiKeys');
+const { createRedactor } = require('./lib/redaction');
+
+// Access control
+//
+// One middleware in front of every route decides what a request may do. It looks up the scope
+// the route needs in ROUTE_SCOPES, checks the API key against it, and attaches req.access:
+//   allowsResource(resourceId)  whether the key may ingest or see logs of that resource
+//   redacted                    whether denylisted metadata is masked for this key (support role)
+//   redactLog(log)              the log as this key may see it
+// For redacted keys, log objects in JSON responses are masked on the way out and filters on masked
+// fields are refused. The socket.io middleware attaches the same object as socket.data.access so
+// the live feed applies identical rules. With auth disabled every request gets unrestricted access.
+
+// Scope each route needs: the first entry whose method and path prefix match wins; anything not
+// listed needs the admin scope. null means no key is needed.
+const ROUTE_SCOPES = [
+  ['GET', '/health', null],
+  ['POST', '/logs/batch', 'ingest'],
+  ['POST', '/logs', 'ingest'],
+  ['DELETE', '/logs', 'admin'],
+  ['*', '/alerts/rules', 'admin'],
+  ['*', '/webhooks', 'admin'],
+  ['*', '/api-keys', 'admin'],
+  ['GET', '/logs', 'query'],
+  ['GET', '/traces', 'query'],
+  ['GET', '/topology', 'query'],
+  ['GET', '/commits', 'query'],
+  ['GET', '/alerts', 'query'],
+  ['GET', '/retention', 'query']
+];
+
+const underPath = (requestPath, prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`);
+
+const requiredScope = (method, requestPath) => {
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+  const route = ROUTE_SCOPES.find(([routeMethod, prefix]) =>
+    (routeMethod === '*' || routeMethod === requestMethod) && underPath(requestPath, prefix));
+  return route ? route[2] : 'admin';
+};
+
+// Key sent with an HTTP request: X-API-Key header or Authorization: Bearer <key>
+const requestKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+  const authorization = req.get('Authorization');
+  const bearer = authorization && authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : null;
+};
+
+// Replace log objects (anything with a resourceId and a metadata object) anywhere in a response body
+const redactBody = (value, redactLog) => {
+  if (Array.isArray(value)) return value.map(item => redactBody(item, redactLog));
+  if (value === null || typeof value !== 'object') return value;
+  const copy = Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redactBody(nested, redactLog)]));
+  const isLog = typeof value.resourceId === 'string' && value.metadata !== null && typeof value.metadata === 'object';
+  return isLog ? redactLog(copy) : copy;
+};
+
+const UNRESTRICTED = {
+  apiKey: null,
+  role: null,
+  allowsResource: () => true,
+  redacted: false,
+  redactLog: (log) => log,
+  findRedactedFilter: () => null
+};
+
+const createAccessControl = ({ store, enabled, redactedMetadata = [] }) => {
+  let redactor = createRedactor(redactedMetadata);
+
+  // What a verified key may see
+  const accessFor = (apiKey) => {
+    const redacted = Boolean(apiKey.role && ROLES[apiKey.role].redacted);
+    return {
+      apiKey,
+      role: apiKey.role,
+      allowsResource: apiKey.allowsResource,
+      redacted,
+      // Looked up on every call so a changed denylist also applies to connected sockets
+      redactLog: redacted ? (log) => redactor.redactLog(log) : (log) => log,
+      findRedactedFilter: redacted ? (query) => redactor.findRedactedFilter(query) : () => null
+    };
+  };
+
+  // Express middleware for every route; answers 401/403 itself when the key does not qualify
+  const middleware = (req, res, next) => {
+    req.access = UNRESTRICTED;
+    const scope = requiredScope(req.method, req.path);
+    if (!enabled || scope === null) return next();
+
+    const presented = requestKey(req);
+    if (!presented) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    const apiKey = store.verify(presented);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    }
+
+    req.access = accessFor(apiKey);
+    if (req.access.redacted) {
+      const field = req.access.findRedactedFilter(req.query);
+      if (field) {
+        return res.status(403).json({ error: `Filtering on redacted field ${field} is not allowed` });
+      }
+      const json = res.json.bind(res);
+      res.json = (body) => json(redactBody(body, req.access.redactLog));
+    }
+    next();
+  };
+
+  // socket.io middleware: the live feed needs a key with the query scope, sent as auth.apiKey in the
+  // handshake (or the X-API-Key header)
+  const socketMiddleware = (socket, next) => {
+    socket.data.access = UNRESTRICTED;
+    if (!enabled) return next();
+
+    const presented = (socket.handshake.auth && socket.handshake.auth.apiKey) || socket.handshake.headers['x-api-key'];
+    const apiKey = store.verify(presented);
+    if (!apiKey || !apiKey.scopes.includes('query')) {
+      return next(new Error(presented ? 'Invalid API key or missing query scope' : 'API key required'));
+    }
+    socket.data.access = accessFor(apiKey);
+    next();
+  };
+
+  // Swap the metadata denylist (config reload)
+  const configure = ({ redactedMetadata: fields = [] }) => {
+    redactor = createRedactor(fields);
+  };
+
+  return {
+    middleware,
+    socketMiddleware,
+    configure
+  };
+};
+
+module.exports = {
+  UNRESTRICTED,
+  requiredScope,
+  createAccessControl
+};
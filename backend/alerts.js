@@ -0,0 +1,203 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { compileFilters } = require('./lib/filters');
+const { generateId } = require('./lib/ids');
+const { logger } = require('./lib/logger');
+const { parseDuration } = require('./lib/units');
+const { createJsonWriter, readJsonFile } = require('./storage/jsonFile');
+
+// Alert rules evaluated as logs are ingested
+//
+// A rule selects logs with the same filters GET /logs accepts and fires when more than
+// `threshold` of them arrive within a sliding `window`:
+//   { name: 'DB errors', filters: { level: 'error', resourceId: 'db-server-*' }, threshold: 5, window: '2m' }
+//   { name: 'Disk almost full', filters: { message: '/Disk space at 9\\d%/' } }
+// After firing, a rule stays quiet for its `cooldown` so one burst raises one alert.
+// Rules and fired alerts are persisted as JSON files in the data directory; the sliding windows
+// live in memory and start empty after a restart.
+
+const DEFAULT_WINDOW = '1m';
+const DEFAULT_COOLDOWN = '5m';
+// Fired alerts kept on disk, oldest dropped first
+const MAX_ALERTS = 1000;
+// Matching log IDs recorded with each alert
+const SAMPLE_SIZE = 10;
+
+// Validate a rule as sent to POST/PUT /alerts/rules; returns the stored form of the rule
+const parseRule = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'Alert rule must be a JSON object' };
+  }
+  const { name, filters = {}, threshold = 0, window = DEFAULT_WINDOW, cooldown = DEFAULT_COOLDOWN, enabled = true } = input;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { valid: false, error: 'Alert rule needs a name' };
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { valid: false, error: 'filters must be an object of GET /logs filter params' };
+  }
+  if (filters.search !== undefined) {
+    return { valid: false, error: 'filters.search is not supported in alert rules, use message or q instead' };
+  }
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    return { valid: false, error: 'threshold must be a non-negative integer' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { valid: false, error: 'enabled must be true or false' };
+  }
+
+  try {
+    compileFilters(filters);
+    if (parseDuration(window) <= 0) {
+      throw new Error('window must be longer than 0');
+    }
+    parseDuration(cooldown);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  return { valid: true, rule: { name: name.trim(), filters, threshold, window, cooldown, enabled } };
+};
+
+// Human-readable summary stored with each alert
+const describeAlert = (rule, count) => (rule.threshold === 0
+  ? `${rule.name}: ${count} matching log${count === 1 ? '' : 's'}`
+  : `${rule.name}: ${count} matching logs within ${rule.window} (threshold ${rule.threshold})`);
+
+// onAlert receives every fired alert (used to emit it over socket.io)
+const createAlertEngine = ({ dir, maxAlerts = MAX_ALERTS, onAlert }) => {
+  const rulesFile = path.join(dir, 'alert-rules.json');
+  const alertsFile = path.join(dir, 'alerts.json');
+
+  let rules = [];
+  let alerts = [];
+  // ruleId -> { matches: [{ time, log }], quietUntil }
+  const state = new Map();
+  const persist = createJsonWriter();
+
+  // Rule plus its compiled matcher; the matcher is not part of the API output
+  const compile = (rule) => ({
+    ...rule,
+    matches: compileFilters(rule.filters),
+    windowMs: parseDuration(rule.window),
+    cooldownMs: parseDuration(rule.cooldown)
+  });
+
+  const publicRule = ({ matches, windowMs, cooldownMs, ...rule }) => rule;
+
+  const saveRules = () => persist(rulesFile, rules.map(publicRule));
+
+  const init = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    rules = (await readJsonFile(rulesFile, [])).map(compile);
+    alerts = await readJsonFile(alertsFile, []);
+  };
+
+  const listRules = () => rules.map(publicRule);
+
+  const getRule = (id) => {
+    const rule = rules.find(candidate => candidate.id === id);
+    return rule ? publicRule(rule) : null;
+  };
+
+  const createRule = async (definition) => {
+    const now = new Date().toISOString();
+    const rule = compile({ id: generateId(), ...definition, createdAt: now, updatedAt: now });
+    rules.push(rule);
+    await saveRules();
+    return publicRule(rule);
+  };
+
+  // Returns null when the rule does not exist; changing a rule resets its window and cooldown
+  const updateRule = async (id, definition) => {
+    const index = rules.findIndex(candidate => candidate.id === id);
+    if (index === -1) return null;
+    rules[index] = compile({ ...publicRule(rules[index]), ...definition, id, updatedAt: new Date().toISOString() });
+    state.delete(id);
+    await saveRules();
+    return publicRule(rules[index]);
+  };
+
+  const deleteRule = async (id) => {
+    const index = rules.findIndex(candidate => candidate.id === id);
+    if (index === -1) return false;
+    rules.splice(index, 1);
+    state.delete(id);
+    await saveRules();
+    return true;
+  };
+
+  // Feed newly ingested logs through every enabled rule; returns the alerts fired
+  const evaluate = async (logs, now = Date.now()) => {
+    const fired = [];
+
+    rules.filter(rule => rule.enabled).forEach(rule => {
+      const matched = logs.filter(rule.matches);
+      if (!state.has(rule.id)) state.set(rule.id, { matches: [], quietUntil: 0 });
+      const ruleState = state.get(rule.id);
+
+      // Slide the window: drop matches older than windowMs, then add the new ones
+      ruleState.matches = ruleState.matches
+        .filter(match => match.time > now - rule.windowMs)
+        .concat(matched.map(log => ({ time: now, log })));
+      if (matched.length === 0) return;
+
+      const count = ruleState.matches.length;
+      if (count <= rule.threshold || now < ruleState.quietUntil) return;
+
+      ruleState.quietUntil = now + rule.cooldownMs;
+      const windowLogs = ruleState.matches.map(match => match.log);
+      fired.push({
+        id: generateId(now),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        firedAt: new Date(now).toISOString(),
+        message: describeAlert(rule, count),
+        count,
+        threshold: rule.threshold,
+        window: rule.window,
+        resourceIds: [...new Set(windowLogs.map(log => log.resourceId))].sort(),
+        logIds: windowLogs.slice(-SAMPLE_SIZE).map(log => log.id)
+      });
+    });
+
+    if (fired.length > 0) {
+      alerts = alerts.concat(fired).slice(-maxAlerts);
+      try {
+        await persist(alertsFile, alerts);
+      } catch (error) {
+        // Alerting must never fail ingestion; the alerts are still emitted and kept in memory
+        logger.error('Error persisting alerts:', error);
+      }
+      fired.forEach(alert => {
+        logger.info(`🚨 Alert fired: ${alert.message}`);
+        if (onAlert) onAlert(alert);
+      });
+    }
+
+    return fired;
+  };
+
+  // Fired alerts, newest first
+  const listAlerts = ({ ruleId, limit, visible = () => true } = {}) => alerts
+    .filter(alert => (!ruleId || alert.ruleId === ruleId) && visible(alert))
+    .slice()
+    .reverse()
+    .slice(0, limit);
+
+  return {
+    init,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluate,
+    listAlerts
+  };
+};
+
+module.exports = {
+  parseRule,
+  createAlertEngine
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { generateId } = require('./lib/ids');
+const { globToRegExp } = require('./lib/patterns');
+const { createJsonWriter, readJsonFile } = require('./storage/jsonFile');
+
+// API keys
+//
+// Keys look like "evk_<id>_<secret>" and are shown once, when created; only a SHA-256 hash of the
+// secret is stored. Each key has scopes and may be limited to resourceId patterns:
+//   { name: 'Auth service', scopes: ['ingest', 'query'], resourceIds: ['auth-service-*'] }
+// A limited key can only ingest logs for matching resources and only sees their logs when querying.
+// The admin scope manages keys and other server configuration. The configured admin key (auth.adminKey)
+// always has every scope, so the first keys can be created with it.
+//
+// Keys for people are usually given a role instead of scopes:
+//   admin     every scope: also manages retention, alert rules, webhooks and keys, and deletes logs
+//   engineer  queries logs
+//   support   queries logs with the metadata fields on auth.redactedMetadata masked
+// What a key may do is enforced by the access layer (access.js).
+
+const SCOPES = ['ingest', 'query', 'admin'];
+const ROLES = {
+  admin: { scopes: ['ingest', 'query', 'admin'], redacted: false },
+  engineer: { scopes: ['query'], redacted: false },
+  support: { scopes: ['query'], redacted: true }
+};
+const KEY_PATTERN = /^evk_([0-9A-HJKMNP-TV-Z]{26})_([A-Za-z0-9_-]{43})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Validate a key definition as sent to POST /api-keys
+const parseApiKey = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'API key must be a JSON object' };
+  }
+  const { name, role = null, resourceIds = null } = input;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { valid: false, error: 'API key needs a name' };
+  }
+  if (role !== null && !Object.prototype.hasOwnProperty.call(ROLES, role)) {
+    return { valid: false, error: `role must be one of: ${Object.keys(ROLES).join(', ')}` };
+  }
+  if (role !== null && input.scopes !== undefined) {
+    return { valid: false, error: 'Give an API key either a role or scopes, not both' };
+  }
+  const scopes = role ? ROLES[role].scopes : input.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+    return { valid: false, error: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` };
+  }
+  if (resourceIds !== null &&
+    !(Array.isArray(resourceIds) && resourceIds.length > 0 && resourceIds.every(id => typeof id === 'string' && id !== ''))) {
+    return { valid: false, error: 'resourceIds must be a non-empty list of resourceId patterns' };
+  }
+
+  return { valid: true, apiKey: { name: name.trim(), role, scopes: [...new Set(scopes)], resourceIds } };
+};
+
+// Key record plus what requests need to check it against
+const compile = (record) => {
+  const patterns = record.resourceIds ? record.resourceIds.map(pattern => globToRegExp(pattern)) : null;
+  return {
+    ...record,
+    // Keys created before roles existed only have scopes
+    role: record.role || null,
+    allowsResource: (resourceId) => !patterns || patterns.some(pattern => pattern.test(resourceId))
+  };
+};
+
+const ADMIN_KEY = compile({ id: 'admin', name: 'Configured admin key', role: 'admin', scopes: SCOPES, resourceIds: null });
+
+const createApiKeyStore = ({ dir, adminKey = null }) => {
+  const keysFile = path.join(dir, 'api-keys.json');
+  const adminHash = adminKey ? hashSecret(adminKey) : null;
+
+  let keys = [];
+  const persist = createJsonWriter();
+
+  const publicKey = ({ hash, allowsResource, ...record }) => record;
+
+  const storedKey = ({ allowsResource, ...record }) => record;
+
+  const saveKeys = () => persist(keysFile, keys.map(storedKey));
+
+  const init = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    keys = (await readJsonFile(keysFile, [])).map(compile);
+  };
+
+  const listKeys = () => keys.map(publicKey);
+
+  // Returns the key record together with the plaintext key, which is not stored anywhere
+  const createKey = async (definition) => {
+    const id = generateId();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = compile({ id, ...definition, hash: hashSecret(secret), createdAt: new Date().toISOString() });
+    keys.push(record);
+    await saveKeys();
+    return { ...publicKey(record), key: `evk_${id}_${secret}` };
+  };
+
+  const revokeKey = async (id) => {
+    const index = keys.findIndex(candidate => candidate.id === id);
+    if (index === -1) return false;
+    keys.splice(index, 1);
+    await saveKeys();
+    return true;
+  };
+
+  const matchesHash = (secret, hash) => {
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  // The key record for a presented key, or null when it is unknown or revoked
+  const verify = (presented) => {
+    if (typeof presented !== 'string' || presented === '') return null;
+    if (adminHash && matchesHash(presented, adminHash)) return ADMIN_KEY;
+
+    const match = presented.match(KEY_PATTERN);
+    if (!match) return null;
+    const record = keys.find(candidate => candidate.id === match[1]);
+    return record && matchesHash(match[2], record.hash) ? record : null;
+  };
+
+  return {
+    init,
+    listKeys,
+    createKey,
+    revokeKey,
+    verify
+  };
+};
+
+module.exports = {
+  SCOPES,
+  ROLES,
+  parseApiKey,
+  createApiKeyStore
+};
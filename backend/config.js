@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { compilePolicy } = require('./retention');
+const { LOG_LEVELS } = require('./lib/logger');
+const { parseDuration } = require('./lib/units');
+
+// Backend configuration
+// Defaults below are overridden by the project config file (copy config.example.js to config.js,
+// or point EVALLO_CONFIG at another file) and then by environment variables. The merged result is
+// checked against SCHEMA at startup; loadConfig throws a ConfigError listing every bad setting.
+
+
+const defaults = {
+  port: 5000,
+  environment: 'development',
+  logLevel: 'info', // console output threshold, see lib/logger.js
+  corsOrigin: 'http://localhost:3000', // frontend origin allowed by the HTTP API and socket.io
+  // Proxies whose X-Forwarded-For is believed when working out the client IP (Express trust proxy):
+  // loopback and private networks cover the bundled nginx and the dev server proxy
+  trustProxy: 'loopback, uniquelocal',
+  maxLogs: 1000,
+  retention: {
+    sweepIntervalMs: 60 * 1000,
+    rules: []
+  },
+  archive: {
+    enabled: true,
+    dir: null // defaults to <dataDir>/archive
+  },
+  search: {
+    indexMetadata: true // also index string metadata values for the search param
+  },
+  auth: {
+    enabled: false, // require API keys on the log routes and the socket.io handshake
+    adminKey: null, // bootstrap key with every scope, used to create the first API keys
+    redactedMetadata: ['userId', 'clientIP'] // metadata keys masked for keys with the support role
+  },
+  rateLimit: {
+    enabled: true,
+    // Token buckets per API key (or IP without one): burst size and sustained requests per second
+    ingest: { capacity: 500, refillPerSecond: 100 },
+    query: { capacity: 100, refillPerSecond: 20 }
+  },
+  quotas: {
+    dailyLogsPerResource: null, // logs accepted per resourceId per UTC day; null for no quota
+    debugShare: 0.8 // debug logs are shed once a resource has used this share of its quota
+  },
+  liveFeed: {
+    replayMaxLogs: 1000, // reconnecting clients that missed more than this must reload instead
+    replayWindow: '15m' // ... as must clients that were disconnected for longer
+  },
+  webhooks: {
+    timeoutMs: 5000,
+    maxAttempts: 5,
+    baseDelayMs: 1000, // doubled after every failed attempt
+    maxDelayMs: 60 * 1000,
+    concurrency: 4 // deliveries in flight per webhook, the rest are queued
+  },
+  storage: {
+    adapter: 'segments', // segments | sqlite | json
+    dataDir: path.join(__dirname, 'data'),
+    jsonFile: path.join(__dirname, 'logs.json'),
+    sqliteFile: null, // defaults to <dataDir>/logs.sqlite
+    maxSegmentBytes: 4 * 1024 * 1024
+  }
+};
+
+// A setting that cannot be used, reported at startup (or on reload) before anything is touched
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Setting types: whether a value is acceptable, what was expected, and how to read the value from
+// an environment variable
+const integer = ({ min = -Infinity, max = Infinity, nullable = false } = {}) => ({
+  expected: `${nullable ? 'null or ' : ''}an integer${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}`,
+  valid: (value) => (nullable && value === null) || (Number.isInteger(value) && value >= min && value <= max),
+  fromEnv: (text) => (nullable && text === 'null' ? null : Number(text))
+});
+
+const number = ({ above, max = Infinity }) => ({
+  expected: `a number above ${above}${max === Infinity ? '' : ` and at most ${max}`}`,
+  valid: (value) => typeof value === 'number' && value > above && value <= max,
+  fromEnv: Number
+});
+
+const boolean = () => ({
+  expected: 'true or false',
+  valid: (value) => typeof value === 'boolean',
+  fromEnv: (text) => (text === 'true' || text === 'false' ? text === 'true' : text)
+});
+
+const string = ({ oneOf = null, nullable = false } = {}) => ({
+  expected: `${nullable ? 'null or ' : ''}${oneOf ? `one of ${oneOf.join(', ')}` : 'a non-empty string'}`,
+  valid: (value) => (nullable && value === null) ||
+    (typeof value === 'string' && value !== '' && (!oneOf || oneOf.includes(value))),
+  fromEnv: (text) => text
+});
+
+// Express trust proxy values: true or false, a hop count, or a comma separated list of addresses,
+// subnets and the names loopback, linklocal and uniquelocal
+const proxyTrust = () => ({
+  expected: 'true, false, a number of hops or a list of proxy addresses',
+  valid: (value) => typeof value === 'boolean' || (Number.isInteger(value) && value >= 0) ||
+    (typeof value === 'string' && value.trim() !== ''),
+  fromEnv: (text) => {
+    if (text === 'true' || text === 'false') return text === 'true';
+    return /^\d+$/.test(text) ? Number(text) : text;
+  }
+});
+
+const stringList = () => ({
+  expected: 'a list of strings',
+  valid: (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '')
+});
+
+const list = () => ({
+  expected: 'a list',
+  valid: Array.isArray
+});
+
+const duration = () => ({
+  expected: 'a duration such as 30s, 15m or 1h',
+  valid: (value) => {
+    try {
+      parseDuration(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+});
+
+const bucket = () => ({
+  capacity: integer({ min: 1 }),
+  refillPerSecond: number({ above: 0 })
+});
+
+// Every backend setting with its type; env names the environment variable that overrides it
+const SCHEMA = {
+  port: { ...integer({ min: 1, max: 65535 }), env: 'PORT' },
+  environment: { ...string(), env: 'NODE_ENV' },
+  logLevel: { ...string({ oneOf: LOG_LEVELS }), env: 'LOG_LEVEL' },
+  corsOrigin: { ...string(), env: 'CORS_ORIGIN' },
+  trustProxy: { ...proxyTrust(), env: 'TRUST_PROXY' },
+  maxLogs: { ...integer({ min: 1, nullable: true }), env: 'MAX_LOGS' },
+  retention: {
+    sweepIntervalMs: integer({ min: 1 }),
+    rules: list()
+  },
+  archive: {
+    enabled: boolean(),
+    dir: string({ nullable: true })
+  },
+  search: {
+    indexMetadata: boolean()
+  },
+  auth: {
+    enabled: { ...boolean(), env: 'AUTH_ENABLED' },
+    adminKey: { ...string({ nullable: true }), env: 'ADMIN_API_KEY' },
+    redactedMetadata: stringList()
+  },
+  rateLimit: {
+    enabled: boolean(),
+    ingest: bucket(),
+    query: bucket()
+  },
+  quotas: {
+    dailyLogsPerResource: integer({ min: 1, nullable: true }),
+    debugShare: number({ above: 0, max: 1 })
+  },
+  liveFeed: {
+    replayMaxLogs: integer({ min: 0 }),
+    replayWindow: duration()
+  },
+  webhooks: {
+    timeoutMs: integer({ min: 1 }),
+    maxAttempts: integer({ min: 1 }),
+    baseDelayMs: integer({ min: 0 }),
+    maxDelayMs: integer({ min: 0 }),
+    concurrency: integer({ min: 1 })
+  },
+  storage: {
+    adapter: { ...string({ oneOf: ['segments', 'sqlite', 'json'] }), env: 'STORAGE_ADAPTER' },
+    dataDir: { ...string(), env: 'DATA_DIR' },
+    jsonFile: { ...string(), env: 'LOGS_DB_FILE' },
+    sqliteFile: { ...string({ nullable: true }), env: 'SQLITE_FILE' },
+    maxSegmentBytes: integer({ min: 1 })
+  }
+};
+
+const isSetting = (node) => typeof node.valid === 'function';
+
+// [dot path, setting] for every leaf of the schema
+const settings = (schema = SCHEMA, prefix = '') => Object.entries(schema).flatMap(([key, node]) => {
+  const settingPath = prefix ? `${prefix}.${key}` : key;
+  return isSetting(node) ? [[settingPath, node]] : settings(node, settingPath);
+});
+
+const getPath = (object, settingPath) => settingPath.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+const setPath = (object, settingPath, value) => {
+  const keys = settingPath.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Recursively merge plain objects; arrays and scalars from the override replace the base value
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+};
+
+// Load the config file; relative storage paths in it are resolved against the file's directory.
+// The file is read afresh every time so a reload picks up edits.
+const readConfigFile = () => {
+  const file = path.resolve(process.env.EVALLO_CONFIG || path.join(__dirname, '..', 'config.js'));
+  if (!fs.existsSync(file)) return {};
+
+  let fileConfig;
+  try {
+    delete require.cache[file];
+    fileConfig = require(file);
+  } catch (error) {
+    throw new ConfigError(`Could not load config file ${file}: ${error.message}`);
+  }
+  const baseDir = path.dirname(file);
+  const storage = { ...fileConfig.storage };
+  ['dataDir', 'jsonFile', 'sqliteFile'].forEach(key => {
+    if (storage[key]) storage[key] = path.resolve(baseDir, storage[key]);
+  });
+  const archive = { ...fileConfig.archive };
+  if (archive.dir) archive.dir = path.resolve(baseDir, archive.dir);
+  return { ...fileConfig, storage, archive };
+};
+
+// Settings given as environment variables, converted to the setting's type
+const readEnv = () => {
+  const overrides = {};
+  settings().forEach(([settingPath, setting]) => {
+    const text = setting.env && process.env[setting.env];
+    if (text !== undefined && text !== '') {
+      setPath(overrides, settingPath, setting.fromEnv(text));
+    }
+  });
+  return overrides;
+};
+
+// Problems with a merged config, one readable line each
+const validateConfig = (config) => {
+  const problems = settings()
+    .filter(([settingPath, setting]) => !setting.valid(getPath(config, settingPath)))
+    .map(([settingPath, setting]) => {
+      const fromEnv = Boolean(setting.env && process.env[setting.env]);
+      const value = fromEnv ? process.env[setting.env] : getPath(config, settingPath);
+      return `${settingPath} must be ${setting.expected}, got ${JSON.stringify(value)}${fromEnv ? ` (from ${setting.env})` : ''}`;
+    });
+
+  // Retention rules have a structure of their own, checked once the basic types are right
+  if (problems.length === 0) {
+    try {
+      compilePolicy({ maxLogs: config.maxLogs, rules: config.retention.rules });
+    } catch (error) {
+      problems.push(`retention: ${error.message}`);
+    }
+  }
+  return problems;
+};
+
+// Defaults, then the config file, then environment variables; throws a ConfigError when the
+// result is unusable
+const loadConfig = () => {
+  const config = mergeConfig(mergeConfig(defaults, readConfigFile()), readEnv());
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return config;
+};
+
+// Dot paths of the settings that differ between two configs
+const changedSettings = (before, after) => settings()
+  .map(([settingPath]) => settingPath)
+  .filter(settingPath => JSON.stringify(getPath(before, settingPath)) !== JSON.stringify(getPath(after, settingPath)));
+
+module.exports = {
+  ConfigError,
+  LOG_LEVELS,
+  loadConfig,
+  mergeConfig,
+  changedSettings
+};
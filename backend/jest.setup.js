@@ -0,0 +1,6 @@
+const path = require('path');
+
+// Test suites must not pick up a developer's config.js from the repo root (copied from
+// config.example.js, possibly with auth or quotas enabled). Unless a suite points EVALLO_CONFIG at
+// a file of its own, the server is loaded from this missing file, i.e. the built-in defaults.
+process.env.EVALLO_CONFIG = path.join(__dirname, '__tests__', 'no-config.js');
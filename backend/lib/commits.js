@@ -0,0 +1,145 @@
+// Deployment comparisons for GET /commits and GET /commits/:a/compare/:b
+//
+// Messages are reduced to patterns by replacing the variable parts (numbers, IDs, addresses,
+// quoted values) with placeholders, so "Connection timeout after 30 seconds" and "Connection
+// timeout after 45 seconds" count as the same problem when comparing two commits.
+
+// A pattern counts as increased when its share of the later commit's logs grew by this factor
+const INCREASE_RATIO = 1.5;
+
+const PLACEHOLDERS = [
+  [/"[^"]*"|'[^']*'/g, '<str>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b/g, '<ip>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,}\b/gi, '<hex>'],
+  [/\d+(\.\d+)?/g, '<num>']
+];
+
+const messagePattern = (message) => PLACEHOLDERS
+  .reduce((pattern, [regex, placeholder]) => pattern.replace(regex, placeholder), String(message))
+  .trim();
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+const countLevels = (logs) => {
+  const errorCount = logs.filter(log => log.level === 'error').length;
+  const warnCount = logs.filter(log => log.level === 'warn').length;
+  return {
+    logCount: logs.length,
+    errorCount,
+    warnCount,
+    errorRate: rate(errorCount, logs.length),
+    warnRate: rate(warnCount, logs.length)
+  };
+};
+
+const groupBy = (logs, key) => logs.reduce((groups, log) => {
+  const value = key(log);
+  if (!groups.has(value)) groups.set(value, []);
+  groups.get(value).push(log);
+  return groups;
+}, new Map());
+
+const timeRange = (logs) => {
+  const times = logs.map(log => new Date(log.timestamp).getTime());
+  return {
+    firstSeen: new Date(times.reduce((min, time) => Math.min(min, time), Infinity)).toISOString(),
+    lastSeen: new Date(times.reduce((max, time) => Math.max(max, time), -Infinity)).toISOString()
+  };
+};
+
+// Totals for one commit, overall and per resource
+const summarizeCommit = (commit, logs) => ({
+  commit,
+  ...timeRange(logs),
+  ...countLevels(logs),
+  resources: [...groupBy(logs, log => log.resourceId)]
+    .map(([resourceId, resourceLogs]) => ({ resourceId, ...countLevels(resourceLogs) }))
+    .sort((a, b) => a.resourceId.localeCompare(b.resourceId))
+});
+
+// Every commit in the logs, in the order it was first seen
+const summarizeCommits = (logs) => [...groupBy(logs.filter(log => log.commit), log => log.commit)]
+  .map(([commit, commitLogs]) => summarizeCommit(commit, commitLogs))
+  .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen) || a.commit.localeCompare(b.commit));
+
+const patternCounts = (logs) => {
+  const patterns = new Map();
+  logs.forEach(log => {
+    const pattern = messagePattern(log.message);
+    if (!patterns.has(pattern)) {
+      patterns.set(pattern, { count: 0, levels: {}, resourceIds: new Set(), example: log.message });
+    }
+    const entry = patterns.get(pattern);
+    entry.count += 1;
+    entry.levels[log.level] = (entry.levels[log.level] || 0) + 1;
+    entry.resourceIds.add(log.resourceId);
+  });
+  return patterns;
+};
+
+// Message patterns of the later commit (b) that are new or more frequent than in the earlier one (a).
+// Frequencies are shares of each commit's own log volume, so a busier deploy is not penalised.
+const compareCommits = (a, aLogs, b, bLogs) => {
+  const before = patternCounts(aLogs);
+  const after = patternCounts(bLogs);
+
+  const describe = (pattern, entry, previous) => ({
+    pattern,
+    example: entry.example,
+    levels: entry.levels,
+    resourceIds: [...entry.resourceIds].sort(),
+    countBefore: previous ? previous.count : 0,
+    countAfter: entry.count,
+    rateBefore: previous ? rate(previous.count, aLogs.length) : 0,
+    rateAfter: rate(entry.count, bLogs.length)
+  });
+
+  const introduced = [];
+  const increased = [];
+  after.forEach((entry, pattern) => {
+    const previous = before.get(pattern);
+    const change = describe(pattern, entry, previous);
+    if (!previous) {
+      introduced.push(change);
+    } else if (change.rateAfter >= change.rateBefore * INCREASE_RATIO) {
+      increased.push(change);
+    }
+  });
+
+  const resolved = [...before]
+    .filter(([pattern]) => !after.has(pattern))
+    .map(([pattern, entry]) => ({
+      pattern,
+      example: entry.example,
+      countBefore: entry.count,
+      rateBefore: rate(entry.count, aLogs.length)
+    }));
+
+  // Errors first, then by how often the pattern now occurs
+  const severity = (change) => [(change.levels.error || 0), (change.levels.warn || 0), change.countAfter];
+  const bySeverity = (x, y) => {
+    const [sx, sy] = [severity(x), severity(y)];
+    return (sy[0] - sx[0]) || (sy[1] - sx[1]) || (sy[2] - sx[2]) || x.pattern.localeCompare(y.pattern);
+  };
+
+  const base = summarizeCommit(a, aLogs);
+  const head = summarizeCommit(b, bLogs);
+  const difference = (x, y) => Math.round((x - y) * 10000) / 10000;
+
+  return {
+    base,
+    head,
+    errorRateChange: difference(head.errorRate, base.errorRate),
+    warnRateChange: difference(head.warnRate, base.warnRate),
+    newPatterns: introduced.sort(bySeverity),
+    increasedPatterns: increased.sort(bySeverity),
+    resolvedPatterns: resolved.sort((x, y) => y.countBefore - x.countBefore || x.pattern.localeCompare(y.pattern))
+  };
+};
+
+module.exports = {
+  messagePattern,
+  summarizeCommits,
+  compareCommits
+};
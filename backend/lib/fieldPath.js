@@ -0,0 +1,33 @@
+// Resolve a dot path such as "level" or "metadata.connectionPool" against a log entry.
+// Returns the values found (empty when the path does not exist) so callers can treat
+// single and multi-valued fields alike.
+//
+// Arrays are traversed: "metadata.tags" yields each tag, "metadata.hosts.name" yields the name
+// of every object in the hosts array, and a numeric segment ("metadata.hosts.0.name") indexes
+// into an array instead.
+const collectValues = (current, segments, index, values) => {
+  if (index === segments.length) {
+    if (Array.isArray(current)) {
+      values.push(...current);
+    } else if (current !== undefined) {
+      values.push(current);
+    }
+    return values;
+  }
+
+  const segment = segments[index];
+  if (Array.isArray(current) && !/^\d+$/.test(segment)) {
+    current.forEach(item => collectValues(item, segments, index, values));
+    return values;
+  }
+  if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+    return values;
+  }
+  return collectValues(current[segment], segments, index + 1, values);
+};
+
+const getFieldValues = (log, path) => collectValues(log, path.split('.'), 0, []);
+
+module.exports = {
+  getFieldValues
+};
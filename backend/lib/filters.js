@@ -0,0 +1,226 @@
+const { compileMatcher, compileQuery } = require('./query');
+const { getFieldValues } = require('./fieldPath');
+const { compileSafeRegExp, createBoundedTest, globToRegExp, hasWildcard } = require('./patterns');
+
+// Shared GET /logs filtering logic, used by the routes and the storage adapters
+//
+// Query params are compiled once into a single predicate. Compiled filters are cached per
+// filters object, so the storage scan, archive scan and any other consumer of the same
+// request's query share one compilation.
+
+const compiled = new WeakMap();
+
+// A filter param that cannot be interpreted, reported to the client as a 400
+class InvalidFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFilterError';
+  }
+}
+
+// Field params accept more than a plain value:
+//   level=error                exact match (message: case-insensitive substring, as before)
+//   level=error,warn           any of several values; repeating the param works too
+//   resourceId=app-server-*    glob with * and ?
+//   message=/timeout \d+/i     regular expression, flags i, m, s and u; anything else between
+//                              slashes, such as /var/log/syslog, is a plain value
+//   level!=debug               negation; the query string parser delivers it as key "level!"
+// Commas are not split in message values since log text often contains them.
+const FIELD_FILTERS = ['level', 'message', 'resourceId', 'traceId', 'spanId', 'commit'];
+const REGEX_VALUE = /^\/(.+)\/([imsu]*)$/;
+
+const splitValues = (field, value) => (REGEX_VALUE.test(value) || field === 'message'
+  ? [value]
+  : value.split(',').map(part => part.trim()).filter(part => part !== ''));
+
+const compileValueMatcher = (key, field, value) => {
+  const regex = value.match(REGEX_VALUE);
+  if (regex) {
+    let test;
+    try {
+      test = createBoundedTest(compileSafeRegExp(regex[1], regex[2]));
+    } catch (error) {
+      throw new InvalidFilterError(`Invalid ${key} filter "${value}": ${error.message}`);
+    }
+    return fieldValue => typeof fieldValue === 'string' && test(fieldValue);
+  }
+
+  if (field === 'message') {
+    if (hasWildcard(value)) {
+      const pattern = globToRegExp(`*${value}*`, 'i');
+      return fieldValue => typeof fieldValue === 'string' && pattern.test(fieldValue);
+    }
+    const needle = value.toLowerCase();
+    return fieldValue => typeof fieldValue === 'string' && fieldValue.toLowerCase().includes(needle);
+  }
+
+  if (hasWildcard(value)) {
+    const pattern = globToRegExp(value);
+    return fieldValue => typeof fieldValue === 'string' && pattern.test(fieldValue);
+  }
+  return fieldValue => fieldValue === value;
+};
+
+// Predicate for one field param (key is "level" or "level!"), or null when the param is empty
+const compileFieldFilter = (key, raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const field = key.replace(/!$/, '');
+  const values = [].concat(raw);
+  if (values.some(value => typeof value !== 'string')) {
+    throw new InvalidFilterError(`Invalid ${key} filter: expected a string value`);
+  }
+
+  const matchers = values
+    .flatMap(value => splitValues(field, value))
+    .map(value => compileValueMatcher(key, field, value));
+  if (matchers.length === 0) return null;
+
+  const matches = log => matchers.some(matcher => matcher(log[field]));
+  return key.endsWith('!') ? log => !matches(log) : matches;
+};
+
+// Plain values of a field param (no patterns, no negation) that a storage engine can look up
+// directly, e.g. "error,warn" -> ['error', 'warn']; null when the param needs applyFilters
+const literalValues = (raw) => {
+  if (typeof raw !== 'string' || REGEX_VALUE.test(raw)) return null;
+  const values = splitValues('', raw);
+  return values.length > 0 && !values.some(hasWildcard) ? values : null;
+};
+
+// metadata.<path> params. The query string parser splits at the first '=', so the operators
+// arrive in the key:
+//   metadata.connectionPool=main-pool     key "metadata.connectionPool", value "main-pool"
+//   metadata.usagePercent>=90             key "metadata.usagePercent>", value "90"
+//   metadata.usagePercent>90              key "metadata.usagePercent>90", value ""
+//   metadata.userId:exists=false          existence check (true when the value is omitted)
+const METADATA_KEY = /^metadata\.([^<>:]+?)(?:(:exists)|([<>])(.*))?$/;
+
+const parseMetadataFilter = (key, value) => {
+  const match = key.match(METADATA_KEY);
+  const fail = (reason) => {
+    throw new InvalidFilterError(`Invalid metadata filter "${key}": ${reason}`);
+  };
+
+  if (!match) fail('expected metadata.<path>, metadata.<path>:exists or a comparison such as metadata.<path>>=10');
+  const [, path, exists, comparison, rest] = match;
+  if (!/^[^.]+(\.[^.]+)*$/.test(path)) fail('path segments must not be empty');
+  if (typeof value !== 'string') fail('expected a single value');
+  const field = `metadata.${path}`;
+
+  if (exists) {
+    if (!['', 'true', 'false'].includes(value)) fail(`exists must be true or false, got "${value}"`);
+    return { field, exists: value !== 'false' };
+  }
+
+  if (!comparison) {
+    return { field, op: ':', value };
+  }
+
+  // "a>=90" arrives as key "a>" + value "90"; "a>90" (or an encoded "a%3E%3D90") arrives whole in the key
+  let op = `${comparison}=`;
+  let operand = value;
+  if (rest !== '') {
+    if (value !== '') fail('unexpected value after the comparison');
+    op = rest.startsWith('=') ? `${comparison}=` : comparison;
+    operand = rest.startsWith('=') ? rest.slice(1) : rest;
+  }
+  if (operand.trim() === '' || isNaN(Number(operand))) fail(`comparison '${op}' needs a number, got "${operand}"`);
+  return { field, op, value: operand };
+};
+
+// Predicates for every metadata.<path> param; repeated params must all match
+const compileMetadataFilters = (filters) => Object.keys(filters)
+  .filter(key => key.startsWith('metadata.'))
+  .flatMap(key => [].concat(filters[key]).map(value => parseMetadataFilter(key, value)))
+  .map(filter => {
+    if (filter.exists !== undefined) {
+      return log => (getFieldValues(log, filter.field).length > 0) === filter.exists;
+    }
+    const matches = compileMatcher({ ...filter, quoted: true });
+    return log => getFieldValues(log, filter.field).some(matches);
+  });
+
+// Reverse chronological order; equal timestamps fall back to the ID so the order is total
+const compareNewestFirst = (a, b) => {
+  const diff = new Date(b.timestamp) - new Date(a.timestamp);
+  if (diff !== 0) return diff;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+};
+
+// Parse an optional timestamp bound; invalid or missing values mean "unbounded"
+const parseTimeBound = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+// Whether a query param is one of the filters compileFilters understands
+const isFilterParam = (key) => FIELD_FILTERS.some(field => key === field || key === `${field}!`) ||
+  ['timestamp_start', 'timestamp_end', 'q'].includes(key) || key.startsWith('metadata.');
+
+// One predicate per active filter; params that are empty or otherwise do not narrow the result
+// contribute none
+const buildPredicates = (filters) => {
+  const { timestamp_start, timestamp_end, q } = filters;
+
+  const predicates = [];
+
+  FIELD_FILTERS.forEach(field => {
+    [field, `${field}!`].forEach(key => {
+      const predicate = compileFieldFilter(key, filters[key]);
+      if (predicate) predicates.push(predicate);
+    });
+  });
+
+  const startTime = parseTimeBound(timestamp_start);
+  if (startTime !== null) {
+    predicates.push(log => new Date(log.timestamp).getTime() >= startTime);
+  }
+
+  const endTime = parseTimeBound(timestamp_end);
+  if (endTime !== null) {
+    predicates.push(log => new Date(log.timestamp).getTime() <= endTime);
+  }
+
+  if (q) {
+    predicates.push(compileQuery(q));
+  }
+
+  predicates.push(...compileMetadataFilters(filters));
+  return predicates;
+};
+
+// Number of filters that actually narrow the result; throws like compileFilters
+const countActiveFilters = (filters = {}) => buildPredicates(filters).length;
+
+// Build one predicate per active filter, combined with AND logic (all filters must match).
+// Throws QuerySyntaxError when the q param does not parse and InvalidFilterError for other
+// params that cannot be interpreted (bad regexes, malformed metadata.<path> filters).
+const compileFilters = (filters = {}) => {
+  if (compiled.has(filters)) return compiled.get(filters);
+
+  const predicates = buildPredicates(filters);
+  const matches = (log) => predicates.every(predicate => predicate(log));
+  if (filters && typeof filters === 'object') {
+    compiled.set(filters, matches);
+  }
+  return matches;
+};
+
+// Apply query filters using AND logic and sort in reverse chronological order
+const applyFilters = (logs, filters = {}) => {
+  const matches = compileFilters(filters);
+  return logs.filter(matches).sort(compareNewestFirst);
+};
+
+module.exports = {
+  InvalidFilterError,
+  applyFilters,
+  compileFilters,
+  compareNewestFirst,
+  countActiveFilters,
+  isFilterParam,
+  literalValues,
+  parseTimeBound
+};
@@ -0,0 +1,101 @@
+const { InvalidFilterError, parseTimeBound } = require('./filters');
+const { createWallClock, parseTimeZone } = require('./timezones');
+
+// Volume over time for GET /logs/histogram
+//
+// Buckets are aligned to local calendar boundaries in the requested time zone (a 1d bucket runs
+// from local midnight to local midnight) and cover the whole range without gaps. The range is
+// timestamp_start..timestamp_end when given, otherwise the span of the matching logs.
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+const MAX_BUCKETS = 10000;
+
+// Validate the interval and timezone query params
+const parseHistogramParams = ({ interval, timezone }) => {
+  if (!Object.prototype.hasOwnProperty.call(INTERVALS, interval)) {
+    return { valid: false, error: `Invalid interval. Must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  const zone = parseTimeZone(timezone);
+  if (!zone.valid) {
+    return zone;
+  }
+
+  return { valid: true, interval, timeZone: zone.timeZone };
+};
+
+// Local wall time as "YYYY-MM-DDTHH:mm", for labelling buckets
+const formatWall = (wall) => new Date(wall).toISOString().slice(0, 16);
+
+// Count logs per bucket and level. Throws InvalidFilterError when the range needs too many buckets.
+const buildHistogram = (logs, { interval, timeZone = 'UTC', start, end }) => {
+  const size = INTERVALS[interval];
+  const clock = createWallClock(timeZone);
+  const bucketOf = (instant) => Math.floor(clock.toWall(instant) / size) * size;
+
+  const times = logs.map(log => new Date(log.timestamp).getTime()).filter(time => !isNaN(time));
+  let startTime = parseTimeBound(start);
+  let endTime = parseTimeBound(end);
+  if (startTime === null && times.length > 0) startTime = times.reduce((min, time) => Math.min(min, time), Infinity);
+  if (endTime === null && times.length > 0) endTime = times.reduce((max, time) => Math.max(max, time), -Infinity);
+
+  const result = { interval, timezone: timeZone, start: null, end: null, buckets: [] };
+  if (startTime === null || endTime === null || startTime > endTime) {
+    return result;
+  }
+
+  const tooMany = (count) => new InvalidFilterError(`The range needs ${count} buckets at interval ${interval}; the limit is ${MAX_BUCKETS}. Use a larger interval or a narrower time range`);
+
+  // Checked on the ends first: finding the wall time extremes walks the range a day at a time
+  const estimate = (bucketOf(endTime) - bucketOf(startTime)) / size + 1;
+  if (estimate > MAX_BUCKETS) {
+    throw tooMany(estimate);
+  }
+
+  // Clocks falling back repeat an hour of wall time, so the range's first and last buckets come
+  // from its earliest and latest wall time rather than from its ends
+  const wall = clock.wallRange(startTime, endTime);
+  const firstBucket = Math.floor(wall.min / size) * size;
+  const lastBucket = Math.floor(wall.max / size) * size;
+  const count = (lastBucket - firstBucket) / size + 1;
+  if (count > MAX_BUCKETS) {
+    throw tooMany(count);
+  }
+
+  // Zero-filled buckets keyed by their local start
+  const buckets = new Map();
+  for (let bucketStart = firstBucket; bucketStart <= lastBucket; bucketStart += size) {
+    buckets.set(bucketStart, {
+      start: new Date(clock.toInstant(bucketStart)).toISOString(),
+      local: formatWall(bucketStart),
+      total: 0,
+      byLevel: Object.fromEntries(LEVELS.map(level => [level, 0]))
+    });
+  }
+
+  logs.forEach(log => {
+    const time = new Date(log.timestamp).getTime();
+    if (isNaN(time) || time < startTime || time > endTime) return;
+    const bucket = buckets.get(bucketOf(time));
+    if (!bucket) return;
+    bucket.total += 1;
+    bucket.byLevel[log.level] = (bucket.byLevel[log.level] || 0) + 1;
+  });
+
+  result.start = new Date(startTime).toISOString();
+  result.end = new Date(endTime).toISOString();
+  result.buckets = [...buckets.values()];
+  return result;
+};
+
+module.exports = {
+  INTERVALS,
+  parseHistogramParams,
+  buildHistogram
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// ULID-style log IDs: 10 characters of millisecond timestamp followed by 16 random characters,
+// both in Crockford base32. IDs sort lexicographically in ingestion order; within the same
+// millisecond the random part is incremented so IDs stay unique and ordered.
+
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/i;
+
+let lastTime = -1;
+let lastRandom = null;
+
+const encodeTime = (time) => {
+  let remaining = time;
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+};
+
+const randomDigits = () => Array.from(crypto.randomBytes(RANDOM_LENGTH), byte => byte % 32);
+
+// Add one to a base32 digit array in place
+const increment = (digits) => {
+  for (let i = digits.length - 1; i >= 0; i--) {
+    if (digits[i] < 31) {
+      digits[i] += 1;
+      return;
+    }
+    digits[i] = 0;
+  }
+  throw new Error('ULID random component overflowed within one millisecond');
+};
+
+// Generate a new, strictly increasing ID
+const generateId = (now = Date.now()) => {
+  if (now > lastTime) {
+    lastTime = now;
+    lastRandom = randomDigits();
+  } else {
+    increment(lastRandom);
+  }
+  return encodeTime(lastTime) + lastRandom.map(digit => ENCODING[digit]).join('');
+};
+
+const isUlid = (id) => typeof id === 'string' && ULID_PATTERN.test(id);
+
+// Canonical form of a requested ID: ULIDs are case-insensitive, legacy numeric IDs pass through
+const normalizeId = (id) => (isUlid(id) ? id.toUpperCase() : id);
+
+// Millisecond timestamp encoded in a ULID, or null for legacy IDs
+const idTimestamp = (id) => {
+  if (!isUlid(id)) return null;
+  return id.toUpperCase().slice(0, TIME_LENGTH).split('')
+    .reduce((time, char) => time * 32 + ENCODING.indexOf(char), 0);
+};
+
+module.exports = {
+  generateId,
+  isUlid,
+  normalizeId,
+  idTimestamp
+};
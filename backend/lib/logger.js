@@ -0,0 +1,31 @@
+// Level-aware console output for the backend
+//
+// config.logLevel sets how much is printed: error prints failures only, warn adds warnings (such
+// as repaired storage files), info adds startup, request, migration and alert messages, and debug
+// adds socket connections. The server sets the level at startup and again on a config reload;
+// until then everything up to info is printed.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+let threshold = LOG_LEVELS.indexOf('info');
+
+const setLogLevel = (level) => {
+  threshold = LOG_LEVELS.indexOf(level);
+};
+
+// Whether messages at this level are currently printed
+const isLogged = (level) => LOG_LEVELS.indexOf(level) <= threshold;
+
+const logger = {
+  error: (...args) => isLogged('error') && console.error(...args),
+  warn: (...args) => isLogged('warn') && console.warn(...args),
+  info: (...args) => isLogged('info') && console.log(...args),
+  debug: (...args) => isLogged('debug') && console.log(...args)
+};
+
+module.exports = {
+  LOG_LEVELS,
+  isLogged,
+  logger,
+  setLogLevel
+};
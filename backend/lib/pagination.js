@@ -0,0 +1,94 @@
+// Cursor-based pagination for GET /logs
+//
+// Results are ordered by timestamp, newest first, with the ID as tie-breaker. A cursor is the
+// opaque (base64url) position of the last item on a page, so logs ingested while a client pages
+// through never shift or duplicate the entries of later pages.
+//
+// With sort=relevance results are ordered by search score first, and the cursor also carries the
+// score of the last item. Scores shift slightly as the index grows, so relevance paging is best effort.
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const encodeCursor = (log, relevance = false) => Buffer
+  .from(JSON.stringify({
+    t: new Date(log.timestamp).getTime(),
+    id: log.id,
+    ...(relevance ? { s: log.match.score } : {})
+  }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.t !== 'number' || typeof position.id !== 'string') return null;
+    if (position.s !== undefined && typeof position.s !== 'number') return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate the limit and cursor query params.
+// Without either one the caller gets the legacy bare-array response (page is null).
+const parsePageParams = ({ limit, cursor, sort }) => {
+  if (limit === undefined && cursor === undefined) {
+    return { valid: true, page: null };
+  }
+
+  const size = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let after = null;
+  if (cursor !== undefined && cursor !== '') {
+    after = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+    if (!after) {
+      return { valid: false, error: 'Invalid cursor' };
+    }
+    // A cursor only makes sense for the sort order it was issued for
+    if ((after.s !== undefined) !== (sort === 'relevance')) {
+      return { valid: false, error: 'Cursor does not match the requested sort order' };
+    }
+  }
+
+  return { valid: true, page: { limit: size, after } };
+};
+
+// True when a log comes after the cursor position in the result order
+const isAfter = (log, after) => {
+  if (after.s !== undefined && log.match.score !== after.s) {
+    return log.match.score < after.s;
+  }
+  const time = new Date(log.timestamp).getTime();
+  return time < after.t || (time === after.t && log.id < after.id);
+};
+
+// Cut one page out of logs sorted newest first (or by relevance, then newest first)
+const paginate = (logs, { limit, after }, { relevance = false } = {}) => {
+  let start = 0;
+  if (after) {
+    start = logs.findIndex(log => isAfter(log, after));
+    if (start === -1) start = logs.length;
+  }
+
+  const items = logs.slice(start, start + limit);
+  const hasMore = start + limit < logs.length;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], relevance) : null,
+    // Matches in this snapshot; concurrent ingestion and retention make it approximate
+    total: logs.length
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  paginate
+};
@@ -0,0 +1,164 @@
+const vm = require('vm');
+const { logger } = require('./logger');
+
+// Glob-style patterns for resource IDs and similar fields: * matches any run of characters, ? one character
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasWildcard = (pattern) => /[*?]/.test(pattern);
+
+const globToRegExp = (pattern, flags = '') => new RegExp(
+  '^' + pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return escapeRegExp(char);
+  }).join('') + '$',
+  flags
+);
+
+// User-supplied regular expressions run against every scanned log, so patterns that can backtrack
+// catastrophically are refused up front rather than stalling the event loop. The check is a
+// conservative heuristic: it rejects long patterns, backreferences, nested repetition such as
+// (a+)+ or (\w*,?){10,}, repeated alternation such as (a|ab)+ and runs of many unbounded
+// quantifiers such as .*.*.*.* (the usual sources of exponential and high polynomial backtracking).
+const MAX_REGEX_LENGTH = 200;
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+const GROUP_PREFIX = /^\?(?::|=|!|<=|<!|<[^>]*>)/;
+
+// *, +, {n,} and {n,m} repeat an atom; ? and {0} / {1} do not
+const repeats = (quantifier) => quantifier === '*' || quantifier === '+' ||
+  (quantifier.startsWith('{') && (quantifier.includes(',') || Number(quantifier.slice(1, -1)) > 1));
+
+// *, + and {n,} have no upper bound
+const unbounded = (quantifier) => quantifier === '*' || quantifier === '+' || /^\{\d+,\}$/.test(quantifier);
+
+// Number of *, + and {n,} quantifiers outside character classes
+const countUnbounded = (source) => {
+  let count = 0;
+  let i = 0;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (source[i] === '[') {
+      i += 1;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i += 1;
+    } else {
+      const quantifier = source.slice(i).match(QUANTIFIER);
+      if (quantifier && unbounded(quantifier[0])) count += 1;
+      i += quantifier ? quantifier[0].length : 1;
+    }
+  }
+  return count;
+};
+
+const findUnsafeConstruct = (source) => {
+  if (source.length > MAX_REGEX_LENGTH) return `longer than ${MAX_REGEX_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return 'backreferences are not supported';
+  if (countUnbounded(source) > MAX_UNBOUNDED_QUANTIFIERS) {
+    return `more than ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, + or {n,}) can backtrack catastrophically`;
+  }
+
+  // Each frame records whether the group contains repetition or alternation
+  const stack = [{ repeats: false, alternates: false }];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i += 2;
+    } else if (char === '[') {
+      // Skip the character class; its contents cannot repeat on their own
+      i += 1;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i += 1;
+    } else if (char === '(') {
+      stack.push({ repeats: false, alternates: false });
+      i += 1;
+      const prefix = source.slice(i).match(GROUP_PREFIX);
+      if (prefix) i += prefix[0].length;
+    } else if (char === '|') {
+      stack[stack.length - 1].alternates = true;
+      i += 1;
+    } else if (char === ')') {
+      const group = stack.length > 1 ? stack.pop() : { repeats: false, alternates: false };
+      i += 1;
+      const quantifier = source.slice(i).match(QUANTIFIER);
+      const repeated = Boolean(quantifier) && repeats(quantifier[0]);
+      if (group.repeats && repeated) return 'nested repetition such as (a+)+ can backtrack catastrophically';
+      if (group.alternates && repeated) return 'repeated alternation such as (a|ab)+ can backtrack catastrophically';
+      const parent = stack[stack.length - 1];
+      if (group.repeats || repeated) parent.repeats = true;
+      if (group.alternates) parent.alternates = true;
+      if (quantifier) i += quantifier[0].length;
+    } else {
+      const quantifier = source.slice(i).match(QUANTIFIER);
+      if (quantifier) {
+        if (repeats(quantifier[0])) stack[stack.length - 1].repeats = true;
+        i += quantifier[0].length;
+      } else {
+        i += 1;
+      }
+    }
+  }
+
+  return null;
+};
+
+// The checks above cannot catch every slow pattern (/.*.*x/ is quadratic per start position), so
+// patterns with unbounded repetition are tested in a separate V8 context with a time limit. A value
+// that takes longer counts as no match, and the pattern matches nothing from then on.
+const MATCH_TIMEOUT_MS = 50;
+const TEST_SCRIPT = new vm.Script('pattern.test(value)');
+
+// Predicate testing strings against a compiled pattern within MATCH_TIMEOUT_MS per value
+const createBoundedTest = (pattern) => {
+  if (countUnbounded(pattern.source) === 0) {
+    return (value) => pattern.test(value);
+  }
+
+  const context = vm.createContext({ pattern, value: '' });
+  let timedOut = false;
+  return (value) => {
+    if (timedOut) return false;
+    context.value = value;
+    try {
+      return TEST_SCRIPT.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      timedOut = true;
+      logger.warn(`⚠️  Regex /${pattern.source}/ took over ${MATCH_TIMEOUT_MS}ms on one value and is disabled`);
+      return false;
+    }
+  };
+};
+
+// Compile a user-supplied regular expression; throws with a readable reason when it is invalid or unsafe
+const compileSafeRegExp = (source, flags = '') => {
+  if (/[gy]/.test(flags)) {
+    throw new Error(`flag "${flags.match(/[gy]/)[0]}" is not supported`);
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(error.message.replace(/^Invalid regular expression: /, ''));
+  }
+
+  const reason = findUnsafeConstruct(source);
+  if (reason) {
+    throw new Error(`pattern rejected: ${reason}`);
+  }
+  return pattern;
+};
+
+module.exports = {
+  escapeRegExp,
+  hasWildcard,
+  globToRegExp,
+  compileSafeRegExp,
+  createBoundedTest
+};
@@ -0,0 +1,286 @@
+const { globToRegExp, hasWildcard } = require('./patterns');
+const { getFieldValues } = require('./fieldPath');
+
+// Query language for the q parameter of GET /logs
+//
+//   level:error                      field match (wildcards * and ? allowed)
+//   resourceId:db-*                  glob match
+//   message:"timeout after"          quoted phrase
+//   timeout                          bare words and phrases search the message
+//   metadata.retryCount > 2          numeric comparison (>, >=, <, <=), also timestamp > "2024-01-01"
+//   a AND b, a OR b, NOT a, -a       boolean operators; juxtaposition means AND
+//   (a OR b) AND c                   parentheses
+//
+// AND binds tighter than OR. Field matches on message are case-insensitive substring matches,
+// like the message param; other fields match exactly and case-sensitively, like their params.
+
+const FIELDS = ['id', 'level', 'message', 'resourceId', 'timestamp', 'traceId', 'spanId', 'commit', 'ingestedAt'];
+const COMPARISONS = ['>', '>=', '<', '<='];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+// Deepest nesting of parentheses and NOTs; the parser recurses once per level
+const MAX_DEPTH = 100;
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at column ${position + 1}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+// A minus starts a negation when it begins a term, not when it is part of a value (level:-1, x > -5)
+const isNegation = (input, i, previous) =>
+  (!previous || (previous.type !== ':' && previous.type !== 'op')) &&
+  (i === 0 || /[\s(]/.test(input[i - 1])) &&
+  i + 1 < input.length && !/\s/.test(input[i + 1]);
+
+// Split the query into tokens: ( ) : comparison operators, quoted phrases, words and keywords
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')' || char === ':') {
+      tokens.push({ type: char, position: i });
+      i += 1;
+    } else if (char === '>' || char === '<') {
+      const op = input[i + 1] === '=' ? `${char}=` : char;
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    } else if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < input.length && input[j] !== '"') {
+        // Backslash escapes a quote or another backslash inside a phrase
+        if (input[j] === '\\' && j + 1 < input.length) j += 1;
+        value += input[j];
+        j += 1;
+      }
+      if (j >= input.length) {
+        throw new QuerySyntaxError('Unterminated quoted phrase', i);
+      }
+      tokens.push({ type: 'phrase', value, position: i });
+      i = j + 1;
+    } else if (char === '-' && isNegation(input, i, tokens[tokens.length - 1])) {
+      // A leading minus negates the following term
+      tokens.push({ type: 'NOT', position: i });
+      i += 1;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s():<>"]/.test(input[j])) j += 1;
+      const value = input.slice(i, j);
+      tokens.push(KEYWORDS.includes(value) ? { type: value, position: i } : { type: 'word', value, position: i });
+      i = j;
+    }
+  }
+
+  return tokens;
+};
+
+const describeToken = (token) => {
+  if (!token) return 'end of query';
+  if (token.type === 'word') return `"${token.value}"`;
+  if (token.type === 'phrase') return `phrase "${token.value}"`;
+  if (token.type === 'op') return `'${token.value}'`;
+  return token.type.length === 1 ? `'${token.type}'` : token.type;
+};
+
+// Recursive descent parser producing an AST of and/or/not/term nodes
+const parse = (input) => {
+  if (typeof input !== 'string') {
+    throw new QuerySyntaxError('Query must be a single string', 0);
+  }
+  const tokens = tokenize(input);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = () => input.length;
+
+  const fail = (message, token = peek()) => {
+    throw new QuerySyntaxError(message, token ? token.position : endPosition());
+  };
+
+  const startsTerm = (token) => token && ['word', 'phrase', '(', 'NOT'].includes(token.type);
+
+  const parseValue = (field, fieldToken) => {
+    const token = next();
+    if (!token || (token.type !== 'word' && token.type !== 'phrase')) {
+      fail(`Expected a value after '${field}:' but found ${describeToken(token)}`, token || fieldToken);
+    }
+    return token;
+  };
+
+  const parseTerm = () => {
+    const token = next();
+
+    if (token.type === 'phrase') {
+      return { type: 'term', field: 'message', op: ':', value: token.value, quoted: true };
+    }
+
+    const following = peek();
+    if (following && (following.type === ':' || following.type === 'op')) {
+      const field = token.value;
+      if (!FIELDS.includes(field) && !/^metadata\.[^.]+(\.[^.]+)*$/.test(field)) {
+        fail(`Unknown field "${field}". Use one of ${FIELDS.join(', ')} or metadata.<path>`, token);
+      }
+      next();
+
+      let op = following.type === ':' ? ':' : following.value;
+      // Also accept field:>2 style comparisons
+      if (op === ':' && peek() && peek().type === 'op') {
+        op = next().value;
+      }
+
+      const valueToken = parseValue(field, token);
+      if (COMPARISONS.includes(op)) {
+        const isTime = field === 'timestamp' || field === 'ingestedAt';
+        if (isTime && isNaN(new Date(valueToken.value).getTime())) {
+          fail(`Comparison '${op}' on ${field} needs an ISO 8601 date, got "${valueToken.value}"`, valueToken);
+        }
+        if (!isTime && isNaN(Number(valueToken.value))) {
+          fail(`Comparison '${op}' on ${field} needs a number, got "${valueToken.value}"`, valueToken);
+        }
+      }
+      return { type: 'term', field, op, value: valueToken.value, quoted: valueToken.type === 'phrase' };
+    }
+
+    return { type: 'term', field: 'message', op: ':', value: token.value, quoted: false };
+  };
+
+  // Parse a nested expression, refusing to go deeper than MAX_DEPTH
+  const nested = (token, parseExpr) => {
+    if (depth >= MAX_DEPTH) {
+      fail(`Query nests deeper than ${MAX_DEPTH} levels`, token);
+    }
+    depth += 1;
+    const expr = parseExpr();
+    depth -= 1;
+    return expr;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) fail('Expected a search term but the query ended');
+
+    if (token.type === 'NOT') {
+      next();
+      return { type: 'not', expr: nested(token, parseUnary) };
+    }
+    if (token.type === '(') {
+      next();
+      const expr = nested(token, parseOr);
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError("Missing closing ')' for '('", token.position);
+      }
+      next();
+      return expr;
+    }
+    if (token.type === 'word' || token.type === 'phrase') {
+      return parseTerm();
+    }
+    return fail(`Unexpected ${describeToken(token)}`);
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (peek() && (peek().type === 'AND' || startsTerm(peek()))) {
+      if (peek().type === 'AND') next();
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Query is empty', 0);
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    fail(`Unexpected ${describeToken(peek())}`);
+  }
+  return ast;
+};
+
+// Turn a term into a predicate over a single field value
+const compileMatcher = ({ field, op, value, quoted }) => {
+  if (COMPARISONS.includes(op)) {
+    const isTime = field === 'timestamp' || field === 'ingestedAt';
+    const target = isTime ? new Date(value).getTime() : Number(value);
+    const toNumber = isTime ? (fieldValue) => new Date(fieldValue).getTime() : Number;
+    const compare = {
+      '>': (a, b) => a > b,
+      '>=': (a, b) => a >= b,
+      '<': (a, b) => a < b,
+      '<=': (a, b) => a <= b
+    }[op];
+    return (fieldValue) => {
+      if (fieldValue === null || fieldValue === undefined || fieldValue === '') return false;
+      const number = toNumber(fieldValue);
+      return !isNaN(number) && compare(number, target);
+    };
+  }
+
+  if (field === 'message') {
+    if (!quoted && hasWildcard(value)) {
+      const pattern = globToRegExp(`*${value}*`, 'i');
+      return (fieldValue) => typeof fieldValue === 'string' && pattern.test(fieldValue);
+    }
+    const needle = value.toLowerCase();
+    return (fieldValue) => typeof fieldValue === 'string' && fieldValue.toLowerCase().includes(needle);
+  }
+
+  if (!quoted && hasWildcard(value)) {
+    const pattern = globToRegExp(value);
+    return (fieldValue) => fieldValue !== undefined && fieldValue !== null && pattern.test(String(fieldValue));
+  }
+  return (fieldValue) => fieldValue !== undefined && fieldValue !== null && String(fieldValue) === value;
+};
+
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'and': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (log) => left(log) && right(log);
+    }
+    case 'or': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (log) => left(log) || right(log);
+    }
+    case 'not': {
+      const expr = compileNode(node.expr);
+      return (log) => !expr(log);
+    }
+    default: {
+      const matches = compileMatcher(node);
+      return (log) => getFieldValues(log, node.field).some(matches);
+    }
+  }
+};
+
+// Parse and compile a query string into a predicate; throws QuerySyntaxError on bad input
+const compileQuery = (input) => compileNode(parse(input));
+
+module.exports = {
+  QuerySyntaxError,
+  tokenize,
+  parse,
+  compileMatcher,
+  compileQuery
+};
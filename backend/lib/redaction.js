@@ -0,0 +1,58 @@
+// Masking of sensitive metadata for restricted viewers
+//
+// The denylist names metadata keys such as userId or clientIP. A key is masked wherever it appears
+// under metadata, at any depth and regardless of case, so clientIp and metadata.session.userId are
+// covered too. Masked values are replaced with REDACTED rather than dropped, so viewers can still
+// tell the field was there.
+
+const REDACTED = '[REDACTED]';
+
+const createRedactor = (fields = []) => {
+  const denied = new Set(fields.map(field => String(field).toLowerCase()));
+
+  const isDenied = (key) => denied.has(String(key).toLowerCase());
+
+  // True when any segment of a dot path ("session.userId") is on the denylist
+  const isDeniedPath = (path) => path.split('.').some(isDenied);
+
+  const mask = (value) => {
+    if (Array.isArray(value)) return value.map(mask);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, isDenied(key) ? REDACTED : mask(nested)]));
+  };
+
+  // Copy of the log with denylisted metadata masked; highlights inside masked fields are dropped
+  const redactLog = (log) => {
+    if (denied.size === 0) return log;
+    const redacted = { ...log, metadata: mask(log.metadata) };
+    if (log.match && log.match.highlights) {
+      const highlights = Object.fromEntries(Object.entries(log.match.highlights)
+        .filter(([path]) => !path.startsWith('metadata.') || !isDeniedPath(path.slice('metadata.'.length))));
+      redacted.match = { ...log.match, highlights };
+    }
+    return redacted;
+  };
+
+  // Denylisted metadata path referenced by GET /logs filter params or the q query language, if any.
+  // Filtering on a masked field would reveal its values one guess at a time.
+  const findRedactedFilter = (query = {}) => {
+    const paths = Object.keys(query)
+      .filter(key => key.startsWith('metadata.'))
+      .map(key => key.slice('metadata.'.length).split(/[<>:]/)[0]);
+    if (typeof query.q === 'string') {
+      paths.push(...Array.from(query.q.matchAll(/metadata\.([^\s:<>=!()"]+)/g), match => match[1]));
+    }
+    const path = paths.find(isDeniedPath);
+    return path === undefined ? null : `metadata.${path}`;
+  };
+
+  return {
+    redactLog,
+    findRedactedFilter
+  };
+};
+
+module.exports = {
+  REDACTED,
+  createRedactor
+};
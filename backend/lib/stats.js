@@ -0,0 +1,84 @@
+const { createWallClock, parseTimeZone } = require('./timezones');
+
+// Aggregations over the logs matching a GET /logs query, served by GET /logs/stats
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+// Fields with top-N lists. Full per-value counts are returned only for fields with few distinct
+// values; a traceId map would hold one key per trace and grow with the whole dataset.
+const GROUPS = {
+  resourceId: 'byResource',
+  traceId: null,
+  commit: 'byCommit'
+};
+
+// Validate the top and timezone query params
+const parseStatsParams = ({ top, timezone }) => {
+  const size = top === undefined ? DEFAULT_TOP : Number(top);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_TOP) {
+    return { valid: false, error: `Invalid top. Must be an integer between 1 and ${MAX_TOP}` };
+  }
+
+  const zone = parseTimeZone(timezone);
+  if (!zone.valid) {
+    return zone;
+  }
+
+  return { valid: true, top: size, timeZone: zone.timeZone };
+};
+
+// Most frequent values first; equal counts in value order so the output is stable
+const topValues = (counts, size) => Object.entries(counts)
+  .sort(([a, countA], [b, countB]) => (countB - countA) || (a < b ? -1 : a > b ? 1 : 0))
+  .slice(0, size)
+  .map(([value, count]) => ({ value, count }));
+
+const aggregateLogs = (logs, { top = DEFAULT_TOP, timeZone = 'UTC' } = {}) => {
+  const clock = createWallClock(timeZone);
+  const stats = {
+    total: logs.length,
+    byLevel: Object.fromEntries(LEVELS.map(level => [level, 0])),
+    byResource: {},
+    byCommit: {},
+    byHour: new Array(24).fill(0),
+    timezone: timeZone,
+    timeRange: { oldest: null, newest: null },
+    top: {}
+  };
+
+  // Prototype-free counters, so values such as "constructor" or "__proto__" count like any other
+  const counts = Object.fromEntries(Object.keys(GROUPS).map(field => [field, Object.create(null)]));
+  let oldest = Infinity;
+  let newest = -Infinity;
+  logs.forEach(log => {
+    stats.byLevel[log.level] = (stats.byLevel[log.level] || 0) + 1;
+    Object.keys(GROUPS).forEach(field => {
+      if (log[field] === undefined || log[field] === null) return;
+      counts[field][log[field]] = (counts[field][log[field]] || 0) + 1;
+    });
+
+    const time = new Date(log.timestamp).getTime();
+    if (isNaN(time)) return;
+    stats.byHour[new Date(clock.toWall(time)).getUTCHours()] += 1;
+    oldest = Math.min(oldest, time);
+    newest = Math.max(newest, time);
+  });
+
+  if (newest !== -Infinity) {
+    stats.timeRange = { oldest: new Date(oldest).toISOString(), newest: new Date(newest).toISOString() };
+  }
+
+  Object.entries(GROUPS).forEach(([field, group]) => {
+    if (group) stats[group] = counts[field];
+    stats.top[field] = topValues(counts[field], top);
+  });
+
+  return stats;
+};
+
+module.exports = {
+  aggregateLogs,
+  parseStatsParams
+};
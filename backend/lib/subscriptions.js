@@ -0,0 +1,50 @@
+const { compileFilters } = require('./filters');
+const { highlight, parseSearch } = require('./textIndex');
+
+// Live subscriptions: a socket sends the GET /logs filter params it is looking at and only receives
+// newly ingested logs matching them. Params that only shape a result page (sort, limit, cursor) and
+// include_archived are accepted and ignored, so a client can send the same params it queries with.
+const PAGE_PARAMS = ['sort', 'limit', 'cursor', 'include_archived'];
+
+const isFilterValue = (value) => typeof value === 'string' ||
+  (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+// Validate a subscribe message and compile it into a log predicate
+const parseSubscription = (input, { indexMetadata = true } = {}) => {
+  if (input === null || input === undefined) {
+    return { valid: true, filters: {}, matches: () => true };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'Subscription must be an object of GET /logs filter params' };
+  }
+
+  const filters = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (PAGE_PARAMS.includes(key) || value === '') continue;
+    if (!isFilterValue(value)) {
+      return { valid: false, error: `Subscription filter ${key} must be a string or a list of strings` };
+    }
+    filters[key] = value;
+  }
+  if (filters.search !== undefined && typeof filters.search !== 'string') {
+    return { valid: false, error: 'search must be a single string' };
+  }
+
+  let matchesFilters;
+  try {
+    matchesFilters = compileFilters(filters);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  // Full-text search has no index to consult for a single log; a log matches when every search
+  // clause is found in its message (or metadata, as in the index)
+  const clauses = filters.search ? parseSearch(filters.search) : [];
+  const matchesSearch = (log) => clauses.every(clause => Object.keys(highlight([clause], log, { indexMetadata })).length > 0);
+
+  return { valid: true, filters, matches: log => matchesFilters(log) && matchesSearch(log) };
+};
+
+module.exports = {
+  parseSubscription
+};
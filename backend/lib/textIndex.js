@@ -0,0 +1,217 @@
+// Inverted full-text index over log messages and, optionally, string metadata values
+//
+// Text is split into lowercase word tokens (letters and digits). The index maps each token to the
+// logs containing it together with the token positions, which is enough to answer:
+//   connection timeout       every word must appear (AND)
+//   "connection timeout"     phrase: the words must appear next to each other
+//   conn*                    prefix match
+//   db-server                words joined by punctuation are matched as a phrase
+// Matches in the message count fully towards relevance, matches in metadata count half.
+
+const TOKEN = /[\p{L}\p{N}]+/gu;
+const FIELD_WEIGHTS = { message: 1, metadata: 0.5 };
+// Position gap between separate metadata values so phrases never span two values
+const VALUE_GAP = 100;
+
+// Tokens with their character offsets and positions
+const analyze = (text) => Array.from(text.matchAll(TOKEN), (match, position) => ({
+  term: match[0].toLowerCase(),
+  start: match.index,
+  end: match.index + match[0].length,
+  position
+}));
+
+// Every string value under metadata with its dot path ("metadata.tags.0")
+const metadataStrings = (value, path = 'metadata', found = []) => {
+  if (typeof value === 'string') {
+    found.push({ path, text: value });
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => metadataStrings(value[key], `${path}.${key}`, found));
+  }
+  return found;
+};
+
+// Search input -> clauses, each a sequence of { term, prefix } that must appear consecutively.
+// Returns an empty list when the input contains no searchable words.
+const parseSearch = (input) => {
+  const clauses = [];
+  const parts = String(input).match(/"[^"]*"?|[^\s"]+/g) || [];
+
+  parts.forEach(part => {
+    const quoted = part.startsWith('"');
+    const text = quoted ? part.replace(/^"|"$/g, '') : part;
+    const prefix = !quoted && text.endsWith('*');
+    const words = analyze(text).map(token => ({ term: token.term, prefix: false }));
+    if (words.length === 0) return;
+    if (prefix) words[words.length - 1].prefix = true;
+    clauses.push(words);
+  });
+
+  return clauses;
+};
+
+const wordMatches = (word, term) => (word.prefix ? term.startsWith(word.term) : term === word.term);
+
+// Start positions where the clause matches, given a lookup of positions per clause word
+const phraseStarts = (positionSets) => {
+  const [first, ...rest] = positionSets;
+  return [...first].filter(start => rest.every((positions, offset) => positions.has(start + offset + 1)));
+};
+
+const createTextIndex = ({ indexMetadata = true } = {}) => {
+  // term -> Map(logId -> { message: [positions], metadata: [positions] })
+  const postings = new Map();
+  // logId -> terms, so a log can be removed without re-analyzing it
+  const documents = new Map();
+
+  const fieldsOf = (log) => {
+    const fields = [{ field: 'message', tokens: analyze(typeof log.message === 'string' ? log.message : '') }];
+    if (indexMetadata) {
+      let offset = 0;
+      const tokens = [];
+      metadataStrings(log.metadata).forEach(({ text }) => {
+        const valueTokens = analyze(text);
+        valueTokens.forEach(token => tokens.push({ ...token, position: token.position + offset }));
+        offset += valueTokens.length + VALUE_GAP;
+      });
+      fields.push({ field: 'metadata', tokens });
+    }
+    return fields;
+  };
+
+  const add = (logs) => {
+    logs.forEach(log => {
+      if (documents.has(log.id)) return;
+      const terms = new Set();
+      fieldsOf(log).forEach(({ field, tokens }) => {
+        tokens.forEach(({ term, position }) => {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const entries = postings.get(term);
+          if (!entries.has(log.id)) entries.set(log.id, { message: [], metadata: [] });
+          entries.get(log.id)[field].push(position);
+          terms.add(term);
+        });
+      });
+      documents.set(log.id, terms);
+    });
+  };
+
+  const remove = (logs) => {
+    logs.forEach(log => {
+      const terms = documents.get(log.id);
+      if (!terms) return;
+      terms.forEach(term => {
+        const entries = postings.get(term);
+        entries.delete(log.id);
+        if (entries.size === 0) postings.delete(term);
+      });
+      documents.delete(log.id);
+    });
+  };
+
+  // Posting entries of every indexed term a clause word matches
+  const lookup = (word) => {
+    if (!word.prefix) return postings.has(word.term) ? [postings.get(word.term)] : [];
+    const found = [];
+    postings.forEach((entries, term) => {
+      if (wordMatches(word, term)) found.push(entries);
+    });
+    return found;
+  };
+
+  // Map logId -> weighted number of occurrences for one clause
+  const matchClause = (clause) => {
+    const perWord = clause.map(lookup);
+    const [first, ...rest] = perWord;
+    const occurrences = new Map();
+
+    const candidates = new Set();
+    first.forEach(entries => entries.forEach((_, id) => candidates.add(id)));
+
+    candidates.forEach(id => {
+      if (!rest.every(list => list.some(entries => entries.has(id)))) return;
+      let weighted = 0;
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const positionSets = perWord.map(list => {
+          const positions = new Set();
+          list.forEach(entries => {
+            const entry = entries.get(id);
+            if (entry) entry[field].forEach(position => positions.add(position));
+          });
+          return positions;
+        });
+        weighted += phraseStarts(positionSets).length * FIELD_WEIGHTS[field];
+      });
+      if (weighted > 0) occurrences.set(id, weighted);
+    });
+
+    return occurrences;
+  };
+
+  // Logs matching every clause -> relevance score (BM25-style saturation of a weighted term frequency)
+  const search = (clauses) => {
+    let scores = null;
+    clauses.forEach(clause => {
+      const occurrences = matchClause(clause);
+      const idf = Math.log(1 + (documents.size - occurrences.size + 0.5) / (occurrences.size + 0.5));
+      const next = new Map();
+      occurrences.forEach((frequency, id) => {
+        if (scores && !scores.has(id)) return;
+        const score = idf * (frequency * 2.2) / (frequency + 1.2);
+        next.set(id, (scores ? scores.get(id) : 0) + score);
+      });
+      scores = next;
+    });
+    return scores || new Map();
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    size: () => documents.size,
+    terms: () => postings.size
+  };
+};
+
+// Sort and merge overlapping [start, end] ranges
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+// Character ranges of the parts of a log that matched, keyed by field path
+const highlight = (clauses, log, { indexMetadata = true } = {}) => {
+  const fields = [{ path: 'message', text: typeof log.message === 'string' ? log.message : '' }];
+  if (indexMetadata) fields.push(...metadataStrings(log.metadata));
+
+  const highlights = {};
+  fields.forEach(({ path, text }) => {
+    const tokens = analyze(text);
+    const ranges = [];
+    clauses.forEach(clause => {
+      tokens.forEach((token, index) => {
+        const matched = clause.every((word, offset) => tokens[index + offset] && wordMatches(word, tokens[index + offset].term));
+        if (matched) ranges.push([token.start, tokens[index + clause.length - 1].end]);
+      });
+    });
+    if (ranges.length > 0) {
+      highlights[path] = mergeRanges(ranges);
+    }
+  });
+  return highlights;
+};
+
+module.exports = {
+  analyze,
+  parseSearch,
+  createTextIndex,
+  highlight
+};
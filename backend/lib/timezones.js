@@ -0,0 +1,106 @@
+// Time zone helpers for aggregations that bucket by local wall-clock time
+//
+// A "wall time" is the local date and time in a zone expressed as milliseconds as if it were UTC,
+// e.g. 2024-01-01T15:30 in Asia/Kolkata is Date.UTC(2024, 0, 1, 15, 30). Truncating wall times to
+// whole minutes, hours or days gives local calendar boundaries, including across DST changes.
+
+// Offsets only ever change on quarter-hour boundaries, so they are cached per 15 minutes
+const OFFSET_SLOT_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// True when the runtime knows the IANA time zone name
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate a timezone query param; missing or empty means UTC
+const parseTimeZone = (timezone) => {
+  const timeZone = timezone === undefined || timezone === '' ? 'UTC' : timezone;
+  if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+    return { valid: false, error: `Invalid timezone "${timezone}". Use an IANA name such as Europe/Berlin` };
+  }
+  return { valid: true, timeZone };
+};
+
+// Converters between instants and wall times in one zone
+const createWallClock = (timeZone) => {
+  if (timeZone === 'UTC') {
+    return {
+      toWall: (instant) => instant,
+      toInstant: (wall) => wall,
+      wallRange: (start, end) => ({ min: start, max: end })
+    };
+  }
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const offsets = new Map();
+
+  // Milliseconds the zone is ahead of UTC at an instant
+  const offsetAt = (instant) => {
+    const slot = Math.floor(instant / OFFSET_SLOT_MS);
+    if (!offsets.has(slot)) {
+      const slotStart = slot * OFFSET_SLOT_MS;
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(slotStart)).map(part => [part.type, part.value]));
+      const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      offsets.set(slot, wall - slotStart);
+    }
+    return offsets.get(slot);
+  };
+
+  const toWall = (instant) => instant + offsetAt(instant);
+
+  // Earliest and latest wall time between two instants. Wall time runs backwards when the clocks
+  // fall back, so the extremes are not always at the ends: the hour before the change reaches
+  // later wall times than the instant after it. Changes are found by comparing offsets a day
+  // apart, then narrowed down to the 15-minute slot where the offset drops.
+  const wallRange = (start, end) => {
+    let min = Math.min(toWall(start), toWall(end));
+    let max = Math.max(toWall(start), toWall(end));
+    for (let from = start; from < end; from += DAY_MS) {
+      const to = Math.min(from + DAY_MS, end);
+      if (offsetAt(to) < offsetAt(from)) {
+        let before = Math.floor(from / OFFSET_SLOT_MS);
+        let after = Math.floor(to / OFFSET_SLOT_MS);
+        while (after - before > 1) {
+          const middle = Math.floor((before + after) / 2);
+          if (offsetAt(middle * OFFSET_SLOT_MS) === offsetAt(from)) before = middle;
+          else after = middle;
+        }
+        const change = after * OFFSET_SLOT_MS;
+        max = Math.max(max, toWall(Math.min(change - 1, end)));
+        min = Math.min(min, toWall(Math.max(change, start)));
+      }
+    }
+    return { min, max };
+  };
+
+  return {
+    toWall,
+    // Local times skipped by a DST jump resolve to the instant just after the gap
+    toInstant: (wall) => {
+      const guess = wall - offsetAt(wall);
+      return wall - offsetAt(guess);
+    },
+    wallRange
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  parseTimeZone,
+  createWallClock
+};
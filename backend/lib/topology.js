@@ -0,0 +1,88 @@
+const { parseDuration } = require('./units');
+
+// Resource topology for GET /topology
+//
+// Each log may name the resource that called or hosts it in metadata.parentResourceId. Those links
+// form a directed graph parent -> child; every node carries its log volume and error rate over the
+// requested window so failures can be traced through the graph. Parents that logged nothing in the
+// window still appear, with health "unknown".
+
+const DEFAULT_WINDOW = '1h';
+
+// Error rate thresholds for node health
+const FAILING_ERROR_RATE = 0.25;
+const DEGRADED_ERROR_RATE = 0.05;
+
+// Validate the window param; timestamp_start/timestamp_end take precedence over it
+const parseTopologyParams = ({ window, timestamp_start: start, timestamp_end: end }, now = Date.now()) => {
+  if (start || end) {
+    return { valid: true, range: { start, end } };
+  }
+
+  try {
+    const windowMs = parseDuration(window === undefined || window === '' ? DEFAULT_WINDOW : window);
+    return {
+      valid: true,
+      range: { start: new Date(now - windowMs).toISOString(), end: new Date(now).toISOString() }
+    };
+  } catch (error) {
+    return { valid: false, error: error.message.replace('Invalid duration', 'Invalid window') };
+  }
+};
+
+const healthOf = (node) => {
+  if (node.logCount === 0) return 'unknown';
+  if (node.errorRate >= FAILING_ERROR_RATE) return 'failing';
+  if (node.errorRate >= DEGRADED_ERROR_RATE || node.warnCount > 0) return 'degraded';
+  return 'healthy';
+};
+
+const buildTopology = (logs, range = {}) => {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const nodeFor = (id) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, logCount: 0, errorCount: 0, warnCount: 0, lastSeen: null });
+    }
+    return nodes.get(id);
+  };
+
+  logs.forEach(log => {
+    if (!log.resourceId) return;
+    const node = nodeFor(log.resourceId);
+    node.logCount += 1;
+    if (log.level === 'error') node.errorCount += 1;
+    if (log.level === 'warn') node.warnCount += 1;
+    if (!node.lastSeen || log.timestamp > node.lastSeen) node.lastSeen = log.timestamp;
+
+    const parent = log.metadata && log.metadata.parentResourceId;
+    if (typeof parent === 'string' && parent !== '' && parent !== log.resourceId) {
+      nodeFor(parent);
+      const key = `${parent}\u0000${log.resourceId}`;
+      if (!edges.has(key)) edges.set(key, { source: parent, target: log.resourceId, logCount: 0, errorCount: 0 });
+      const edge = edges.get(key);
+      edge.logCount += 1;
+      if (log.level === 'error') edge.errorCount += 1;
+    }
+  });
+
+  const nodeList = [...nodes.values()]
+    .map(node => {
+      const errorRate = node.logCount > 0 ? Math.round((node.errorCount / node.logCount) * 10000) / 10000 : 0;
+      const withRate = { ...node, errorRate };
+      return { ...withRate, health: healthOf(withRate) };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  return {
+    window: { start: range.start || null, end: range.end || null },
+    nodes: nodeList,
+    edges: [...edges.values()].sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target))
+  };
+};
+
+module.exports = {
+  parseTopologyParams,
+  buildTopology
+};
@@ -0,0 +1,101 @@
+// Trace reconstruction for GET /traces/:traceId
+//
+// Logs of a trace are grouped by spanId. A span's parent comes from metadata.parentSpanId on any of
+// its logs; spans without a parent, or whose parent has no logs in the trace, become roots. Span
+// timing is derived from the timestamps of its own logs.
+
+const time = (log) => new Date(log.timestamp).getTime();
+const compareOldestFirst = (a, b) => (time(a) - time(b)) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const parentSpanIdOf = (logs) => {
+  const log = logs.find(entry => entry.metadata && typeof entry.metadata.parentSpanId === 'string' && entry.metadata.parentSpanId !== '');
+  return log ? log.metadata.parentSpanId : null;
+};
+
+// True when following parent links from spanId leads back to spanId
+const createsCycle = (spanId, parents) => {
+  const seen = new Set([spanId]);
+  let current = parents.get(spanId);
+  while (current) {
+    if (seen.has(current)) return true;
+    seen.add(current);
+    current = parents.get(current);
+  }
+  return false;
+};
+
+// Build the span tree of one trace; logs may be in any order
+const buildTrace = (traceId, logs) => {
+  const bySpan = new Map();
+  [...logs].sort(compareOldestFirst).forEach(log => {
+    const spanId = log.spanId || '(no span)';
+    if (!bySpan.has(spanId)) bySpan.set(spanId, []);
+    bySpan.get(spanId).push(log);
+  });
+
+  const spans = new Map();
+  bySpan.forEach((spanLogs, spanId) => {
+    const start = time(spanLogs[0]);
+    const end = time(spanLogs[spanLogs.length - 1]);
+    const errorCount = spanLogs.filter(log => log.level === 'error').length;
+    spans.set(spanId, {
+      spanId,
+      parentSpanId: parentSpanIdOf(spanLogs),
+      resourceIds: [...new Set(spanLogs.map(log => log.resourceId))],
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      durationMs: end - start,
+      logCount: spanLogs.length,
+      errorCount,
+      hasError: errorCount > 0,
+      logs: spanLogs,
+      children: []
+    });
+  });
+
+  // Link children to parents present in the trace, ignoring links that would form a cycle
+  const parents = new Map();
+  spans.forEach(span => {
+    if (span.parentSpanId && span.parentSpanId !== span.spanId && spans.has(span.parentSpanId)) {
+      parents.set(span.spanId, span.parentSpanId);
+      if (createsCycle(span.spanId, parents)) parents.delete(span.spanId);
+    }
+  });
+
+  const roots = [];
+  spans.forEach(span => {
+    if (parents.has(span.spanId)) {
+      spans.get(parents.get(span.spanId)).children.push(span);
+    } else {
+      // A parentSpanId that points outside the trace is kept so callers can show the gap
+      span.missingParent = Boolean(span.parentSpanId) && !spans.has(span.parentSpanId);
+      roots.push(span);
+    }
+  });
+
+  const byStart = (a, b) => a.start.localeCompare(b.start) || a.spanId.localeCompare(b.spanId);
+  spans.forEach(span => span.children.sort(byStart));
+  roots.sort(byStart);
+
+  const sorted = [...logs].sort(compareOldestFirst);
+  const start = sorted.length > 0 ? time(sorted[0]) : null;
+  const end = sorted.length > 0 ? time(sorted[sorted.length - 1]) : null;
+  const erroredSpans = [...spans.values()].filter(span => span.hasError).map(span => span.spanId);
+
+  return {
+    traceId,
+    start: start === null ? null : new Date(start).toISOString(),
+    end: end === null ? null : new Date(end).toISOString(),
+    durationMs: start === null ? 0 : end - start,
+    logCount: logs.length,
+    spanCount: spans.size,
+    errorCount: sorted.filter(log => log.level === 'error').length,
+    erroredSpans,
+    resourceIds: [...new Set(sorted.map(log => log.resourceId))],
+    roots
+  };
+};
+
+module.exports = {
+  buildTrace
+};
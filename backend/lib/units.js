@@ -0,0 +1,38 @@
+// Parsers for human-friendly config values such as "30d" or "50MB"
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const BYTE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024
+};
+
+const parseWithUnits = (value, units, kind) => {
+  if (typeof value === 'number' && value >= 0 && isFinite(value)) return value;
+
+  const match = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/);
+  if (!match || !units[match[2]]) {
+    throw new Error(`Invalid ${kind} "${value}". Use a number or a value like ${kind === 'duration' ? '"30s", "15m", "12h" or "30d"' : '"512KB", "50MB" or "1GB"'}`);
+  }
+  return Math.round(parseFloat(match[1]) * units[match[2]]);
+};
+
+// Duration in milliseconds; plain numbers are taken as milliseconds
+const parseDuration = (value) => parseWithUnits(value, DURATION_UNITS, 'duration');
+
+// Size in bytes; plain numbers are taken as bytes
+const parseBytes = (value) => parseWithUnits(value, BYTE_UNITS, 'size');
+
+module.exports = {
+  parseDuration,
+  parseBytes
+};
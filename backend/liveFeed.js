@@ -0,0 +1,159 @@
+const { idTimestamp, isUlid } = require('./lib/ids');
+const { parseSubscription } = require('./lib/subscriptions');
+const { logger } = require('./lib/logger');
+
+// Real-time log feed over socket.io
+//
+// Clients receive every new log until they send 'subscribe' with GET /logs filter params; after
+// that only matching logs are routed to them. Subscribing again replaces the filters without
+// reconnecting, and 'unsubscribe' goes back to receiving everything.
+//
+// After a reconnect a client sends 'replay' with the ID of the last log it saw. Log IDs sort in
+// ingestion order, so the logs it missed are the matching ones with a greater ID; they are sent as
+// one 'logsReplayed' event, and live events that arrive meanwhile are held back until the replay
+// is out. When the client was gone longer than maxAgeMs, missed more than maxLogs logs, or sends
+// an ID that is not a ULID, it gets a 'resyncRequired' event instead and should reload its view.
+//
+// Each socket's access (socket.data.access, set by the access layer) applies as on HTTP routes:
+// resource-limited keys only ever get logs and alerts of their resources, and restricted viewers
+// get logs with denylisted metadata masked and cannot subscribe with filters on masked fields.
+//
+// Every message accepts an acknowledgement callback answered with { ok: true, ... } or
+// { ok: false, error }.
+const createLiveFeed = ({ io, storage, search, replay: { maxLogs: initialMaxLogs = 1000, maxAgeMs: initialMaxAgeMs = 15 * 60 * 1000 } = {} }) => {
+  let maxLogs = initialMaxLogs;
+  let maxAgeMs = initialMaxAgeMs;
+
+  // Logs a socket should get: within its API key's resources, as its key may see them, and
+  // matching its subscription. Matching runs on the masked logs so masked values cannot be probed.
+  const matchingLogs = (socket, logs) => {
+    const { subscription, access } = socket.data;
+    return logs
+      .filter(log => !access || access.allowsResource(log.resourceId))
+      .map(log => (access ? access.redactLog(log) : log))
+      .filter(log => !subscription || subscription.matches(log));
+  };
+
+  const send = (socket, type, logs, totalLogs) => {
+    if (logs.length === 0) return;
+    if (socket.data.heldBack) {
+      socket.data.heldBack.push({ type, logs, totalLogs });
+      return;
+    }
+    socket.emit('newLog', type === 'logIngested'
+      ? { type, log: logs[0], totalLogs }
+      : { type, logs, totalLogs });
+  };
+
+  const resync = (socket, reason) => {
+    socket.emit('resyncRequired', { reason });
+    return { ok: false, resyncRequired: true, error: reason };
+  };
+
+  const replayMissed = async (socket, after) => {
+    if (!isUlid(after)) {
+      return resync(socket, 'Unknown last log ID, replay needs a ULID');
+    }
+    if (Date.now() - idTimestamp(after) > maxAgeMs) {
+      return resync(socket, `Disconnected for longer than the ${Math.round(maxAgeMs / 1000)}s replay window`);
+    }
+
+    // Hold back live events until the replay has been sent so the client sees logs in order
+    socket.data.heldBack = [];
+    let replayed = [];
+    try {
+      const { subscription } = socket.data;
+      const lastSeen = after.toUpperCase();
+      replayed = matchingLogs(socket, await storage.scan(subscription ? subscription.filters : {}))
+        .filter(log => isUlid(log.id) && log.id > lastSeen)
+        .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+      if (replayed.length > maxLogs) {
+        replayed = [];
+        return resync(socket, `Missed more than ${maxLogs} logs`);
+      }
+      if (replayed.length > 0) {
+        socket.emit('newLog', { type: 'logsReplayed', logs: replayed, totalLogs: await storage.count() });
+      }
+      return { ok: true, replayed: replayed.length };
+    } finally {
+      // Live events that raced the storage scan may already be part of the replay
+      const replayedIds = new Set(replayed.map(log => log.id));
+      const heldBack = socket.data.heldBack;
+      delete socket.data.heldBack;
+      heldBack.forEach(({ type, logs, totalLogs }) => {
+        send(socket, type, logs.filter(log => !replayedIds.has(log.id)), totalLogs);
+      });
+    }
+  };
+
+  io.on('connection', (socket) => {
+    logger.debug('🔌 Client connected:', socket.id);
+
+    socket.on('subscribe', (filters, ack) => {
+      const { access } = socket.data;
+      const redactedField = access && filters && typeof filters === 'object' && access.findRedactedFilter(filters);
+      const subscription = redactedField
+        ? { valid: false, error: `Filtering on redacted field ${redactedField} is not allowed` }
+        : parseSubscription(filters, search);
+      if (subscription.valid) {
+        socket.data.subscription = subscription;
+      }
+      if (typeof ack === 'function') {
+        ack(subscription.valid ? { ok: true, filters: subscription.filters } : { ok: false, error: subscription.error });
+      }
+    });
+
+    socket.on('unsubscribe', (ack) => {
+      delete socket.data.subscription;
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    socket.on('replay', async (position, ack) => {
+      let result;
+      try {
+        result = await replayMissed(socket, position && position.after);
+      } catch (error) {
+        logger.error('Error replaying missed logs:', error);
+        result = resync(socket, 'Replay failed');
+      }
+      if (typeof ack === 'function') ack(result);
+    });
+
+    socket.on('disconnect', () => {
+      logger.debug('🔌 Client disconnected:', socket.id);
+    });
+  });
+
+  // Send newly ingested logs to each client, filtered by its subscription.
+  // POST /logs publishes a 'logIngested' event, a batch one grouped 'logsIngested' event.
+  const publish = (type, logs, totalLogs) => {
+    io.of('/').sockets.forEach(socket => send(socket, type, matchingLogs(socket, logs), totalLogs));
+  };
+
+  // Fired alerts go to every client allowed to see all of the resources involved
+  const publishAlert = (alert) => {
+    io.of('/').sockets.forEach(socket => {
+      const { access } = socket.data;
+      if (!access || alert.resourceIds.every(access.allowsResource)) {
+        socket.emit('alert', alert);
+      }
+    });
+  };
+
+  // Change the replay bounds for later replays (config reload); connected sockets stay connected
+  const configure = ({ replay }) => {
+    maxLogs = replay.maxLogs;
+    maxAgeMs = replay.maxAgeMs;
+  };
+
+  return {
+    publish,
+    publishAlert,
+    configure
+  };
+};
+
+module.exports = {
+  createLiveFeed
+};
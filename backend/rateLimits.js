@@ -0,0 +1,166 @@
+const { requiredScope } = require('./access');
+
+// Rate limits and ingestion quotas
+//
+// Requests are limited with token buckets, one per client and budget: ingest routes and query
+// routes draw from separate budgets so a noisy shipper cannot starve dashboards or the other way
+// round. A bucket holds up to capacity tokens (the burst), refills at refillPerSecond and every
+// request takes one token. Clients are identified by API key when they sent one, by IP otherwise;
+// behind a proxy the IP comes from X-Forwarded-For when config.trustProxy trusts that proxy.
+//
+// On top of that each resourceId may ingest at most dailyLogsPerResource logs per UTC day. Once a
+// resource has used debugShare of its quota its debug logs are shed, so the remaining budget goes
+// to info, warn and error logs. Logs count from admission; a failed write releases them again.
+
+// Buckets that refilled completely carry no state, so they are dropped this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const createTokenBuckets = ({ capacity, refillPerSecond }) => {
+  const buckets = new Map();
+  let lastPrune = 0;
+
+  const refill = (bucket, now) => Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+
+  const prune = (now) => {
+    lastPrune = now;
+    buckets.forEach((bucket, key) => {
+      if (refill(bucket, now) >= capacity) buckets.delete(key);
+    });
+  };
+
+  // Take a token for the client; when none is left, retryAfterSeconds says when the next one is due
+  const take = (key, now = Date.now()) => {
+    if (now - lastPrune > PRUNE_INTERVAL_MS) prune(now);
+
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = refill(bucket, now);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens) };
+    }
+    return { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+  };
+
+  return {
+    take,
+    size: () => buckets.size
+  };
+};
+
+// Express middleware; mounted after the access layer so requests with an API key are limited per key
+const createRateLimiter = ({ enabled = true, ingest, query }) => {
+  const budgets = {
+    ingest: createTokenBuckets(ingest),
+    query: createTokenBuckets(query)
+  };
+
+  return (req, res, next) => {
+    const scope = requiredScope(req.method, req.path);
+    const buckets = budgets[scope];
+    if (!enabled || !buckets) return next();
+
+    const { apiKey } = req.access;
+    const client = apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`;
+    const result = buckets.take(client);
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({ error: `Too many ${scope} requests, retry in ${result.retryAfterSeconds}s` });
+    }
+    next();
+  };
+};
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const secondsUntilUtcMidnight = (now) => {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+};
+
+const createIngestQuota = (options = {}) => {
+  let dailyLogsPerResource;
+  let debugShare;
+  let debugLimit;
+
+  // Change the quota without forgetting what was ingested today (config reload)
+  const configure = ({ dailyLogsPerResource: daily = null, debugShare: share = 0.8 } = {}) => {
+    dailyLogsPerResource = daily;
+    debugShare = share;
+    debugLimit = daily === null ? null : Math.floor(daily * share);
+  };
+  configure(options);
+
+  // Logs accepted today per resourceId
+  const counts = new Map();
+  let day = null;
+
+  const rollOver = (now) => {
+    if (utcDay(now) !== day) {
+      day = utcDay(now);
+      counts.clear();
+    }
+  };
+
+  // Count logs already ingested today, so a restart does not hand out a fresh quota
+  const init = (logs, now = Date.now()) => {
+    rollOver(now);
+    logs.forEach(log => {
+      if (typeof log.ingestedAt === 'string' && log.ingestedAt.slice(0, 10) === day) {
+        counts.set(log.resourceId, (counts.get(log.resourceId) || 0) + 1);
+      }
+    });
+  };
+
+  // Whether one more log may be ingested for its resource today; accepted logs are counted even
+  // without a quota, so one configured by a reload starts from the right usage
+  const admit = (log, now = Date.now()) => {
+    rollOver(now);
+
+    const used = counts.get(log.resourceId) || 0;
+    if (dailyLogsPerResource !== null && used >= dailyLogsPerResource) {
+      return {
+        allowed: false,
+        retryAfterSeconds: secondsUntilUtcMidnight(now),
+        error: `Resource ${log.resourceId} used its daily quota of ${dailyLogsPerResource} logs`
+      };
+    }
+    if (dailyLogsPerResource !== null && log.level === 'debug' && used >= debugLimit) {
+      return {
+        allowed: false,
+        retryAfterSeconds: secondsUntilUtcMidnight(now),
+        error: `Resource ${log.resourceId} used ${Math.round(debugShare * 100)}% of its daily quota, debug logs are shed until midnight UTC`
+      };
+    }
+    counts.set(log.resourceId, used + 1);
+    return { allowed: true };
+  };
+
+  // Give back the quota of admitted logs that could not be stored
+  const release = (logs, now = Date.now()) => {
+    rollOver(now);
+    logs.forEach(log => {
+      const used = counts.get(log.resourceId) || 0;
+      if (used > 1) counts.set(log.resourceId, used - 1);
+      else counts.delete(log.resourceId);
+    });
+  };
+
+  return {
+    init,
+    configure,
+    admit,
+    release,
+    usage: (resourceId) => counts.get(resourceId) || 0
+  };
+};
+
+module.exports = {
+  createTokenBuckets,
+  createRateLimiter,
+  createIngestQuota
+};
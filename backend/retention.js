@@ -0,0 +1,225 @@
+const { parseDuration, parseBytes } = require('./lib/units');
+const { globToRegExp } = require('./lib/patterns');
+const { logger } = require('./lib/logger');
+
+// Retention policy and background sweeper
+//
+// A policy is the global maxLogs cap plus an ordered list of rules. Each rule selects logs by
+// level and/or resourceId pattern and limits them by age and/or total size per resource:
+//   { level: 'error', maxAge: '30d' }
+//   { level: ['debug'], maxAge: '1d' }
+//   { resourceId: 'db-server-*', maxBytesPerResource: '50MB' }
+// For age limits the first rule whose selector matches a log decides how long it is kept, so
+// specific rules go before catch-alls. Size limits keep the newest logs of each resource.
+
+const HISTORY_SIZE = 20;
+
+const describeRule = (rule) => {
+  const parts = [];
+  if (rule.level) parts.push(`level=${[].concat(rule.level).join(',')}`);
+  if (rule.resourceId) parts.push(`resourceId=${rule.resourceId}`);
+  if (rule.maxAge !== undefined) parts.push(`maxAge=${rule.maxAge}`);
+  if (rule.maxBytesPerResource !== undefined) parts.push(`maxBytesPerResource=${rule.maxBytesPerResource}`);
+  return parts.join(' ');
+};
+
+const compileRule = (rule, index) => {
+  const name = rule.name || describeRule(rule);
+  const label = `Retention rule ${index + 1} (${name})`;
+
+  if (rule.maxAge === undefined && rule.maxBytesPerResource === undefined) {
+    throw new Error(`${label} needs maxAge or maxBytesPerResource`);
+  }
+
+  const levels = rule.level ? [].concat(rule.level) : null;
+  const resourcePattern = rule.resourceId ? globToRegExp(rule.resourceId) : null;
+
+  try {
+    return {
+      name,
+      config: rule,
+      maxAgeMs: rule.maxAge !== undefined ? parseDuration(rule.maxAge) : null,
+      maxBytes: rule.maxBytesPerResource !== undefined ? parseBytes(rule.maxBytesPerResource) : null,
+      matches: (log) =>
+        (!levels || levels.includes(log.level)) &&
+        (!resourcePattern || resourcePattern.test(log.resourceId))
+    };
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+};
+
+// Validate and compile retention settings; throws with a readable message on bad config
+const compilePolicy = ({ maxLogs, rules = [] }) => {
+  if (maxLogs !== undefined && maxLogs !== null && !(Number.isInteger(maxLogs) && maxLogs > 0)) {
+    throw new Error(`maxLogs must be a positive integer, got ${maxLogs}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('retention.rules must be an array');
+  }
+
+  return {
+    maxLogs: maxLogs || null,
+    rules: rules.map(compileRule)
+  };
+};
+
+// Decide which logs the policy prunes. Expects logs newest first; returns Map id -> reason.
+const selectExpired = (logs, policy, now = Date.now()) => {
+  const pruned = new Map();
+
+  // Age limits: the first matching rule with a maxAge wins
+  const ageRules = policy.rules.filter(rule => rule.maxAgeMs !== null);
+  logs.forEach(log => {
+    const rule = ageRules.find(candidate => candidate.matches(log));
+    if (rule && now - new Date(log.timestamp).getTime() > rule.maxAgeMs) {
+      pruned.set(log.id, rule.name);
+    }
+  });
+
+  // Size limits: keep each resource's newest logs until its byte budget is used up
+  policy.rules.filter(rule => rule.maxBytes !== null).forEach(rule => {
+    const used = new Map();
+    logs.forEach(log => {
+      if (pruned.has(log.id) || !rule.matches(log)) return;
+      const total = (used.get(log.resourceId) || 0) + Buffer.byteLength(JSON.stringify(log));
+      used.set(log.resourceId, total);
+      if (total > rule.maxBytes) {
+        pruned.set(log.id, rule.name);
+      }
+    });
+  });
+
+  // Global cap on the number of stored logs
+  if (policy.maxLogs) {
+    let kept = 0;
+    logs.forEach(log => {
+      if (pruned.has(log.id)) return;
+      kept += 1;
+      if (kept > policy.maxLogs) {
+        pruned.set(log.id, 'maxLogs');
+      }
+    });
+  }
+
+  return pruned;
+};
+
+// Periodically applies the policy to storage and keeps a short history of what was pruned.
+// beforePrune receives the expired logs before they are deleted (used for archiving); if it throws,
+// the sweep is abandoned and nothing is deleted. onPrune receives the removed logs afterwards.
+const createRetentionSweeper = ({ storage, policy: initialPolicy, intervalMs, beforePrune, onPrune }) => {
+  let policy = initialPolicy;
+  const history = [];
+  let totalPruned = 0;
+  let timer = null;
+  let nextRunAt = null;
+  let running = null;
+
+  const runSweep = async (now) => {
+    const startedAt = new Date();
+    const run = { startedAt: startedAt.toISOString(), scanned: 0, pruned: 0, byRule: {}, byLevel: {} };
+
+    try {
+      const logs = await storage.scan();
+      const expired = selectExpired(logs, policy, now);
+      run.scanned = logs.length;
+
+      if (expired.size > 0) {
+        const expiredLogs = logs.filter(log => expired.has(log.id));
+        if (beforePrune) {
+          await beforePrune(expiredLogs);
+        }
+
+        // Newest pruned timestamp bounds the delete so newer data is not rewritten
+        const newestExpired = expiredLogs
+          .reduce((newest, log) => Math.max(newest, new Date(log.timestamp).getTime()), -Infinity);
+        const removed = await storage.deleteRange({
+          end: new Date(newestExpired).toISOString(),
+          filter: log => expired.has(log.id)
+        });
+
+        run.pruned = removed.length;
+        removed.forEach(log => {
+          const reason = expired.get(log.id);
+          run.byRule[reason] = (run.byRule[reason] || 0) + 1;
+          run.byLevel[log.level] = (run.byLevel[log.level] || 0) + 1;
+        });
+        totalPruned += removed.length;
+
+        if (removed.length > 0 && onPrune) {
+          await onPrune(removed);
+        }
+      }
+    } catch (error) {
+      logger.error('Error applying retention policy:', error);
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startedAt.getTime();
+    history.unshift(run);
+    history.splice(HISTORY_SIZE);
+    return run;
+  };
+
+  const sweep = (now = Date.now()) => {
+    // Overlapping triggers share the sweep already in progress
+    if (!running) {
+      running = runSweep(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  const schedule = () => {
+    nextRunAt = new Date(Date.now() + intervalMs);
+    timer = setTimeout(async () => {
+      await sweep();
+      if (timer) schedule();
+    }, intervalMs);
+    timer.unref();
+  };
+
+  return {
+    sweep,
+
+    // Replace the policy (compiled with compilePolicy); applies from the next sweep
+    setPolicy(nextPolicy) {
+      policy = nextPolicy;
+    },
+
+    start() {
+      if (!timer) schedule();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+    },
+
+    // Summary served by GET /retention
+    report() {
+      return {
+        policy: {
+          maxLogs: policy.maxLogs,
+          rules: policy.rules.map(rule => ({ name: rule.name, ...rule.config }))
+        },
+        sweepIntervalMs: intervalMs,
+        running: Boolean(running),
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        totalPruned,
+        lastRun: history[0] || null,
+        history
+      };
+    }
+  };
+};
+
+module.exports = {
+  compilePolicy,
+  selectExpired,
+  createRetentionSweeper
+};
@@ -2,70 +2,145 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const fs = require('fs').promises;
-const path = require('path');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
+const { ConfigError, changedSettings, loadConfig } = require('./config');
+const { isLogged, logger, setLogLevel } = require('./lib/logger');
+const { createStorage, migrateLegacyJsonFile } = require('./storage');
+const { createArchive } = require('./storage/archive');
+const { generateId, normalizeId } = require('./lib/ids');
+const { InvalidFilterError, compareNewestFirst, compileFilters, countActiveFilters, isFilterParam, literalValues, parseTimeBound } = require('./lib/filters');
+const { QuerySyntaxError } = require('./lib/query');
+const { createTextIndex, highlight, parseSearch } = require('./lib/textIndex');
+const { parsePageParams, paginate } = require('./lib/pagination');
+const { aggregateLogs, parseStatsParams } = require('./lib/stats');
+const { buildHistogram, parseHistogramParams } = require('./lib/histogram');
+const { buildTrace } = require('./lib/traces');
+const { buildTopology, parseTopologyParams } = require('./lib/topology');
+const { compareCommits, summarizeCommits } = require('./lib/commits');
+const { parseDuration } = require('./lib/units');
+const { compilePolicy, createRetentionSweeper } = require('./retention');
+const { createAlertEngine, parseRule } = require('./alerts');
+const { createWebhookDispatcher, parseWebhook } = require('./webhooks');
+const { createLiveFeed } = require('./liveFeed');
+const { createApiKeyStore, parseApiKey } = require('./apiKeys');
+const { UNRESTRICTED, createAccessControl } = require('./access');
+const { createIngestQuota, createRateLimiter } = require('./rateLimits');
+
+// Defaults, config file and environment, validated before anything starts
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError && require.main === module) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  throw error;
+}
+setLogLevel(config.logLevel);
 
 const app = express();
+// req.ip (and so the rate limit bucket of clients without an API key) is the address in
+// X-Forwarded-For when the request came through a trusted proxy such as the bundled nginx
+app.set('trust proxy', config.trustProxy);
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "http://localhost:3000",
+    origin: config.corsOrigin,
     methods: ["GET", "POST"]
   }
 });
 
-const PORT = process.env.PORT || 5000;
+// Log storage (append-only segments by default, see storage/index.js)
+const storage = createStorage(config.storage);
+
+// Cold archive for logs removed by retention (gzip segments, queryable with include_archived=true)
+const archive = config.archive.enabled
+  ? createArchive({ dir: config.archive.dir || path.join(config.storage.dataDir, 'archive') })
+  : null;
+
+// In-memory full-text index over live logs for the search param of GET /logs; rebuilt on startup
+const searchIndex = createTextIndex(config.search);
+
+// Retention rules from config, enforced by a background sweeper instead of on every ingest
+const retentionSweeper = createRetentionSweeper({
+  storage,
+  policy: compilePolicy({ maxLogs: config.maxLogs, rules: config.retention.rules }),
+  intervalMs: config.retention.sweepIntervalMs,
+  beforePrune: archive ? (logs) => archive.archive(logs) : undefined,
+  onPrune: (logs) => searchIndex.remove(logs)
+});
+
+// API keys and the roles and scopes they carry; checked only when auth.enabled is set
+const apiKeys = createApiKeyStore({ dir: config.storage.dataDir, adminKey: config.auth.adminKey });
+const accessControl = createAccessControl({
+  store: apiKeys,
+  enabled: config.auth.enabled,
+  redactedMetadata: config.auth.redactedMetadata
+});
 
-// JSON file database path
-const DB_FILE = path.join(__dirname, 'logs.json');
+// Per-client request budgets for ingestion and queries, and daily log quotas per resourceId
+let rateLimiter = createRateLimiter(config.rateLimit);
+const ingestQuota = createIngestQuota(config.quotas);
+
+// Outbound notifications for fired alerts and matching logs, delivered in the background
+const webhookDispatcher = createWebhookDispatcher({ dir: config.storage.dataDir, ...config.webhooks });
+
+// Alert rules checked against every ingested log; fired alerts are pushed to clients as 'alert' events
+const alertEngine = createAlertEngine({
+  dir: config.storage.dataDir,
+  onAlert: (alert) => {
+    liveFeed.publishAlert(alert);
+    webhookDispatcher.notifyAlert(alert);
+  }
+});
+
+// Upper bound on entries accepted by a single POST /logs/batch request
+const MAX_BATCH_SIZE = 1000;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
+app.use(cors({ origin: config.corsOrigin }));
+// Requests are logged at the info level; the level is checked per request so reloads apply
+app.use(morgan(config.environment === 'development' ? 'dev' : 'combined', {
+  skip: () => !isLogged('info')
+}));
+// Batch ingestion gets a larger body limit and NDJSON support; parsed bodies are skipped by the global parser
+app.use('/logs/batch', express.text({ type: 'application/x-ndjson', limit: '5mb' }), express.json({ limit: '5mb' }));
 app.use(express.json());
+// Every route goes through the access layer, which sets req.access (see access.js)
+app.use(accessControl.middleware);
+// Looked up per request so a reload can swap in new budgets
+app.use((req, res, next) => rateLimiter(req, res, next));
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
+// Socket clients authenticate with an API key in the handshake when auth is enabled
+io.use(accessControl.socketMiddleware);
+
+// Real-time updates; each client only receives the new logs matching its subscription and can have
+// the logs it missed while disconnected replayed from storage
+const liveFeed = createLiveFeed({
+  io,
+  storage,
+  search: config.search,
+  replay: { maxLogs: config.liveFeed.replayMaxLogs, maxAgeMs: parseDuration(config.liveFeed.replayWindow) }
 });
 
-// Initialize database file if it doesn't exist
+// Initialize storage and import a legacy logs.json on first start
 async function initializeDatabase() {
-  try {
-    await fs.access(DB_FILE);
-  } catch (error) {
-    // File doesn't exist, create it with empty logs array
-    await fs.writeFile(DB_FILE, JSON.stringify({ logs: [] }, null, 2));
-    console.log('📁 Created new logs database file');
-  }
-}
-
-// Read logs from JSON file
-async function readLogs() {
-  try {
-    const data = await fs.readFile(DB_FILE, 'utf8');
-    return JSON.parse(data).logs || [];
-  } catch (error) {
-    console.error('Error reading logs:', error);
-    return [];
-  }
-}
-
-// Write logs to JSON file
-async function writeLogs(logs) {
-  try {
-    await fs.writeFile(DB_FILE, JSON.stringify({ logs }, null, 2));
-  } catch (error) {
-    console.error('Error writing logs:', error);
-    throw error;
+  await storage.init();
+  await migrateLegacyJsonFile(storage, config.storage);
+  if (archive) {
+    await archive.init();
   }
+  await alertEngine.init();
+  await webhookDispatcher.init();
+  await apiKeys.init();
+  const logs = await storage.scan();
+  searchIndex.add(logs);
+  ingestQuota.init(logs);
+  logger.info(`🔎 Indexed ${searchIndex.size()} logs for full-text search`);
 }
 
 // Helper function to validate log entry against the exact schema
@@ -96,6 +171,46 @@ const validateLogEntry = (logEntry) => {
   return { valid: true };
 };
 
+// Build the stored form of a validated log entry. id and ingestedAt are always assigned here:
+// client-sent values would break ID uniqueness and the ID order the live feed replays by.
+const createLogRecord = ({ id, ingestedAt, ...logEntry }) => ({
+  id: generateId(),
+  ...logEntry,
+  timestamp: new Date(logEntry.timestamp).toISOString(),
+  ingestedAt: new Date().toISOString()
+});
+
+// Keys limited to some resources may only ingest logs for those
+const canIngest = (access, logEntry) => access.allowsResource(logEntry.resourceId);
+
+// Keys limited to some resources only see logs of those
+const isVisibleTo = (access) => (log) => access.allowsResource(log.resourceId);
+
+// ...and alerts whose logs all come from those, as on the live feed
+const isAlertVisibleTo = (access) => (alert) => alert.resourceIds.every(access.allowsResource);
+
+// Turn a batch request body into an array of candidate entries.
+// JSON bodies are either an array or { logs: [...] }; NDJSON bodies arrive as text.
+// Lines that are not valid JSON are kept as parse errors so they still get a per-index status.
+const parseBatchBody = (body) => {
+  if (typeof body === 'string') {
+    return body
+      .split(/\r?\n/)
+      .map((line, index) => ({ line, lineNumber: index + 1 }))
+      .filter(({ line }) => line.trim() !== '')
+      .map(({ line, lineNumber }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { parseError: `Invalid JSON on line ${lineNumber}` };
+        }
+      });
+  }
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.logs)) return body.logs;
+  return null;
+};
+
 // Routes
 
 // POST /logs - Ingest a single log entry
@@ -108,144 +223,744 @@ app.post('/logs', async (req, res) => {
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error });
     }
-    
-    // Read existing logs
-    const logs = await readLogs();
+    if (!canIngest(req.access, logEntry)) {
+      return res.status(403).json({ error: `API key may not ingest logs for resource ${logEntry.resourceId}` });
+    }
+    const quota = ingestQuota.admit(logEntry);
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.retryAfterSeconds));
+      return res.status(429).json({ error: quota.error });
+    }
     
     // Add ID and store timestamp
-    const newLog = {
-      id: Date.now().toString(), // Simple ID generation
-      ...logEntry,
-      timestamp: new Date(logEntry.timestamp).toISOString(),
-      ingestedAt: new Date().toISOString()
-    };
-    
-    // Add to beginning for reverse chronological order
-    logs.unshift(newLog);
-    
-    // Keep only last 1000 logs to prevent file size issues
-    if (logs.length > 1000) {
-      logs.splice(1000);
+    const newLog = createLogRecord(logEntry);
+
+    try {
+      await storage.append([newLog]);
+    } catch (error) {
+      ingestQuota.release([newLog]);
+      throw error;
     }
+    searchIndex.add([newLog]);
+    await alertEngine.evaluate([newLog]);
+    webhookDispatcher.notifyLogs([newLog]);
+    const totalLogs = await storage.count();
     
-    // Write back to file
-    await writeLogs(logs);
-    
-    // Emit real-time update to all connected clients
-    io.emit('newLog', {
-      type: 'logIngested',
-      log: newLog,
-      totalLogs: logs.length
-    });
+    // Emit real-time update to the clients subscribed to matching logs
+    liveFeed.publish('logIngested', [newLog], totalLogs);
     
     res.status(201).json({
       message: 'Log ingested successfully',
       log: newLog
     });
   } catch (error) {
-    console.error('Error ingesting log:', error);
+    logger.error('Error ingesting log:', error);
     res.status(500).json({ error: 'Internal server error during log ingestion or persistence' });
   }
 });
 
+// POST /logs/batch - Ingest many log entries with a single write
+app.post('/logs/batch', async (req, res) => {
+  try {
+    const entries = parseBatchBody(req.body);
+    if (!entries) {
+      return res.status(400).json({ error: 'Batch body must be a JSON array, an object with a logs array, or NDJSON' });
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Batch contains no log entries' });
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `Batch too large. At most ${MAX_BATCH_SIZE} entries per request` });
+    }
+
+    // Validate every entry and remember the outcome by position
+    const results = [];
+    const newLogs = [];
+    // Entries over the daily quota can be sent again after midnight UTC
+    let shed = 0;
+    let quotaRetryAfter = null;
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        results.push({ index, status: 'rejected', error: 'Log entry must be a JSON object' });
+        return;
+      }
+      if (entry.parseError) {
+        results.push({ index, status: 'rejected', error: entry.parseError });
+        return;
+      }
+      const validation = validateLogEntry(entry);
+      if (!validation.valid) {
+        results.push({ index, status: 'rejected', error: validation.error });
+        return;
+      }
+      if (!canIngest(req.access, entry)) {
+        results.push({ index, status: 'rejected', error: `API key may not ingest logs for resource ${entry.resourceId}` });
+        return;
+      }
+      const quota = ingestQuota.admit(entry);
+      if (!quota.allowed) {
+        shed += 1;
+        quotaRetryAfter = quota.retryAfterSeconds;
+        results.push({ index, status: 'rejected', error: quota.error });
+        return;
+      }
+      const newLog = createLogRecord(entry);
+      newLogs.push(newLog);
+      results.push({ index, status: 'created', id: newLog.id });
+    });
+
+    let totalLogs;
+    if (newLogs.length > 0) {
+      try {
+        await storage.append(newLogs);
+      } catch (error) {
+        // Nothing was stored, so the admitted entries do not count against the quota
+        ingestQuota.release(newLogs);
+        throw error;
+      }
+      searchIndex.add(newLogs);
+      await alertEngine.evaluate(newLogs);
+      webhookDispatcher.notifyLogs(newLogs);
+      totalLogs = await storage.count();
+
+      // One grouped event for the whole batch instead of one per entry
+      liveFeed.publish('logsIngested', newLogs, totalLogs);
+    }
+
+    const accepted = newLogs.length;
+    const rejected = results.length - accepted;
+    let status = rejected === 0 ? 201 : accepted === 0 ? 400 : 207;
+    if (shed > 0) {
+      res.set('Retry-After', String(quotaRetryAfter));
+      if (shed === results.length) status = 429;
+    }
+    res.status(status).json({
+      message: `Batch processed: ${accepted} accepted, ${rejected} rejected`,
+      accepted,
+      rejected,
+      results
+    });
+  } catch (error) {
+    logger.error('Error ingesting log batch:', error);
+    res.status(500).json({ error: 'Internal server error during batch ingestion or persistence' });
+  }
+});
+
+// Sort orders accepted by GET /logs; relevance needs a search
+const SORT_ORDERS = ['newest', 'relevance'];
+
+// Best search score first, newest first among equal scores
+const compareByRelevance = (a, b) => (b.match.score - a.match.score) || compareNewestFirst(a, b);
+
+// Keep the logs that have a search score and attach it as match.score
+const withScores = (logs, scores) => logs
+  .filter(log => scores.has(log.id))
+  .map(log => ({ ...log, match: { score: Math.round(scores.get(log.id) * 10000) / 10000 } }));
+
+// All logs matching the GET /logs query params (filters, q, search, include_archived) that the
+// request's access allows, in the requested sort order. Shared by GET /logs and the aggregation
+// endpoints. Throws InvalidFilterError or QuerySyntaxError for params that cannot be used.
+const findLogs = async (query, access = UNRESTRICTED) => {
+  const { search, sort = 'newest' } = query;
+  if (search !== undefined && typeof search !== 'string') {
+    throw new InvalidFilterError('search must be a single string');
+  }
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new InvalidFilterError(`Invalid sort. Must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  const clauses = search ? parseSearch(search) : [];
+  if (sort === 'relevance' && clauses.length === 0) {
+    throw new InvalidFilterError('sort=relevance requires a search');
+  }
+  const includeArchived = query.include_archived === 'true';
+  if (includeArchived && !archive) {
+    throw new InvalidFilterError('Archiving is disabled, include_archived is not available');
+  }
+
+  // Compile the filters (including the q query language) up front so syntax errors surface before
+  // any scan; the storage and archive scans below reuse this compilation
+  compileFilters(query);
+
+  // Filters use AND logic; results come back in reverse chronological order
+  let logs;
+  if (clauses.length > 0) {
+    // Full-text search: the index scores the hits, one filtered scan keeps the ones it scored.
+    // Loading hits one by one would cost a file read per hit, more than the scan itself.
+    const scores = searchIndex.search(clauses);
+    logs = scores.size > 0 ? withScores(await storage.scan(query), scores) : [];
+  } else {
+    logs = await storage.scan(query);
+  }
+
+  // Opt-in: also search archive segments covering the requested time range
+  if (includeArchived) {
+    const liveIds = new Set(logs.map(log => log.id));
+    let archived = (await archive.scan(query)).filter(log => !liveIds.has(log.id));
+    if (clauses.length > 0) {
+      // Archived logs are not in the live index, so they are scored with a throwaway index of their own
+      const archiveIndex = createTextIndex(config.search);
+      archiveIndex.add(archived);
+      archived = withScores(archived, archiveIndex.search(clauses));
+    }
+    logs = [...logs, ...archived];
+  }
+
+  logs = logs.filter(isVisibleTo(access));
+  if (access.redacted && clauses.length > 0) {
+    // Restricted viewers must not find logs through words only present in masked metadata
+    logs = logs.filter(log => {
+      const visible = access.redactLog(log);
+      return clauses.every(clause => Object.keys(highlight([clause], visible, config.search)).length > 0);
+    });
+  }
+
+  if (clauses.length > 0 || includeArchived) {
+    logs.sort(sort === 'relevance' ? compareByRelevance : compareNewestFirst);
+  }
+
+  return { logs, clauses, sort };
+};
+
+// 400 for unusable query params; anything else is logged and reported as a 500
+const sendQueryError = (res, error, context) => {
+  if (error instanceof QuerySyntaxError) {
+    return res.status(400).json({ error: `Invalid query: ${error.message}`, position: error.position });
+  }
+  if (error instanceof InvalidFilterError) {
+    return res.status(400).json({ error: error.message });
+  }
+  logger.error(`Error during ${context}:`, error);
+  return res.status(500).json({ error: `Internal server error during ${context}` });
+};
+
 // GET /logs - Retrieve logs with filtering
 app.get('/logs', async (req, res) => {
   try {
-    const {
-      level,
-      message,
-      resourceId,
-      timestamp_start,
-      timestamp_end,
-      traceId,
-      spanId,
-      commit
-    } = req.query;
-    
-    // Read logs from file
-    const logs = await readLogs();
-    let filteredLogs = [...logs];
-    
-    // Apply filters using AND logic (all filters must match)
-    if (level) {
-      filteredLogs = filteredLogs.filter(log => log.level === level);
+    // limit/cursor switch the response to a paginated envelope; without them a bare array is returned
+    const pagination = parsePageParams(req.query);
+    if (!pagination.valid) {
+      return res.status(400).json({ error: pagination.error });
     }
-    
-    if (message) {
-      const messageLower = message.toLowerCase();
-      filteredLogs = filteredLogs.filter(log => 
-        log.message.toLowerCase().includes(messageLower)
-      );
+
+    const { logs, clauses, sort } = await findLogs(req.query, req.access);
+
+    // Highlights are only worked out for the logs actually returned
+    const withHighlights = (page) => (clauses.length === 0 ? page : page.map(log => ({
+      ...log,
+      match: { ...log.match, highlights: highlight(clauses, log, config.search) }
+    })));
+
+    if (pagination.page) {
+      const page = paginate(logs, pagination.page, { relevance: sort === 'relevance' });
+      return res.json({ ...page, items: withHighlights(page.items) });
     }
     
-    if (resourceId) {
-      filteredLogs = filteredLogs.filter(log => log.resourceId === resourceId);
+    res.json(withHighlights(logs));
+  } catch (error) {
+    sendQueryError(res, error, 'data retrieval or filtering');
+  }
+});
+
+// GET /logs/stats - Counts over every log matching the GET /logs filters
+app.get('/logs/stats', async (req, res) => {
+  try {
+    const options = parseStatsParams(req.query);
+    if (!options.valid) {
+      return res.status(400).json({ error: options.error });
     }
-    
-    if (timestamp_start) {
-      const startDate = new Date(timestamp_start);
-      if (!isNaN(startDate.getTime())) {
-        filteredLogs = filteredLogs.filter(log => 
-          new Date(log.timestamp) >= startDate
-        );
-      }
+
+    const { logs } = await findLogs(req.query, req.access);
+    res.json(aggregateLogs(logs, options));
+  } catch (error) {
+    sendQueryError(res, error, 'log aggregation');
+  }
+});
+
+// GET /logs/histogram - Zero-filled log counts per time bucket and level for the GET /logs filters
+app.get('/logs/histogram', async (req, res) => {
+  try {
+    const options = parseHistogramParams(req.query);
+    if (!options.valid) {
+      return res.status(400).json({ error: options.error });
     }
-    
-    if (timestamp_end) {
-      const endDate = new Date(timestamp_end);
-      if (!isNaN(endDate.getTime())) {
-        filteredLogs = filteredLogs.filter(log => 
-          new Date(log.timestamp) <= endDate
-        );
-      }
+
+    const { logs } = await findLogs(req.query, req.access);
+    res.json(buildHistogram(logs, {
+      ...options,
+      start: req.query.timestamp_start,
+      end: req.query.timestamp_end
+    }));
+  } catch (error) {
+    sendQueryError(res, error, 'histogram aggregation');
+  }
+});
+
+// GET /logs/:id - Retrieve a single log entry (ULID or legacy numeric ID)
+app.get('/logs/:id', async (req, res) => {
+  try {
+    const log = await storage.getById(normalizeId(req.params.id));
+    if (!log || !isVisibleTo(req.access)(log)) {
+      return res.status(404).json({ error: 'Log not found' });
     }
-    
-    if (traceId) {
-      filteredLogs = filteredLogs.filter(log => log.traceId === traceId);
+    res.json(log);
+  } catch (error) {
+    logger.error('Error retrieving log:', error);
+    res.status(500).json({ error: 'Internal server error during data retrieval' });
+  }
+});
+
+// Remove stored logs from storage and the search index; resolves to the logs actually removed
+const deleteLogs = async (logs) => {
+  if (logs.length === 0) return [];
+  const ids = new Set(logs.map(log => log.id));
+  // Newest timestamp bounds the delete so newer data is not rewritten
+  const newest = logs.reduce((latest, log) => Math.max(latest, new Date(log.timestamp).getTime()), -Infinity);
+  const removed = await storage.deleteRange({ end: new Date(newest).toISOString(), filter: log => ids.has(log.id) });
+  searchIndex.remove(removed);
+  return removed;
+};
+
+// DELETE /logs/:id - Delete a single log entry
+app.delete('/logs/:id', async (req, res) => {
+  try {
+    const log = await storage.getById(normalizeId(req.params.id));
+    if (!log || !isVisibleTo(req.access)(log)) {
+      return res.status(404).json({ error: 'Log not found' });
     }
-    
-    if (spanId) {
-      filteredLogs = filteredLogs.filter(log => log.spanId === spanId);
+    await deleteLogs([log]);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting log:', error);
+    res.status(500).json({ error: 'Internal server error while deleting the log' });
+  }
+});
+
+// DELETE /logs - Delete every live log matching the GET /logs filters; at least one filter is required
+app.delete('/logs', async (req, res) => {
+  try {
+    const { sort, limit, cursor, ...filters } = req.query;
+    if (filters.include_archived !== undefined) {
+      return res.status(400).json({ error: 'Archived logs cannot be deleted' });
     }
-    
-    if (commit) {
-      filteredLogs = filteredLogs.filter(log => log.commit === commit);
+    // A misspelled or empty filter would otherwise match, and delete, every log
+    const unknown = Object.keys(filters).find(key => key !== 'search' && !isFilterParam(key));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown filter ${unknown}` });
     }
-    
-    // Sort in reverse chronological order by timestamp
-    filteredLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    res.json(filteredLogs);
+    // metadata.<path> params may carry their operand in the key, so only they may be empty
+    const empty = Object.keys(filters).find(key => !key.startsWith('metadata.') && [].concat(filters[key]).some(value => value === ''));
+    if (empty) {
+      return res.status(400).json({ error: `Filter ${empty} needs a value` });
+    }
+    // GET /logs ignores unparseable time bounds; here that would widen the deletion
+    const badBound = ['timestamp_start', 'timestamp_end'].find(key => filters[key] !== undefined && parseTimeBound(filters[key]) === null);
+    if (badBound) {
+      return res.status(400).json({ error: `Invalid ${badBound}, expected an ISO 8601 timestamp` });
+    }
+    const searched = typeof filters.search === 'string' && parseSearch(filters.search).length > 0;
+    if (countActiveFilters(filters) === 0 && !searched) {
+      return res.status(400).json({ error: 'DELETE /logs needs at least one filter' });
+    }
+
+    const { logs } = await findLogs(filters, req.access);
+    const removed = await deleteLogs(logs);
+    res.json({ deleted: removed.length });
+  } catch (error) {
+    sendQueryError(res, error, 'log deletion');
+  }
+});
+
+// GET /traces/:traceId - All logs of a trace arranged as a span tree
+app.get('/traces/:traceId', async (req, res) => {
+  try {
+    const { traceId } = req.params;
+    const includeArchived = req.query.include_archived === 'true';
+    if (includeArchived && !archive) {
+      return res.status(400).json({ error: 'Archiving is disabled, include_archived is not available' });
+    }
+
+    // Pass the ID as a filter only when it has no list, glob or regex syntax; the exact match below decides
+    const filters = (literalValues(traceId) || []).length === 1 ? { traceId } : {};
+    const isVisible = isVisibleTo(req.access);
+    const isInTrace = log => log.traceId === traceId && isVisible(log);
+    let logs = (await storage.scan(filters)).filter(isInTrace);
+    if (includeArchived) {
+      const liveIds = new Set(logs.map(log => log.id));
+      logs = logs.concat((await archive.scan(filters)).filter(log => isInTrace(log) && !liveIds.has(log.id)));
+    }
+
+    if (logs.length === 0) {
+      return res.status(404).json({ error: 'Trace not found' });
+    }
+    res.json(buildTrace(traceId, logs));
+  } catch (error) {
+    logger.error('Error building trace:', error);
+    res.status(500).json({ error: 'Internal server error during trace reconstruction' });
+  }
+});
+
+// GET /topology - Resource graph from metadata.parentResourceId with per-node health
+app.get('/topology', async (req, res) => {
+  try {
+    const options = parseTopologyParams(req.query);
+    if (!options.valid) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    // The other GET /logs filters narrow the logs the graph is built from
+    const { logs } = await findLogs({
+      ...req.query,
+      timestamp_start: options.range.start,
+      timestamp_end: options.range.end
+    }, req.access);
+    res.json(buildTopology(logs, options.range));
+  } catch (error) {
+    sendQueryError(res, error, 'topology aggregation');
+  }
+});
+
+// GET /commits - Commits in first-seen order with log volume and error/warning rates per resource
+app.get('/commits', async (req, res) => {
+  try {
+    // The GET /logs filters narrow the logs, e.g. timestamp_start to look at recent deploys only
+    const { logs } = await findLogs(req.query, req.access);
+    res.json(summarizeCommits(logs));
+  } catch (error) {
+    sendQueryError(res, error, 'commit listing');
+  }
+});
+
+// Logs of exactly one commit, narrowed by the other GET /logs filters
+const findCommitLogs = async (query, commit, access) => {
+  const { commit: ignored, ...filters } = query;
+  // Pass the hash as a filter only when it has no list, glob or regex syntax; the exact match below decides
+  if ((literalValues(commit) || []).length === 1) {
+    filters.commit = commit;
+  }
+  const { logs } = await findLogs(filters, access);
+  return logs.filter(log => log.commit === commit);
+};
+
+// GET /commits/:a/compare/:b - Message patterns that are new or more frequent in commit b than in a
+app.get('/commits/:a/compare/:b', async (req, res) => {
+  try {
+    const { a, b } = req.params;
+    const [aLogs, bLogs] = [await findCommitLogs(req.query, a, req.access), await findCommitLogs(req.query, b, req.access)];
+
+    const missing = [[a, aLogs], [b, bLogs]].find(([, logs]) => logs.length === 0);
+    if (missing) {
+      return res.status(404).json({ error: `Commit ${missing[0]} not found` });
+    }
+    res.json(compareCommits(a, aLogs, b, bLogs));
+  } catch (error) {
+    sendQueryError(res, error, 'commit comparison');
+  }
+});
+
+// GET /alerts - Fired alerts, newest first
+app.get('/alerts', (req, res) => {
+  const { ruleId, limit = '100' } = req.query;
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 1000) {
+    return res.status(400).json({ error: 'Invalid limit. Must be an integer between 1 and 1000' });
+  }
+  res.json(alertEngine.listAlerts({ ruleId, limit: parsedLimit, visible: isAlertVisibleTo(req.access) }));
+});
+
+// GET /alerts/rules - All alert rules
+app.get('/alerts/rules', (req, res) => {
+  res.json(alertEngine.listRules());
+});
+
+// POST /alerts/rules - Create an alert rule
+app.post('/alerts/rules', async (req, res) => {
+  try {
+    const parsed = parseRule(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    res.status(201).json(await alertEngine.createRule(parsed.rule));
+  } catch (error) {
+    logger.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Internal server error while saving the alert rule' });
+  }
+});
+
+// GET /alerts/rules/:id - A single alert rule
+app.get('/alerts/rules/:id', (req, res) => {
+  const rule = alertEngine.getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.json(rule);
+});
+
+// PUT /alerts/rules/:id - Replace an alert rule
+app.put('/alerts/rules/:id', async (req, res) => {
+  try {
+    const parsed = parseRule(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const rule = await alertEngine.updateRule(req.params.id, parsed.rule);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    logger.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Internal server error while saving the alert rule' });
+  }
+});
+
+// DELETE /alerts/rules/:id - Remove an alert rule
+app.delete('/alerts/rules/:id', async (req, res) => {
+  try {
+    if (!(await alertEngine.deleteRule(req.params.id))) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting alert rule:', error);
+    res.status(500).json({ error: 'Internal server error while deleting the alert rule' });
+  }
+});
+
+// GET /webhooks - All webhooks (secrets are never returned)
+app.get('/webhooks', (req, res) => {
+  res.json(webhookDispatcher.listWebhooks());
+});
+
+// GET /webhooks/dead-letters - Deliveries that failed after all retries, newest first
+app.get('/webhooks/dead-letters', (req, res) => {
+  res.json(webhookDispatcher.listDeadLetters({ webhookId: req.query.webhookId }));
+});
+
+// POST /webhooks - Create a webhook
+app.post('/webhooks', async (req, res) => {
+  try {
+    const parsed = parseWebhook(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    res.status(201).json(await webhookDispatcher.createWebhook(parsed.webhook));
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Internal server error while saving the webhook' });
+  }
+});
+
+// GET /webhooks/:id - A single webhook
+app.get('/webhooks/:id', (req, res) => {
+  const webhook = webhookDispatcher.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(webhook);
+});
+
+// PUT /webhooks/:id - Replace a webhook; the secret is kept unless one is given or it is set to null
+app.put('/webhooks/:id', async (req, res) => {
+  try {
+    const parsed = parseWebhook(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const webhook = await webhookDispatcher.updateWebhook(req.params.id, parsed.webhook);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Internal server error while saving the webhook' });
+  }
+});
+
+// DELETE /webhooks/:id - Remove a webhook
+app.delete('/webhooks/:id', async (req, res) => {
+  try {
+    if (!(await webhookDispatcher.deleteWebhook(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Internal server error while deleting the webhook' });
+  }
+});
+
+// POST /webhooks/:id/test - Send a sample event once and report the receiver's answer
+app.post('/webhooks/:id/test', async (req, res) => {
+  try {
+    const result = await webhookDispatcher.test(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(result.delivered ? 200 : 502).json(result);
+  } catch (error) {
+    logger.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Internal server error while testing the webhook' });
+  }
+});
+
+// GET /api-keys - All API keys (without their secrets)
+app.get('/api-keys', (req, res) => {
+  res.json(apiKeys.listKeys());
+});
+
+// POST /api-keys - Create an API key; the key itself is only returned in this response
+app.post('/api-keys', async (req, res) => {
+  try {
+    const parsed = parseApiKey(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    res.status(201).json(await apiKeys.createKey(parsed.apiKey));
   } catch (error) {
-    console.error('Error querying logs:', error);
-    res.status(500).json({ error: 'Internal server error during data retrieval or filtering' });
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Internal server error while saving the API key' });
   }
 });
 
+// DELETE /api-keys/:id - Revoke an API key
+app.delete('/api-keys/:id', async (req, res) => {
+  try {
+    if (!(await apiKeys.revokeKey(req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Internal server error while revoking the API key' });
+  }
+});
+
+// GET /retention - Retention policy and recent sweep results
+app.get('/retention', (req, res) => {
+  res.json({
+    ...retentionSweeper.report(),
+    archive: archive ? archive.describe() : null
+  });
+});
+
+// PUT /retention - Replace the retention policy until the next restart (or a config reload that
+// changes retention); applies from the next sweep
+app.put('/retention', (req, res) => {
+  const { maxLogs, rules } = req.body || {};
+  let policy;
+  try {
+    policy = compilePolicy({ maxLogs, rules });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  retentionSweeper.setPolicy(policy);
+  res.json(retentionSweeper.report().policy);
+});
+
+// POST /retention/sweep - Apply the retention policy now instead of waiting for the next sweep
+app.post('/retention/sweep', async (req, res) => {
+  res.json(await retentionSweeper.sweep());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Settings a reload applies while the server keeps running; changes to anything else (port,
+// storage, auth keys, ...) are reported and take effect on the next restart
+const RELOADABLE_SETTINGS = ['logLevel', 'maxLogs', 'retention.rules', 'auth.redactedMetadata', 'rateLimit', 'quotas', 'liveFeed'];
+
+const isReloadable = (setting) => RELOADABLE_SETTINGS.some(prefix => setting === prefix || setting.startsWith(`${prefix}.`));
+
+// Re-read the configuration (SIGHUP) and apply what can change without a restart. An invalid
+// configuration is rejected as a whole and the running settings stay in place. Rate limit buckets
+// start over with new budgets; quota usage, sockets and their subscriptions are kept.
+const reloadConfig = () => {
+  let next;
+  try {
+    next = loadConfig();
+  } catch (error) {
+    logger.error(`❌ Config reload failed, keeping the current settings: ${error.message}`);
+    return { reloaded: false, error: error.message };
+  }
+
+  const changed = changedSettings(config, next);
+  const applied = changed.filter(isReloadable);
+  const restartRequired = changed.filter(setting => !isReloadable(setting));
+
+  config.logLevel = next.logLevel;
+  setLogLevel(config.logLevel);
+  config.maxLogs = next.maxLogs;
+  config.retention.rules = next.retention.rules;
+  config.auth.redactedMetadata = next.auth.redactedMetadata;
+  config.rateLimit = next.rateLimit;
+  config.quotas = next.quotas;
+  config.liveFeed = next.liveFeed;
+
+  // Only replaced when it changed, so a policy set with PUT /retention survives unrelated reloads
+  if (applied.some(setting => setting === 'maxLogs' || setting === 'retention.rules')) {
+    retentionSweeper.setPolicy(compilePolicy({ maxLogs: config.maxLogs, rules: config.retention.rules }));
+  }
+  accessControl.configure({ redactedMetadata: config.auth.redactedMetadata });
+  if (applied.some(setting => setting.startsWith('rateLimit.'))) {
+    rateLimiter = createRateLimiter(config.rateLimit);
+  }
+  ingestQuota.configure(config.quotas);
+  liveFeed.configure({
+    replay: { maxLogs: config.liveFeed.replayMaxLogs, maxAgeMs: parseDuration(config.liveFeed.replayWindow) }
+  });
+
+  logger.info(`🔄 Config reloaded: ${applied.length > 0 ? applied.join(', ') : 'no changes'}`);
+  if (restartRequired.length > 0) {
+    logger.warn(`⚠️  Restart to apply: ${restartRequired.join(', ')}`);
+  }
+  return { reloaded: true, applied, restartRequired };
+};
+
 // Initialize database and start server
 async function startServer() {
   try {
     await initializeDatabase();
-    
+    retentionSweeper.start();
+    process.on('SIGHUP', reloadConfig);
+
+    const PORT = config.port;
     server.listen(PORT, () => {
-      console.log(` Log Ingestion Server running on port ${PORT}`);
-      console.log(` Database: ${DB_FILE}`);
-      console.log(` Health check: http://localhost:${PORT}/health`);
-      console.log(` Log ingestion: POST http://localhost:${PORT}/logs`);
-      console.log(` Log querying: GET http://localhost:${PORT}/logs`);
-      console.log(` WebSocket server ready for real-time updates`);
+      logger.info(` Log Ingestion Server running on port ${PORT}`);
+      logger.info(` Storage: ${storage.name} adapter`);
+      logger.info(` Health check: http://localhost:${PORT}/health`);
+      logger.info(` Log ingestion: POST http://localhost:${PORT}/logs`);
+      logger.info(` Batch ingestion: POST http://localhost:${PORT}/logs/batch`);
+      logger.info(` Log querying: GET http://localhost:${PORT}/logs`);
+      logger.info(` Single log: GET http://localhost:${PORT}/logs/:id`);
+      logger.info(` Retention report: GET http://localhost:${PORT}/retention`);
+      logger.info(` Alert rules: http://localhost:${PORT}/alerts/rules`);
+      logger.info(` Webhooks: http://localhost:${PORT}/webhooks`);
+      logger.info(` API keys: ${config.auth.enabled ? 'required' : 'disabled'}`);
+      logger.info(` Rate limits: ${config.rateLimit.enabled ? 'enabled' : 'disabled'}, daily quota per resource: ${config.quotas.dailyLogsPerResource || 'none'}`);
+      logger.info(` WebSocket server ready for real-time updates (origin ${config.corsOrigin})`);
+      logger.info(` Config reload: kill -HUP ${process.pid}`);
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
-startServer();
+// Only listen when run directly so tests can drive the app with supertest
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
+module.exports.server = server;
+module.exports.io = io;
+module.exports.initializeDatabase = initializeDatabase;
+module.exports.reloadConfig = reloadConfig;
+module.exports.retentionSweeper = retentionSweeper;
+module.exports.searchIndex = searchIndex;
+module.exports.alertEngine = alertEngine;
+module.exports.webhookDispatcher = webhookDispatcher;
+module.exports.liveFeed = liveFeed; 
\ No newline at end of file
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { applyFilters, parseTimeBound } = require('../lib/filters');
+const { generateId } = require('../lib/ids');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_PATTERN = /^archive-(\d{4}-\d{2}-\d{2})-[0-9A-Z]+\.ndjson\.gz$/;
+const MANIFEST = 'manifest.json';
+
+// UTC calendar day of a log's timestamp, used to date archive segments
+const archiveDate = (log) => new Date(log.timestamp).toISOString().slice(0, 10);
+
+const parseArchive = async (buffer) => (await gunzip(buffer))
+  .toString('utf8')
+  .split('\n')
+  .filter(line => line !== '')
+  .map(line => JSON.parse(line));
+
+const describeFile = (file, date, logs) => ({
+  file,
+  date,
+  count: logs.length,
+  minTime: logs.reduce((min, log) => Math.min(min, new Date(log.timestamp).getTime()), Infinity),
+  maxTime: logs.reduce((max, log) => Math.max(max, new Date(log.timestamp).getTime()), -Infinity)
+});
+
+// Cold archive for logs removed by retention.
+// Each archive run writes one immutable gzip NDJSON segment per UTC day of the archived logs.
+// A manifest records every segment's time bounds so range queries only open relevant files.
+const createArchive = ({ dir }) => {
+  let files = [];
+
+  const saveManifest = () => writeFileAtomic(path.join(dir, MANIFEST), JSON.stringify({ files }, null, 2));
+
+  const overlaps = (entry, startTime, endTime) =>
+    (startTime === null || entry.maxTime >= startTime) &&
+    (endTime === null || entry.minTime <= endTime);
+
+  return {
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+
+      try {
+        files = JSON.parse(await fs.readFile(path.join(dir, MANIFEST), 'utf8')).files || [];
+      } catch (error) {
+        files = [];
+      }
+
+      // Reconcile with the directory: a crash can leave a segment written but not yet in the manifest
+      const onDisk = (await fs.readdir(dir)).filter(name => ARCHIVE_PATTERN.test(name));
+      const known = new Set(files.map(entry => entry.file));
+      const missing = onDisk.filter(name => !known.has(name));
+      for (const name of missing) {
+        const logs = await parseArchive(await fs.readFile(path.join(dir, name)));
+        files.push(describeFile(name, name.match(ARCHIVE_PATTERN)[1], logs));
+      }
+      files = files.filter(entry => onDisk.includes(entry.file));
+
+      if (missing.length > 0) {
+        await saveManifest();
+      }
+    },
+
+    // Compress logs into dated archive segments; resolves once they are durable
+    async archive(logs) {
+      const byDate = new Map();
+      logs.forEach(log => {
+        const date = archiveDate(log);
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(log);
+      });
+
+      for (const [date, dayLogs] of byDate) {
+        const name = `archive-${date}-${generateId()}.ndjson.gz`;
+        const data = await gzip(dayLogs.map(log => JSON.stringify(log) + '\n').join(''));
+        await writeFileAtomic(path.join(dir, name), data);
+        files.push(describeFile(name, date, dayLogs));
+      }
+
+      await saveManifest();
+      return logs.length;
+    },
+
+    // Archived logs matching GET /logs filters, newest first
+    async scan(filters = {}) {
+      const startTime = parseTimeBound(filters.timestamp_start);
+      const endTime = parseTimeBound(filters.timestamp_end);
+      const logs = [];
+
+      for (const entry of files) {
+        if (!overlaps(entry, startTime, endTime)) continue;
+        logs.push(...await parseArchive(await fs.readFile(path.join(dir, entry.file))));
+      }
+
+      return applyFilters(logs, filters);
+    },
+
+    describe() {
+      return {
+        segments: files.length,
+        archivedLogs: files.reduce((total, entry) => total + entry.count, 0),
+        oldest: files.length > 0 ? new Date(Math.min(...files.map(entry => entry.minTime))).toISOString() : null,
+        newest: files.length > 0 ? new Date(Math.max(...files.map(entry => entry.maxTime))).toISOString() : null
+      };
+    }
+  };
+};
+
+module.exports = {
+  createArchive
+};
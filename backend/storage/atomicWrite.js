@@ -0,0 +1,25 @@
+const fs = require('fs').promises;
+
+// Crash-safe file replacement: write a temp file next to the target, fsync it, then rename over
+// the original. A kill at any point leaves either the old or the new contents, never a mix.
+const writeFileAtomic = async (file, data) => {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.rm(tmpFile, { force: true });
+    throw error;
+  }
+};
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createJsonFileAdapter } = require('./jsonFileAdapter');
+const { createSegmentAdapter } = require('./segmentAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+const { createWriteCoordinator } = require('./writeCoordinator');
+const { writeFileAtomic } = require('./atomicWrite');
+const { logger } = require('../lib/logger');
+
+/**
+ * Log storage layer
+ *
+ * Every adapter exposes the same async interface:
+ *   init()                              create files and load indexes
+ *   append(entries)                     persist fully built log records
+ *   scan(filters)                       records matching GET /logs filters, newest first
+ *   getById(id)                         one record, or null
+ *   deleteRange({ start, end, filter }) remove records whose timestamp falls in [start, end]
+ *                                       and that pass filter; resolves to the removed records
+ *   count()                             number of stored records
+ *   close()                             release files and connections
+ *
+ * createStorage() wraps the adapter in a write coordinator (see writeCoordinator.js) that
+ * serializes appends and deletes and adds flush().
+ */
+
+const adapters = {
+  json: (options) => createJsonFileAdapter({ file: options.jsonFile }),
+  segments: (options) => createSegmentAdapter({
+    dir: path.join(options.dataDir, 'segments'),
+    maxSegmentBytes: options.maxSegmentBytes
+  }),
+  sqlite: (options) => createSqliteAdapter({
+    file: options.sqliteFile || path.join(options.dataDir, 'logs.sqlite')
+  })
+};
+
+// Build the adapter named in the storage config, behind a write coordinator
+const createStorage = (options) => {
+  const factory = adapters[options.adapter];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${options.adapter}". Must be one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return createWriteCoordinator(factory(options));
+};
+
+// Import an existing logs.json into a fresh non-JSON store, once.
+// The source file is left untouched; a marker in the data directory prevents a second import.
+const migrateLegacyJsonFile = async (storage, options) => {
+  if (storage.name === 'json') return 0;
+
+  const marker = path.join(options.dataDir, 'migration.json');
+  try {
+    await fs.access(marker);
+    return 0;
+  } catch (error) {
+    // Not migrated yet
+  }
+
+  let legacyLogs = [];
+  try {
+    legacyLogs = JSON.parse(await fs.readFile(options.jsonFile, 'utf8')).logs || [];
+  } catch (error) {
+    // No readable legacy file, nothing to import
+  }
+
+  if (legacyLogs.length > 0 && await storage.count() === 0) {
+    // logs.json is newest first; append oldest first to keep ingestion order
+    await storage.append([...legacyLogs].reverse());
+    logger.info(`📦 Migrated ${legacyLogs.length} logs from ${options.jsonFile}`);
+  }
+
+  await fs.mkdir(options.dataDir, { recursive: true });
+  await writeFileAtomic(marker, JSON.stringify({
+    source: options.jsonFile,
+    migrated: legacyLogs.length,
+    migratedAt: new Date().toISOString()
+  }, null, 2));
+
+  return legacyLogs.length;
+};
+
+module.exports = {
+  createStorage,
+  migrateLegacyJsonFile
+};
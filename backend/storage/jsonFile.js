@@ -0,0 +1,32 @@
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomicWrite');
+
+// Small JSON documents kept next to the log data (alert rules, webhooks, ...)
+
+// Parsed contents of a JSON file, or the fallback when it does not exist yet
+const readJsonFile = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+// Atomic JSON writer that queues writes per file; overlapping writes of one file would share
+// the same temp file name, so each waits for the previous one to finish
+const createJsonWriter = () => {
+  const writes = new Map();
+
+  return (file, data) => {
+    const write = () => writeFileAtomic(file, JSON.stringify(data, null, 2));
+    const next = (writes.get(file) || Promise.resolve()).then(write, write);
+    writes.set(file, next);
+    return next;
+  };
+};
+
+module.exports = {
+  readJsonFile,
+  createJsonWriter
+};
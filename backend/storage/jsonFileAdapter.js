@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const { applyFilters, parseTimeBound } = require('../lib/filters');
+const { writeFileAtomic } = require('./atomicWrite');
+const { logger } = require('../lib/logger');
+
+// Single JSON file adapter: the original logs.json layout ({ logs: [...] }, newest first).
+// Every operation reads and rewrites the whole file, so it suits small deployments only.
+const createJsonFileAdapter = ({ file }) => {
+
+  // Read logs from JSON file
+  const readLogs = async () => {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      return JSON.parse(data).logs || [];
+    } catch (error) {
+      logger.error('Error reading logs:', error);
+      return [];
+    }
+  };
+
+  // Write logs to JSON file (temp file + rename, so a crash never leaves it half written)
+  const writeLogs = async (logs) => {
+    try {
+      await writeFileAtomic(file, JSON.stringify({ logs }, null, 2));
+    } catch (error) {
+      logger.error('Error writing logs:', error);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'json',
+
+    async init() {
+      try {
+        await fs.access(file);
+      } catch (error) {
+        // File doesn't exist, create it with empty logs array
+        await writeFileAtomic(file, JSON.stringify({ logs: [] }, null, 2));
+        logger.info('📁 Created new logs database file');
+      }
+    },
+
+    async append(entries) {
+      const logs = await readLogs();
+      // Add to beginning for reverse chronological order
+      logs.unshift(...[...entries].reverse());
+      await writeLogs(logs);
+      return entries;
+    },
+
+    async scan(filters = {}) {
+      return applyFilters(await readLogs(), filters);
+    },
+
+    async getById(id) {
+      const logs = await readLogs();
+      return logs.find(log => log.id === id) || null;
+    },
+
+    async deleteRange({ start, end, filter } = {}) {
+      const startTime = parseTimeBound(start);
+      const endTime = parseTimeBound(end);
+      const logs = await readLogs();
+      const kept = [];
+      const removed = [];
+
+      logs.forEach(log => {
+        const time = new Date(log.timestamp).getTime();
+        const inRange = (startTime === null || time >= startTime) && (endTime === null || time <= endTime);
+        if (inRange && (!filter || filter(log))) {
+          removed.push(log);
+        } else {
+          kept.push(log);
+        }
+      });
+
+      if (removed.length > 0) {
+        await writeLogs(kept);
+      }
+      return removed;
+    },
+
+    async count() {
+      return (await readLogs()).length;
+    },
+
+    async close() {}
+  };
+};
+
+module.exports = {
+  createJsonFileAdapter
+};
@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { applyFilters, parseTimeBound } = require('../lib/filters');
+const { writeFileAtomic } = require('./atomicWrite');
+const { logger } = require('../lib/logger');
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.ndjson$/;
+
+const segmentName = (seq) => `segment-${String(seq).padStart(6, '0')}.ndjson`;
+
+// Split a segment buffer into records with their byte offsets.
+// A trailing line without a newline is a torn write and is reported through validBytes.
+const parseSegment = (buffer, name) => {
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    const end = buffer.indexOf(0x0a, start);
+    if (end === -1) break;
+
+    if (end > start) {
+      try {
+        const entry = JSON.parse(buffer.toString('utf8', start, end));
+        records.push({ entry, offset: start, length: end - start });
+      } catch (error) {
+        logger.error(`Skipping corrupt line at byte ${start} of ${name}`);
+      }
+    }
+    start = end + 1;
+  }
+
+  return { records, validBytes: start };
+};
+
+// Append-only NDJSON segment adapter.
+// Writes must not overlap (offsets are assigned up front), so use it behind the write coordinator.
+// Entries are appended to the newest segment file; once it passes maxSegmentBytes a new one is started.
+// An in-memory index maps each id to its segment and byte range, and per-segment timestamp bounds
+// let scans skip segments outside the requested time range.
+const createSegmentAdapter = ({ dir, maxSegmentBytes = 4 * 1024 * 1024 }) => {
+  const segments = [];
+  const index = new Map();
+
+  const segmentPath = (segment) => path.join(dir, segment.name);
+
+  const trackRecord = (segment, record) => {
+    const time = new Date(record.entry.timestamp).getTime();
+    segment.count += 1;
+    segment.minTime = Math.min(segment.minTime, time);
+    segment.maxTime = Math.max(segment.maxTime, time);
+    index.set(record.entry.id, { segment, offset: record.offset, length: record.length });
+  };
+
+  const resetSegment = (segment) => {
+    segment.count = 0;
+    segment.minTime = Infinity;
+    segment.maxTime = -Infinity;
+  };
+
+  const newSegment = (seq) => {
+    const segment = { seq, name: segmentName(seq), bytes: 0 };
+    resetSegment(segment);
+    segments.push(segment);
+    return segment;
+  };
+
+  const overlaps = (segment, startTime, endTime) =>
+    segment.count > 0 &&
+    (startTime === null || segment.maxTime >= startTime) &&
+    (endTime === null || segment.minTime <= endTime);
+
+  const readRecords = async (segment) => {
+    const buffer = await fs.readFile(segmentPath(segment));
+    return parseSegment(buffer, segment.name).records;
+  };
+
+  // Replace a segment's contents with the given entries (temp file + rename) and reindex it
+  const rewriteSegment = async (segment, entries) => {
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n');
+    await writeFileAtomic(segmentPath(segment), lines.join(''));
+
+    resetSegment(segment);
+    let offset = 0;
+    entries.forEach((entry, i) => {
+      const length = Buffer.byteLength(lines[i]) - 1;
+      trackRecord(segment, { entry, offset, length });
+      offset += length + 1;
+    });
+    segment.bytes = offset;
+  };
+
+  return {
+    name: 'segments',
+
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+      const names = (await fs.readdir(dir))
+        .filter(name => SEGMENT_PATTERN.test(name))
+        .sort();
+
+      for (const name of names) {
+        const segment = newSegment(parseInt(name.match(SEGMENT_PATTERN)[1], 10));
+        const buffer = await fs.readFile(segmentPath(segment));
+        const { records, validBytes } = parseSegment(buffer, name);
+
+        // Drop a half-written trailing line left behind by a crash
+        if (validBytes < buffer.length) {
+          logger.warn(`⚠️ Truncating incomplete record at the end of ${name}`);
+          await fs.truncate(segmentPath(segment), validBytes);
+        }
+
+        segment.bytes = validBytes;
+        records.forEach(record => trackRecord(segment, record));
+      }
+    },
+
+    async append(entries) {
+      let segment = segments[segments.length - 1];
+      if (!segment || segment.bytes >= maxSegmentBytes) {
+        segment = newSegment(segment ? segment.seq + 1 : 1);
+      }
+
+      const records = [];
+      let offset = segment.bytes;
+      const data = entries.map(entry => {
+        const line = JSON.stringify(entry);
+        const length = Buffer.byteLength(line);
+        records.push({ entry, offset, length });
+        offset += length + 1;
+        return line + '\n';
+      }).join('');
+
+      await fs.appendFile(segmentPath(segment), data);
+      segment.bytes = offset;
+      records.forEach(record => trackRecord(segment, record));
+      return entries;
+    },
+
+    async scan(filters = {}) {
+      const startTime = parseTimeBound(filters.timestamp_start);
+      const endTime = parseTimeBound(filters.timestamp_end);
+      const logs = [];
+
+      for (const segment of segments) {
+        if (!overlaps(segment, startTime, endTime)) continue;
+        const records = await readRecords(segment);
+        records.forEach(record => logs.push(record.entry));
+      }
+
+      return applyFilters(logs, filters);
+    },
+
+    async getById(id) {
+      const location = index.get(id);
+      if (!location) return null;
+
+      const handle = await fs.open(segmentPath(location.segment), 'r');
+      try {
+        const buffer = Buffer.alloc(location.length);
+        await handle.read(buffer, 0, location.length, location.offset);
+        return JSON.parse(buffer.toString('utf8'));
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async deleteRange({ start, end, filter } = {}) {
+      const startTime = parseTimeBound(start);
+      const endTime = parseTimeBound(end);
+      const removed = [];
+
+      for (const segment of [...segments]) {
+        if (!overlaps(segment, startTime, endTime)) continue;
+
+        const kept = [];
+        const records = await readRecords(segment);
+        records.forEach(({ entry }) => {
+          const time = new Date(entry.timestamp).getTime();
+          const inRange = (startTime === null || time >= startTime) && (endTime === null || time <= endTime);
+          if (inRange && (!filter || filter(entry))) {
+            removed.push(entry);
+            index.delete(entry.id);
+          } else {
+            kept.push(entry);
+          }
+        });
+
+        if (kept.length === records.length) continue;
+
+        // Fully emptied segments are removed, except the active one which keeps taking appends
+        const isActive = segment === segments[segments.length - 1];
+        if (kept.length === 0 && !isActive) {
+          await fs.unlink(segmentPath(segment));
+          segments.splice(segments.indexOf(segment), 1);
+        } else {
+          await rewriteSegment(segment, kept);
+        }
+      }
+
+      return removed;
+    },
+
+    async count() {
+      return segments.reduce((total, segment) => total + segment.count, 0);
+    },
+
+    async close() {}
+  };
+};
+
+module.exports = {
+  createSegmentAdapter,
+  parseSegment
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { applyFilters, literalValues, parseTimeBound } = require('../lib/filters');
+
+// Schema fields with their own column; anything else on a record is kept in the extra JSON column
+const COLUMNS = ['id', 'level', 'message', 'resourceId', 'timestamp', 'traceId', 'spanId', 'commit', 'metadata', 'ingestedAt'];
+
+// Filters from GET /logs that map straight onto an indexed column
+const INDEXED_FILTERS = ['level', 'resourceId', 'traceId', 'spanId', 'commit'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS logs (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    level TEXT NOT NULL,
+    message TEXT NOT NULL,
+    resourceId TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    timestamp_ms INTEGER NOT NULL,
+    traceId TEXT NOT NULL,
+    spanId TEXT NOT NULL,
+    "commit" TEXT NOT NULL,
+    metadata TEXT NOT NULL CHECK (json_valid(metadata)),
+    ingestedAt TEXT,
+    extra TEXT CHECK (extra IS NULL OR json_valid(extra))
+  );
+  CREATE INDEX IF NOT EXISTS idx_logs_level ON logs (level, timestamp_ms);
+  CREATE INDEX IF NOT EXISTS idx_logs_resource ON logs (resourceId, timestamp_ms);
+  CREATE INDEX IF NOT EXISTS idx_logs_trace ON logs (traceId, timestamp_ms);
+  CREATE INDEX IF NOT EXISTS idx_logs_span ON logs (spanId, timestamp_ms);
+  CREATE INDEX IF NOT EXISTS idx_logs_commit ON logs ("commit", timestamp_ms);
+  CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs (timestamp_ms);
+`;
+
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage adapter needs the optional better-sqlite3 package. Install it with: npm install better-sqlite3');
+  }
+};
+
+const toRow = (entry) => {
+  const extra = {};
+  Object.keys(entry).forEach(key => {
+    if (!COLUMNS.includes(key)) extra[key] = entry[key];
+  });
+
+  return {
+    id: entry.id,
+    level: entry.level,
+    message: entry.message,
+    resourceId: entry.resourceId,
+    timestamp: entry.timestamp,
+    timestamp_ms: new Date(entry.timestamp).getTime(),
+    traceId: entry.traceId,
+    spanId: entry.spanId,
+    commit: entry.commit,
+    metadata: JSON.stringify(entry.metadata),
+    ingestedAt: entry.ingestedAt || null,
+    extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+  };
+};
+
+const fromRow = (row) => ({
+  id: row.id,
+  level: row.level,
+  message: row.message,
+  resourceId: row.resourceId,
+  timestamp: row.timestamp,
+  traceId: row.traceId,
+  spanId: row.spanId,
+  commit: row.commit,
+  metadata: JSON.parse(row.metadata),
+  ...(row.ingestedAt ? { ingestedAt: row.ingestedAt } : {}),
+  ...(row.extra ? JSON.parse(row.extra) : {})
+});
+
+// Translate the column filters and time range into a WHERE clause.
+// Only plain values and value lists are pushed down; patterns, negations and everything else
+// are left to applyFilters.
+const buildWhere = (filters) => {
+  const clauses = [];
+  const params = {};
+
+  INDEXED_FILTERS.forEach(field => {
+    const values = literalValues(filters[field]);
+    if (!values) return;
+    const names = values.map((value, index) => {
+      params[`${field}${index}`] = value;
+      return `@${field}${index}`;
+    });
+    clauses.push(names.length === 1 ? `"${field}" = ${names[0]}` : `"${field}" IN (${names.join(', ')})`);
+  });
+
+  const startTime = parseTimeBound(filters.timestamp_start);
+  if (startTime !== null) {
+    clauses.push('timestamp_ms >= @startTime');
+    params.startTime = startTime;
+  }
+
+  const endTime = parseTimeBound(filters.timestamp_end);
+  if (endTime !== null) {
+    clauses.push('timestamp_ms <= @endTime');
+    params.endTime = endTime;
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Embedded SQLite adapter.
+// Filter columns are indexed so GET /logs filters become index lookups, and metadata is stored
+// as JSON text that can be queried with json_extract().
+const createSqliteAdapter = ({ file }) => {
+  const Database = loadDriver();
+  let db;
+  let statements;
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+
+      statements = {
+        insert: db.prepare(`
+          INSERT INTO logs (id, level, message, resourceId, timestamp, timestamp_ms, traceId, spanId, "commit", metadata, ingestedAt, extra)
+          VALUES (@id, @level, @message, @resourceId, @timestamp, @timestamp_ms, @traceId, @spanId, @commit, @metadata, @ingestedAt, @extra)
+        `),
+        getById: db.prepare('SELECT * FROM logs WHERE id = ?'),
+        deleteById: db.prepare('DELETE FROM logs WHERE id = ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM logs')
+      };
+    },
+
+    async append(entries) {
+      const insertAll = db.transaction((rows) => rows.forEach(row => statements.insert.run(row)));
+      insertAll(entries.map(toRow));
+      return entries;
+    },
+
+    async scan(filters = {}) {
+      const { where, params } = buildWhere(filters);
+      const rows = db.prepare(`SELECT * FROM logs ${where} ORDER BY timestamp_ms DESC, seq DESC`).all(params);
+      // Remaining filters (message search, non-string values) run through the shared filter path
+      return applyFilters(rows.map(fromRow), filters);
+    },
+
+    async getById(id) {
+      const row = statements.getById.get(id);
+      return row ? fromRow(row) : null;
+    },
+
+    async deleteRange({ start, end, filter } = {}) {
+      const { where, params } = buildWhere({ timestamp_start: start, timestamp_end: end });
+      const removed = db.prepare(`SELECT * FROM logs ${where}`).all(params)
+        .map(fromRow)
+        .filter(entry => !filter || filter(entry));
+
+      const deleteAll = db.transaction((entries) => entries.forEach(entry => statements.deleteById.run(entry.id)));
+      deleteAll(removed);
+      return removed;
+    },
+
+    async count() {
+      return statements.count.get().total;
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createSqliteAdapter
+};
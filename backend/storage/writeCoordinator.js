@@ -0,0 +1,61 @@
+// Write coordinator for a storage adapter.
+// Writes run one at a time so concurrent requests can't interleave read-modify-write cycles.
+// Appends are group-committed: while a write is in flight, new appends collect in one group that
+// is flushed with a single adapter.append() call when its turn comes. deleteRange runs exclusively
+// between groups. Reads go straight to the adapter.
+const createWriteCoordinator = (adapter) => {
+  let tail = Promise.resolve();
+  let pendingGroup = null;
+
+  // Chain an operation after every write queued so far
+  const enqueue = (operation) => {
+    const result = tail.then(operation);
+    tail = result.catch(() => {});
+    return result;
+  };
+
+  // Resolves once every write queued so far has settled
+  const flush = () => enqueue(() => {});
+
+  return {
+    name: adapter.name,
+    init: () => adapter.init(),
+    scan: (filters) => adapter.scan(filters),
+    getById: (id) => adapter.getById(id),
+    count: () => adapter.count(),
+
+    append(entries) {
+      if (entries.length === 0) return Promise.resolve(entries);
+
+      if (!pendingGroup) {
+        const group = { entries: [] };
+        group.promise = enqueue(() => {
+          // Appends arriving from now on start the next group
+          if (pendingGroup === group) pendingGroup = null;
+          return adapter.append(group.entries);
+        });
+        pendingGroup = group;
+      }
+
+      pendingGroup.entries.push(...entries);
+      return pendingGroup.promise.then(() => entries);
+    },
+
+    deleteRange(range) {
+      // Appends issued after this call must not join a group that commits before it
+      pendingGroup = null;
+      return enqueue(() => adapter.deleteRange(range));
+    },
+
+    flush,
+
+    async close() {
+      await flush();
+      await adapter.close();
+    }
+  };
+};
+
+module.exports = {
+  createWriteCoordinator
+};
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { compileFilters } = require('./lib/filters');
+const { generateId } = require('./lib/ids');
+const { logger } = require('./lib/logger');
+const { createJsonWriter, readJsonFile } = require('./storage/jsonFile');
+
+// Outbound webhook notifications
+//
+// A webhook is sent for fired alerts or for ingested logs matching GET /logs-style filters:
+//   { name: 'Pager', url: 'https://pager.example/hook', event: 'alert', ruleIds: ['01H...'] }
+//   { name: 'Chat', url: 'https://chat.example/hook', event: 'log', filters: { level: 'error' },
+//     template: { text: 'Error on {{log.resourceId}}: {{log.message}}' } }
+// Without a template the payload is { event, webhook, alert | log, sentAt }. In a template, a
+// string that is exactly "{{path}}" is replaced by the value itself (objects and numbers keep their
+// type); placeholders inside longer strings are replaced by the value's text.
+//
+// With a secret, each request is signed: X-Evallo-Signature is "sha256=" followed by the hex
+// HMAC-SHA256 of "<X-Evallo-Timestamp>.<body>". Failed deliveries (network errors, 429 and 5xx)
+// are retried with exponential backoff; once the attempts are used up, or on any other status,
+// the delivery is moved to the dead-letter list. Each webhook has at most concurrency deliveries
+// in flight (retries included); the rest wait in a queue per webhook, so a burst of matching logs
+// or a slow receiver does not open a connection per log or hold up the other webhooks.
+
+const EVENTS = ['alert', 'log'];
+// Dead letters kept on disk, oldest dropped first
+const MAX_DEAD_LETTERS = 500;
+// Deliveries in flight per webhook
+const CONCURRENCY = 4;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validate a webhook as sent to POST/PUT /webhooks; returns the stored form of the webhook
+const parseWebhook = (input) => {
+  if (!isPlainObject(input)) {
+    return { valid: false, error: 'Webhook must be a JSON object' };
+  }
+  const { name, url, event = 'alert', filters = {}, ruleIds = null, template = null, secret, headers = {}, enabled = true } = input;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { valid: false, error: 'Webhook needs a name' };
+  }
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return { valid: false, error: 'url must be an absolute http or https URL' };
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return { valid: false, error: 'url must be an absolute http or https URL' };
+  }
+  if (!EVENTS.includes(event)) {
+    return { valid: false, error: `Invalid event. Must be one of: ${EVENTS.join(', ')}` };
+  }
+  if (!isPlainObject(filters)) {
+    return { valid: false, error: 'filters must be an object of GET /logs filter params' };
+  }
+  if (ruleIds !== null && !(Array.isArray(ruleIds) && ruleIds.every(id => typeof id === 'string'))) {
+    return { valid: false, error: 'ruleIds must be an array of alert rule IDs' };
+  }
+  if (template !== null && typeof template !== 'object') {
+    return { valid: false, error: 'template must be a JSON object or array' };
+  }
+  if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret === '')) {
+    return { valid: false, error: 'secret must be a non-empty string' };
+  }
+  if (!isPlainObject(headers) || !Object.values(headers).every(value => typeof value === 'string')) {
+    return { valid: false, error: 'headers must be an object of strings' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { valid: false, error: 'enabled must be true or false' };
+  }
+
+  try {
+    compileFilters(filters);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  return {
+    valid: true,
+    webhook: { name: name.trim(), url: parsedUrl.toString(), event, filters, ruleIds, template, secret, headers, enabled }
+  };
+};
+
+const resolvePath = (context, keyPath) => keyPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+
+// Fill the {{path}} placeholders of a template from the event context
+const renderTemplate = (template, context) => {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = resolvePath(context, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(PLACEHOLDER, (match, keyPath) => {
+      const value = resolvePath(context, keyPath);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (isPlainObject(template)) {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+};
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// One POST; resolves with the response status or rejects on network errors and timeouts
+const post = (url, body, headers, timeoutMs) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, { method: 'POST', headers, timeout: timeoutMs }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Only transient failures are worth another attempt
+const isRetryable = (status) => status === undefined || status === 429 || status >= 500;
+
+const createWebhookDispatcher = ({
+  dir,
+  timeoutMs = 5000,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  maxDeadLetters = MAX_DEAD_LETTERS,
+  concurrency = CONCURRENCY
+}) => {
+  const webhooksFile = path.join(dir, 'webhooks.json');
+  const deadLettersFile = path.join(dir, 'webhook-dead-letters.json');
+
+  let webhooks = [];
+  let deadLetters = [];
+  // Deliveries in flight or waiting for a retry, so callers can wait for them to settle
+  const pending = new Set();
+  // Per webhook ID: deliveries in flight and the ones waiting for a free slot, oldest first
+  const queues = new Map();
+  const persist = createJsonWriter();
+
+  // Webhook plus its compiled filters; the secret is never part of the API output
+  const compile = (webhook) => ({ ...webhook, matches: compileFilters(webhook.filters) });
+
+  const publicWebhook = ({ matches, secret, ...webhook }) => ({ ...webhook, hasSecret: Boolean(secret) });
+
+  const storedWebhook = ({ matches, ...webhook }) => webhook;
+
+  const saveWebhooks = () => persist(webhooksFile, webhooks.map(storedWebhook));
+
+  const init = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    webhooks = (await readJsonFile(webhooksFile, [])).map(compile);
+    deadLetters = await readJsonFile(deadLettersFile, []);
+  };
+
+  const find = (id) => webhooks.find(candidate => candidate.id === id);
+
+  const listWebhooks = () => webhooks.map(publicWebhook);
+
+  const getWebhook = (id) => {
+    const webhook = find(id);
+    return webhook ? publicWebhook(webhook) : null;
+  };
+
+  const createWebhook = async (definition) => {
+    const now = new Date().toISOString();
+    const webhook = compile({ id: generateId(), ...definition, createdAt: now, updatedAt: now });
+    webhooks.push(webhook);
+    await saveWebhooks();
+    return publicWebhook(webhook);
+  };
+
+  // Returns null when the webhook does not exist. Leaving out the secret keeps the current one,
+  // secret: null removes it.
+  const updateWebhook = async (id, definition) => {
+    const index = webhooks.findIndex(candidate => candidate.id === id);
+    if (index === -1) return null;
+    const secret = definition.secret === undefined ? webhooks[index].secret : definition.secret;
+    webhooks[index] = compile({
+      ...storedWebhook(webhooks[index]),
+      ...definition,
+      secret,
+      id,
+      updatedAt: new Date().toISOString()
+    });
+    await saveWebhooks();
+    return publicWebhook(webhooks[index]);
+  };
+
+  const deleteWebhook = async (id) => {
+    const index = webhooks.findIndex(candidate => candidate.id === id);
+    if (index === -1) return false;
+    webhooks.splice(index, 1);
+    await saveWebhooks();
+    return true;
+  };
+
+  const buildRequest = (webhook, event, data, deliveryId) => {
+    const context = {
+      event,
+      webhook: { id: webhook.id, name: webhook.name },
+      sentAt: new Date().toISOString(),
+      ...data
+    };
+    const body = JSON.stringify(webhook.template ? renderTemplate(webhook.template, context) : context);
+    return { deliveryId, event, body };
+  };
+
+  // A single attempt; returns { status } or { error } and never throws
+  const attempt = async (webhook, { deliveryId, event, body }) => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      ...webhook.headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'Evallo-Webhooks/1.0',
+      'X-Evallo-Event': event,
+      'X-Evallo-Delivery': deliveryId,
+      'X-Evallo-Timestamp': timestamp
+    };
+    if (webhook.secret) {
+      headers['X-Evallo-Signature'] = sign(webhook.secret, timestamp, body);
+    }
+
+    const startedAt = Date.now();
+    try {
+      const status = await post(webhook.url, body, headers, timeoutMs);
+      return { at: new Date(startedAt).toISOString(), status, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return { at: new Date(startedAt).toISOString(), error: error.message, durationMs: Date.now() - startedAt };
+    }
+  };
+
+  const wait = (ms) => new Promise(resolve => {
+    setTimeout(resolve, ms).unref();
+  });
+
+  const deadLetter = async (webhook, request, attempts) => {
+    const entry = {
+      id: request.deliveryId,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      url: webhook.url,
+      event: request.event,
+      payload: JSON.parse(request.body),
+      attempts,
+      failedAt: new Date().toISOString()
+    };
+    deadLetters = deadLetters.concat(entry).slice(-maxDeadLetters);
+    logger.error(`📮 Webhook delivery to ${webhook.name} failed after ${attempts.length} attempt(s)`);
+    try {
+      await persist(deadLettersFile, deadLetters);
+    } catch (error) {
+      logger.error('Error persisting webhook dead letters:', error);
+    }
+  };
+
+  // Attempt a delivery until it succeeds, fails permanently or runs out of attempts
+  const deliver = async (webhook, request) => {
+    const attempts = [];
+    for (let number = 1; number <= maxAttempts; number++) {
+      const result = await attempt(webhook, request);
+      attempts.push(result);
+      if (result.status >= 200 && result.status < 300) return;
+      if (!isRetryable(result.status) || number === maxAttempts) break;
+      await wait(Math.min(baseDelayMs * 2 ** (number - 1), maxDelayMs));
+    }
+    await deadLetter(webhook, request, attempts);
+  };
+
+  // Start waiting deliveries of a webhook while it has free slots. A finished delivery starts the
+  // next one before it leaves pending, so idle() keeps waiting until the queue is drained.
+  const drain = (queue, id) => {
+    while (queue.active < concurrency && queue.waiting.length > 0) {
+      const { webhook, request } = queue.waiting.shift();
+      queue.active += 1;
+      const delivery = deliver(webhook, request)
+        .catch(error => logger.error('Error delivering webhook:', error))
+        .finally(() => {
+          queue.active -= 1;
+          drain(queue, id);
+          if (queue.active === 0) queues.delete(id);
+          pending.delete(delivery);
+        });
+      pending.add(delivery);
+    }
+  };
+
+  const enqueue = (webhook, event, data) => {
+    const queue = queues.get(webhook.id) || { active: 0, waiting: [] };
+    queues.set(webhook.id, queue);
+    queue.waiting.push({ webhook, request: buildRequest(webhook, event, data, generateId()) });
+    drain(queue, webhook.id);
+  };
+
+  // Queue deliveries for a fired alert; returns immediately
+  const notifyAlert = (alert) => {
+    webhooks
+      .filter(webhook => webhook.enabled && webhook.event === 'alert')
+      .filter(webhook => !webhook.ruleIds || webhook.ruleIds.includes(alert.ruleId))
+      .forEach(webhook => enqueue(webhook, 'alert', { alert }));
+  };
+
+  // Queue one delivery per ingested log matching a webhook's filters; returns immediately
+  const notifyLogs = (logs) => {
+    webhooks
+      .filter(webhook => webhook.enabled && webhook.event === 'log')
+      .forEach(webhook => logs.filter(webhook.matches).forEach(log => enqueue(webhook, 'log', { log })));
+  };
+
+  // Send a sample event once, without retries, and report how the receiver answered.
+  // Returns null when the webhook does not exist.
+  const test = async (id) => {
+    const webhook = find(id);
+    if (!webhook) return null;
+    const sample = webhook.event === 'alert'
+      ? { alert: { id: 'test', ruleId: 'test', ruleName: 'Test alert', firedAt: new Date().toISOString(), message: 'Test alert from Evallo', count: 1, threshold: 0, window: '1m', resourceIds: ['test-resource'], logIds: [] } }
+      : { log: { id: 'test', level: 'info', message: 'Test log from Evallo', resourceId: 'test-resource', timestamp: new Date().toISOString(), traceId: 'test-trace', spanId: 'test-span', commit: 'test', metadata: {} } };
+    const request = buildRequest(webhook, webhook.event, { ...sample, test: true }, generateId());
+    const result = await attempt(webhook, request);
+    return { delivered: result.status >= 200 && result.status < 300, deliveryId: request.deliveryId, ...result };
+  };
+
+  // Failed deliveries, newest first
+  const listDeadLetters = ({ webhookId } = {}) => deadLetters
+    .filter(entry => !webhookId || entry.webhookId === webhookId)
+    .slice()
+    .reverse();
+
+  // Resolves once every queued delivery has finished
+  const idle = async () => {
+    while (pending.size > 0) {
+      await Promise.all([...pending]);
+    }
+  };
+
+  return {
+    init,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    notifyAlert,
+    notifyLogs,
+    test,
+    listDeadLetters,
+    idle
+  };
+};
+
+module.exports = {
+  parseWebhook,
+  renderTemplate,
+  sign,
+  createWebhookDispatcher
+};
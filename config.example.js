@@ -1,22 +1,104 @@
 // Evallo Configuration Example
 // Copy this file to config.js and modify as needed
+//
+// Settings left out keep the defaults in backend/config.js. Environment variables override this
+// file: PORT, NODE_ENV, LOG_LEVEL, CORS_ORIGIN, TRUST_PROXY, MAX_LOGS, AUTH_ENABLED, ADMIN_API_KEY,
+// STORAGE_ADAPTER, DATA_DIR, LOGS_DB_FILE and SQLITE_FILE. Everything is validated at startup.
+// Send the backend a SIGHUP to reload logLevel, maxLogs, retention rules, redactedMetadata, rate
+// limits, quotas and live feed settings without dropping connections; other changes need a restart.
 
 module.exports = {
   // Backend Configuration
-  port: process.env.PORT || 5000,
-  environment: process.env.NODE_ENV || 'development',
+  port: 5000,
+  environment: 'development', // development logs requests in a compact format
+  corsOrigin: 'http://localhost:3000',
+  // Proxies trusted to report the client IP in X-Forwarded-For (Express trust proxy setting). The
+  // default trusts loopback and private networks, which covers the nginx container in
+  // docker-compose.yml; without it every browser behind nginx would share one rate limit bucket.
+  // Use false when the backend is reachable directly from untrusted private networks.
+  trustProxy: 'loopback, uniquelocal',
   
   // Logging Configuration
-  logLevel: process.env.LOG_LEVEL || 'info',
-  maxLogs: parseInt(process.env.MAX_LOGS) || 1000,
+  // logLevel (error | warn | info | debug) filters all backend console output: messages at the level
+  // and more severe ones are printed. Requests, startup and alerts are info, socket connections debug
+  logLevel: 'info',
+  maxLogs: 1000,
+  
+  // Retention Configuration
+  // Rules are checked in order; for age limits the first rule matching a log decides its lifetime
+  retention: {
+    sweepIntervalMs: 60 * 1000,
+    rules: [
+      { level: 'error', maxAge: '30d' },
+      { level: 'debug', maxAge: '1d' },
+      { resourceId: '*', maxBytesPerResource: '50MB' }
+    ]
+  },
+  
+  // Archive Configuration
+  // Logs removed by retention are compressed into dated gzip segments instead of discarded
+  // and can be searched with GET /logs?include_archived=true
+  archive: {
+    enabled: true,
+    dir: './backend/data/archive'
+  },
+  
+  // Search Configuration
+  // Full-text index behind GET /logs?search=...; metadata strings are indexed alongside the message
+  search: {
+    indexMetadata: true
+  },
+  
+  // Live Feed Configuration
+  // Socket clients that reconnect get the logs they missed replayed, within these bounds;
+  // beyond them the client is told to reload its view instead
+  liveFeed: {
+    replayMaxLogs: 1000,
+    replayWindow: '15m'
+  },
+  
+  // Webhook Configuration
+  // Failed deliveries are retried after 1s, 2s, 4s, ... (capped at maxDelayMs) and then dead-lettered.
+  // Each webhook sends at most concurrency deliveries at a time; further matching logs are queued
+  webhooks: {
+    timeoutMs: 5000,
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    concurrency: 4
+  },
+  
+  // Storage Configuration
+  storage: {
+    adapter: 'segments', // segments | sqlite | json
+    dataDir: './backend/data',
+    jsonFile: './backend/logs.json', // migrated into segments/sqlite on first start
+    sqliteFile: './backend/data/logs.sqlite', // needs the optional better-sqlite3 package
+    maxSegmentBytes: 4 * 1024 * 1024
+  },
   
   // Security Configuration
-  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  // With auth enabled, POST /logs needs an API key with the ingest scope, the query routes and the
+  // live feed one with the query scope. Manage keys with POST/GET/DELETE /api-keys using adminKey.
+  // Keys with the support role see the metadata keys listed in redactedMetadata masked.
+  auth: {
+    enabled: false,
+    adminKey: null, // better set through ADMIN_API_KEY than kept in this file
+    redactedMetadata: ['userId', 'clientIP', 'email']
+  },
   
-  // API Configuration
-  apiVersion: 'v1',
+  // Rate Limit Configuration
+  // Token buckets per API key, or per IP for requests without one. Ingest and query routes have
+  // separate budgets; over-limit requests get 429 with Retry-After.
   rateLimit: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    enabled: true,
+    ingest: { capacity: 500, refillPerSecond: 100 }, // burst size, sustained requests per second
+    query: { capacity: 100, refillPerSecond: 20 }
+  },
+  // Daily log quota per resourceId (UTC days). Debug logs are shed first, once a resource has used
+  // debugShare of its quota; past the quota every log is refused until midnight UTC.
+  quotas: {
+    dailyLogsPerResource: 100000,
+    debugShare: 0.8
   }
 }; 
\ No newline at end of file
@@ -1,76 +1,105 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Search, Filter, AlertTriangle, Info, AlertCircle, Clock, Server, MessageSquare, GitCommit, Hash, Database, BarChart3 } from 'lucide-react';
+import { Search, Filter, AlertTriangle, Info, AlertCircle, Clock, Server, MessageSquare, GitCommit, Hash, Database, BarChart3, Share2, Bell, X } from 'lucide-react';
+import { apiFetch } from './api';
 import useWebSocket from './hooks/useWebSocket';
 import Analytics from './components/Analytics';
+import Highlight from './components/Highlight';
+import Topology from './components/Topology';
 import './App.css';
 
+// Number of logs requested per page from GET /logs
+const PAGE_SIZE = 100;
+
+// Live logs refresh the stats (and with them the histogram) at most this often; both are full scans
+const STATS_REFRESH_MS = 5000;
+
 function App() {
-  const [logs, setLogs] = useState([]);
   const [filteredLogs, setFilteredLogs] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalMatches, setTotalMatches] = useState(0);
+  const [activeParams, setActiveParams] = useState({});
+  const [queryError, setQueryError] = useState(null);
   const [stats, setStats] = useState(null);
+  const [statsStale, setStatsStale] = useState(false);
   const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showTopology, setShowTopology] = useState(false);
+  const [alerts, setAlerts] = useState([]);
   
   // Filter states - updated to match new API schema
   const [filters, setFilters] = useState({
-    message: '',
+    q: '',
+    search: '',
+    sort: '',
     level: '',
     resourceId: '',
     timestamp_start: '',
     timestamp_end: '',
     traceId: '',
     spanId: '',
-    commit: ''
+    commit: '',
+    include_archived: ''
   });
 
-  // Fetch logs from API
+  // Fetch totals for the current filters; counted by the server over every matching log
+  const fetchStats = useCallback(async (filterParams = {}) => {
+    setStatsStale(false);
+    try {
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const queryParams = new URLSearchParams({ ...filterParams, timezone });
+      const response = await apiFetch(`/logs/stats?${queryParams}`);
+      if (!response.ok) return;
+      setStats(await response.json());
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+    }
+  }, []);
+
+  // Fetch the first page of logs from API
   const fetchLogs = useCallback(async (filterParams = {}) => {
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams(filterParams);
-      const response = await fetch(`/logs?${queryParams}`);
+      const queryParams = new URLSearchParams({ ...filterParams, limit: PAGE_SIZE });
+      const response = await apiFetch(`/logs?${queryParams}`);
       const data = await response.json();
-      setLogs(data);
-      setFilteredLogs(data);
+      if (!response.ok) {
+        // Bad filters (e.g. a query syntax error) come back as 400 with a readable message
+        setQueryError(data.error);
+        setFilteredLogs([]);
+        setNextCursor(null);
+        setTotalMatches(0);
+        return;
+      }
+      setQueryError(null);
+      setFilteredLogs(data.items);
+      setNextCursor(data.nextCursor);
+      setTotalMatches(data.total);
+      setActiveParams(filterParams);
+      fetchStats(filterParams);
     } catch (error) {
       console.error('Error fetching logs:', error);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [fetchStats]);
 
-  // Calculate statistics from logs
-  const calculateStats = useCallback((logs) => {
-    if (!logs || logs.length === 0) return null;
-    
-    const stats = {
-      total: logs.length,
-      byLevel: {
-        error: logs.filter(log => log.level === 'error').length,
-        warn: logs.filter(log => log.level === 'warn').length,
-        info: logs.filter(log => log.level === 'info').length,
-        debug: logs.filter(log => log.level === 'debug').length
-      },
-      byResource: {},
-      byTrace: {},
-      recentActivity: logs.slice(0, 10).map(log => ({
-        id: log.id,
-        level: log.level,
-        message: log.message.substring(0, 100),
-        timestamp: log.timestamp,
-        resourceId: log.resourceId,
-        traceId: log.traceId
-      }))
-    };
-    
-    // Count by resource and trace
-    logs.forEach(log => {
-      stats.byResource[log.resourceId] = (stats.byResource[log.resourceId] || 0) + 1;
-      stats.byTrace[log.traceId] = (stats.byTrace[log.traceId] || 0) + 1;
-    });
-    
-    return stats;
-  }, []);
+  // Append the next page for the current filters
+  const loadMoreLogs = async () => {
+    if (!nextCursor) return;
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ ...activeParams, limit: PAGE_SIZE, cursor: nextCursor });
+      const response = await apiFetch(`/logs?${queryParams}`);
+      const data = await response.json();
+      setFilteredLogs(prevLogs => [...prevLogs, ...data.items]);
+      setNextCursor(data.nextCursor);
+      setTotalMatches(data.total);
+    } catch (error) {
+      console.error('Error loading more logs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   // Apply filters
   const applyFilters = useCallback(() => {
@@ -78,6 +107,8 @@ function App() {
     Object.entries(filters).forEach(([key, value]) => {
       if (value) filterParams[key] = value;
     });
+    // Relevance only applies to a full-text search
+    if (!filterParams.search) delete filterParams.sort;
     fetchLogs(filterParams);
   }, [filters, fetchLogs]);
 
@@ -89,33 +120,81 @@ function App() {
   // Clear all filters
   const clearFilters = () => {
     setFilters({
-      message: '',
+      q: '',
+      search: '',
+      sort: '',
       level: '',
       resourceId: '',
       timestamp_start: '',
       timestamp_end: '',
       traceId: '',
       spanId: '',
-      commit: ''
+      commit: '',
+      include_archived: ''
     });
     fetchLogs();
   };
 
-  // WebSocket real-time log handling
+  // WebSocket real-time log handling; the server only sends logs matching the active filters
   const handleNewLog = useCallback((data) => {
     if (data.type === 'logIngested') {
       // Add new log to the beginning of the list
-      setLogs(prevLogs => [data.log, ...prevLogs]);
       setFilteredLogs(prevLogs => [data.log, ...prevLogs]);
-      
-      // Update stats
-      const newStats = calculateStats([data.log, ...logs]);
-      setStats(newStats);
+      setTotalMatches(prevTotal => prevTotal + 1);
+    } else if (data.type === 'logsIngested') {
+      // Batch ingestion arrives as one event; newest entry goes first
+      const batch = [...data.logs].reverse();
+      setFilteredLogs(prevLogs => [...batch, ...prevLogs]);
+      setTotalMatches(prevTotal => prevTotal + batch.length);
+    } else if (data.type === 'logsReplayed') {
+      // Logs missed while disconnected; skip any the list already has
+      const known = new Set(filteredLogs.map(log => log.id));
+      const missed = data.logs.filter(log => !known.has(log.id)).reverse();
+      setFilteredLogs(prevLogs => [...missed, ...prevLogs]);
+      setTotalMatches(prevTotal => prevTotal + missed.length);
     }
-  }, [logs, calculateStats]);
+
+    // Stats catch up on the next scheduled refresh
+    setStatsStale(true);
+  }, [filteredLogs]);
+
+  // Refresh stale stats once per STATS_REFRESH_MS; further live logs do not restart the timer
+  useEffect(() => {
+    if (!statsStale) return undefined;
+    const timeoutId = setTimeout(() => {
+      fetchStats(activeParams);
+    }, STATS_REFRESH_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [statsStale, activeParams, fetchStats]);
+
+  // Alerts fired by the backend rules engine; only the latest few stay on screen
+  const handleAlert = useCallback((alert) => {
+    setAlerts(prevAlerts => [alert, ...prevAlerts].slice(0, 5));
+  }, []);
+
+  const dismissAlert = (id) => {
+    setAlerts(prevAlerts => prevAlerts.filter(alert => alert.id !== id));
+  };
 
   // Initialize WebSocket connection
-  const { connected: wsConnected } = useWebSocket(handleNewLog);
+  // The gap after a disconnect was too large to replay, so reload the current view
+  const handleResync = useCallback(() => {
+    fetchLogs(activeParams);
+  }, [activeParams, fetchLogs]);
+
+  // Only logs matching the active filters are pushed to this client
+  const { connected: wsConnected, setLastSeen } = useWebSocket({
+    onNewLog: handleNewLog,
+    onAlert: handleAlert,
+    onResync: handleResync,
+    subscription: activeParams
+  });
+
+  // Missed logs are replayed from the newest one in the list after a reconnect
+  useEffect(() => {
+    setLastSeen(filteredLogs);
+  }, [filteredLogs, setLastSeen]);
 
   // Generate sample logs for testing with new schema
   const generateSampleLogs = async () => {
@@ -239,16 +318,14 @@ function App() {
       }
     ];
 
-    for (const log of sampleLogs) {
-      try {
-        await fetch('/logs', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(log)
-        });
-      } catch (error) {
-        console.error('Error creating sample log:', error);
-      }
+    try {
+      await apiFetch('/logs/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sampleLogs)
+      });
+    } catch (error) {
+      console.error('Error creating sample logs:', error);
     }
 
     // Refresh logs and stats
@@ -260,12 +337,6 @@ function App() {
     fetchLogs();
   }, [fetchLogs]);
 
-  // Update stats when logs change
-  useEffect(() => {
-    const newStats = calculateStats(logs);
-    setStats(newStats);
-  }, [logs, calculateStats]);
-
   // Auto-apply filters when they change
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -280,6 +351,12 @@ function App() {
     return new Date(timestamp).toLocaleString();
   };
 
+  // Text of a matched field path such as "metadata.tags.0"
+  const getMatchedValue = (log, field) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), log);
+    return String(value);
+  };
+
   // Get level icon
   const getLevelIcon = (level) => {
     switch (level) {
@@ -322,6 +399,13 @@ function App() {
                   <BarChart3 size={16} />
                   {showAnalytics ? 'Hide Analytics' : 'Show Analytics'}
                 </button>
+                <button 
+                  className={`btn ${showTopology ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setShowTopology(!showTopology)}
+                >
+                  <Share2 size={16} />
+                  {showTopology ? 'Hide Topology' : 'Show Topology'}
+                </button>
                 <button className="btn btn-secondary" onClick={generateSampleLogs}>
                   Generate Sample Logs
                 </button>
@@ -333,6 +417,24 @@ function App() {
 
       <main className="main">
         <div className="container">
+          {/* Fired Alerts */}
+          {alerts.length > 0 && (
+            <div className="alert-list">
+              {alerts.map(alert => (
+                <div key={alert.id} className="alert-banner">
+                  <Bell size={16} />
+                  <span className="alert-message">{alert.message}</span>
+                  <span className="alert-meta">
+                    {alert.resourceIds.join(', ')} · {formatTimestamp(alert.firedAt)}
+                  </span>
+                  <button className="alert-dismiss" onClick={() => dismissAlert(alert.id)} title="Dismiss">
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Statistics Cards */}
           {stats && (
             <div className="stats-grid">
@@ -382,22 +484,52 @@ function App() {
               <h2>Filters</h2>
             </div>
             
+            <div className="filter-group filter-query">
+              <label htmlFor="q">Query</label>
+              <div className="input-with-icon">
+                <Search size={16} />
+                <input
+                  id="q"
+                  type="text"
+                  className="input"
+                  placeholder='(level:error OR level:warn) AND resourceId:db-* AND metadata.retryCount > 2'
+                  value={filters.q}
+                  onChange={(e) => handleFilterChange('q', e.target.value)}
+                />
+              </div>
+              {queryError && <div className="filter-error">{queryError}</div>}
+            </div>
+
             <div className="filter-grid">
               <div className="filter-group">
-                <label htmlFor="message">Search Message</label>
+                <label htmlFor="search">Search Message</label>
                 <div className="input-with-icon">
                   <Search size={16} />
                   <input
-                    id="message"
+                    id="search"
                     type="text"
                     className="input"
-                    placeholder="Search in log messages..."
-                    value={filters.message}
-                    onChange={(e) => handleFilterChange('message', e.target.value)}
+                    placeholder='Words, "exact phrases" or prefixes like conn*'
+                    value={filters.search}
+                    onChange={(e) => handleFilterChange('search', e.target.value)}
                   />
                 </div>
               </div>
 
+              <div className="filter-group">
+                <label htmlFor="sort">Sort</label>
+                <select
+                  id="sort"
+                  className="select"
+                  value={filters.sort}
+                  disabled={!filters.search}
+                  onChange={(e) => handleFilterChange('sort', e.target.value)}
+                >
+                  <option value="">Newest first</option>
+                  <option value="relevance">Most relevant</option>
+                </select>
+              </div>
+
               <div className="filter-group">
                 <label htmlFor="level">Log Level</label>
                 <select
@@ -422,7 +554,7 @@ function App() {
                     id="resourceId"
                     type="text"
                     className="input"
-                    placeholder="Filter by resource..."
+                    placeholder="Filter by resource, e.g. app-server-*..."
                     value={filters.resourceId}
                     onChange={(e) => handleFilterChange('resourceId', e.target.value)}
                   />
@@ -502,6 +634,19 @@ function App() {
                 </div>
               </div>
 
+              <div className="filter-group">
+                <label htmlFor="include_archived">Archive</label>
+                <select
+                  id="include_archived"
+                  className="select"
+                  value={filters.include_archived}
+                  onChange={(e) => handleFilterChange('include_archived', e.target.value)}
+                >
+                  <option value="">Live logs only</option>
+                  <option value="true">Include archived logs</option>
+                </select>
+              </div>
+
               <div className="filter-group">
                 <label>&nbsp;</label>
                 <button className="btn btn-secondary" onClick={clearFilters}>
@@ -514,7 +659,10 @@ function App() {
           {/* Logs Display */}
           <div className="logs-section">
             <div className="logs-header">
-              <h2>Logs ({filteredLogs.length})</h2>
+              <h2>
+                Logs ({filteredLogs.length}
+                {totalMatches > filteredLogs.length && ` of ${totalMatches}`})
+              </h2>
               {loading && <div className="loading">Loading...</div>}
             </div>
 
@@ -548,8 +696,21 @@ function App() {
                       </div>
                     </div>
                     <div className="log-message">
-                      {log.message}
+                      <Highlight text={log.message} ranges={log.match && log.match.highlights.message} />
                     </div>
+                    {log.match && (
+                      <div className="log-match">
+                        {Object.entries(log.match.highlights)
+                          .filter(([field]) => field !== 'message')
+                          .map(([field, ranges]) => (
+                            <div key={field}>
+                              Matched {field}:{' '}
+                              <Highlight text={getMatchedValue(log, field)} ranges={ranges} />
+                            </div>
+                          ))}
+                        <small>Relevance score: {log.match.score}</small>
+                      </div>
+                    )}
                     <div className="log-details">
                       <div className="log-identifiers">
                         <span className="log-id">
@@ -579,11 +740,24 @@ function App() {
                 ))}
               </div>
             )}
+
+            {nextCursor && (
+              <div className="load-more">
+                <button className="btn btn-secondary" onClick={loadMoreLogs} disabled={loading}>
+                  Load more logs
+                </button>
+              </div>
+            )}
           </div>
 
+          {/* Resource Topology */}
+          {showTopology && (
+            <Topology params={activeParams} />
+          )}
+
           {/* Analytics Dashboard */}
           {showAnalytics && (
-            <Analytics logs={filteredLogs} filters={filters} />
+            <Analytics stats={stats} filters={filters} params={activeParams} />
           )}
         </div>
       </main>
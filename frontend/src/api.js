@@ -0,0 +1,10 @@
+// API key for a backend started with auth.enabled, set as REACT_APP_API_KEY at build time
+const API_KEY = process.env.REACT_APP_API_KEY || null;
+
+// fetch() for backend routes, sending the API key when one is configured
+const apiFetch = (url, options = {}) => fetch(url, {
+  ...options,
+  headers: API_KEY ? { ...options.headers, 'X-API-Key': API_KEY } : options.headers
+});
+
+export { API_KEY, apiFetch };
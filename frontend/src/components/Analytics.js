@@ -1,30 +1,50 @@
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { AlertCircle, AlertTriangle, Info, Database } from 'lucide-react';
+import { apiFetch } from '../api';
 import './Analytics.css';
 
-const Analytics = ({ logs, filters }) => {
+// Bucket sizes offered by GET /logs/histogram
+const INTERVALS = [
+  { value: '1m', label: 'Per minute' },
+  { value: '5m', label: 'Per 5 minutes' },
+  { value: '1h', label: 'Per hour' },
+  { value: '1d', label: 'Per day' }
+];
+
+const Analytics = ({ stats, filters, params }) => {
+  const [bucketInterval, setBucketInterval] = useState('1h');
+  const [histogram, setHistogram] = useState(null);
+  const [histogramError, setHistogramError] = useState(null);
+
+  // Volume over time for the active filters, bucketed in the browser's time zone; refetched along
+  // with the stats, which App throttles while live logs stream in
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistogram = async () => {
+      try {
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const queryParams = new URLSearchParams({ ...params, interval: bucketInterval, timezone });
+        const response = await apiFetch(`/logs/histogram?${queryParams}`);
+        const data = await response.json();
+        if (cancelled) return;
+        setHistogram(response.ok ? data : null);
+        setHistogramError(response.ok ? null : data.error);
+      } catch (error) {
+        console.error('Error fetching histogram:', error);
+      }
+    };
+    fetchHistogram();
+    return () => {
+      cancelled = true;
+    };
+  }, [params, bucketInterval, stats]);
+
+  // Chart data from the server-side totals of GET /logs/stats
   const analyticsData = useMemo(() => {
-    if (!logs || logs.length === 0) return null;
-
-    // Count logs by level
-    const levelCounts = logs.reduce((acc, log) => {
-      acc[log.level] = (acc[log.level] || 0) + 1;
-      return acc;
-    }, {});
-
-    // Count logs by resource
-    const resourceCounts = logs.reduce((acc, log) => {
-      acc[log.resourceId] = (acc[log.resourceId] || 0) + 1;
-      return acc;
-    }, {});
-
-    // Count logs by hour (for time-based analysis)
-    const hourlyCounts = logs.reduce((acc, log) => {
-      const hour = new Date(log.timestamp).getHours();
-      acc[hour] = (acc[hour] || 0) + 1;
-      return acc;
-    }, {});
+    if (!stats || stats.total === 0) return null;
+
+    const levelCounts = Object.fromEntries(Object.entries(stats.byLevel).filter(([, count]) => count > 0));
 
     // Prepare data for charts
     const levelData = Object.entries(levelCounts).map(([level, count]) => ({
@@ -33,28 +53,18 @@ const Analytics = ({ logs, filters }) => {
       color: getLevelColor(level)
     }));
 
-    const resourceData = Object.entries(resourceCounts)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 10) // Top 10 resources
-      .map(([resource, count]) => ({
-        resource: resource.length > 20 ? resource.substring(0, 20) + '...' : resource,
-        count
-      }));
-
-    const hourlyData = Array.from({ length: 24 }, (_, hour) => ({
-      hour: `${hour}:00`,
-      count: hourlyCounts[hour] || 0
+    const resourceData = stats.top.resourceId.map(({ value: resource, count }) => ({
+      resource: resource.length > 20 ? resource.substring(0, 20) + '...' : resource,
+      count
     }));
 
     return {
       levelData,
       resourceData,
-      hourlyData,
-      totalLogs: logs.length,
-      levelCounts,
-      resourceCounts
+      totalLogs: stats.total,
+      levelCounts
     };
-  }, [logs]);
+  }, [stats]);
 
   const getLevelColor = (level) => {
     switch (level) {
@@ -87,7 +97,13 @@ const Analytics = ({ logs, filters }) => {
     );
   }
 
-  const { levelData, resourceData, hourlyData, totalLogs, levelCounts } = analyticsData;
+  const { levelData, resourceData, totalLogs, levelCounts } = analyticsData;
+
+  // Day buckets are labelled by date, smaller ones by local time
+  const volumeData = histogram ? histogram.buckets.map(bucket => ({
+    time: bucketInterval === '1d' ? bucket.local.slice(0, 10) : bucket.local.replace('T', ' '),
+    ...bucket.byLevel
+  })) : [];
 
   return (
     <div className="analytics-container">
@@ -132,19 +148,36 @@ const Analytics = ({ logs, filters }) => {
           </div>
         </div>
 
-        {/* Hourly Distribution Chart */}
+        {/* Volume Over Time Chart */}
         <div className="chart-card">
-          <h4>Log Activity by Hour</h4>
+          <div className="chart-card-header">
+            <h4>Log Volume Over Time</h4>
+            <select
+              className="select"
+              value={bucketInterval}
+              onChange={(e) => setBucketInterval(e.target.value)}
+            >
+              {INTERVALS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
           <div className="chart-container">
-            <ResponsiveContainer width="100%" height={200}>
-              <BarChart data={hourlyData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="hour" />
-                <YAxis />
-                <Tooltip />
-                <Bar dataKey="count" fill="#10b981" />
-              </BarChart>
-            </ResponsiveContainer>
+            {histogramError ? (
+              <p className="chart-error">{histogramError}</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={volumeData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="time" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  {['error', 'warn', 'info', 'debug'].map(level => (
+                    <Bar key={level} dataKey={level} stackId="volume" fill={getLevelColor(level)} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Render text with the [start, end] character ranges returned by the search API marked
+const Highlight = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="search-highlight">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
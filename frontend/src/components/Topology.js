@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { apiFetch } from '../api';
+import './Topology.css';
+
+// Time windows offered for GET /topology
+const WINDOWS = [
+  { value: '15m', label: 'Last 15 minutes' },
+  { value: '1h', label: 'Last hour' },
+  { value: '6h', label: 'Last 6 hours' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' }
+];
+
+const HEALTH_COLORS = {
+  healthy: '#10b981',
+  degraded: '#f59e0b',
+  failing: '#ef4444',
+  unknown: '#9ca3af'
+};
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 52;
+const COLUMN_GAP = 80;
+const ROW_GAP = 24;
+const PADDING = 20;
+
+// Layered layout: parents to the left of their children, one column per distance from a root
+const layoutGraph = (topology) => {
+  if (!topology) return null;
+
+  const children = new Map(topology.nodes.map(node => [node.id, []]));
+  const hasParent = new Set();
+  topology.edges.forEach(edge => {
+    children.get(edge.source).push(edge.target);
+    hasParent.add(edge.target);
+  });
+
+  const depth = new Map();
+  const visitFrom = (startIds) => {
+    const queue = [...startIds];
+    queue.forEach(id => depth.set(id, 0));
+    while (queue.length > 0) {
+      const id = queue.shift();
+      children.get(id).forEach(child => {
+        if (!depth.has(child)) {
+          depth.set(child, depth.get(id) + 1);
+          queue.push(child);
+        }
+      });
+    }
+  };
+  visitFrom(topology.nodes.filter(node => !hasParent.has(node.id)).map(node => node.id));
+  // Nodes only reachable through a cycle have no root; lay each such group out from its first node
+  topology.nodes.forEach(node => {
+    if (!depth.has(node.id)) visitFrom([node.id]);
+  });
+
+  const columns = [];
+  const positions = new Map();
+  topology.nodes.forEach(node => {
+    const column = depth.get(node.id);
+    if (!columns[column]) columns[column] = [];
+    const row = columns[column].push(node.id) - 1;
+    positions.set(node.id, {
+      x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+    });
+  });
+
+  const rows = Math.max(...columns.map(column => (column ? column.length : 0)));
+  return {
+    positions,
+    width: PADDING * 2 + columns.length * NODE_WIDTH + (columns.length - 1) * COLUMN_GAP,
+    height: PADDING * 2 + rows * NODE_HEIGHT + (rows - 1) * ROW_GAP
+  };
+};
+
+const Topology = ({ params }) => {
+  const [windowSize, setWindowSize] = useState('1h');
+  const [topology, setTopology] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchTopology = async () => {
+      try {
+        const queryParams = new URLSearchParams({ ...params, window: windowSize });
+        const response = await apiFetch(`/topology?${queryParams}`);
+        const data = await response.json();
+        if (cancelled) return;
+        setTopology(response.ok ? data : null);
+        setError(response.ok ? null : data.error);
+      } catch (fetchError) {
+        console.error('Error fetching topology:', fetchError);
+      }
+    };
+    fetchTopology();
+    return () => {
+      cancelled = true;
+    };
+  }, [params, windowSize]);
+
+  const layout = useMemo(() => layoutGraph(topology), [topology]);
+
+  return (
+    <div className="topology-container card">
+      <div className="topology-header">
+        <h3>Resource Topology</h3>
+        <div className="topology-controls">
+          <div className="topology-legend">
+            {Object.entries(HEALTH_COLORS).map(([health, color]) => (
+              <span key={health} className="legend-item">
+                <span className="legend-swatch" style={{ background: color }} />
+                {health}
+              </span>
+            ))}
+          </div>
+          <select className="select" value={windowSize} onChange={(e) => setWindowSize(e.target.value)}>
+            {WINDOWS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="topology-message error">{error}</p>}
+      {!error && topology && topology.nodes.length === 0 && (
+        <p className="topology-message">No resources logged in this window.</p>
+      )}
+
+      {!error && layout && topology.nodes.length > 0 && (
+        <div className="topology-graph">
+          <svg width={layout.width} height={layout.height}>
+            <defs>
+              <marker id="topology-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#94a3b8" />
+              </marker>
+            </defs>
+            {topology.edges.map(edge => {
+              const from = layout.positions.get(edge.source);
+              const to = layout.positions.get(edge.target);
+              return (
+                <line
+                  key={`${edge.source}->${edge.target}`}
+                  x1={from.x + NODE_WIDTH}
+                  y1={from.y + NODE_HEIGHT / 2}
+                  x2={to.x}
+                  y2={to.y + NODE_HEIGHT / 2}
+                  className={`topology-edge ${edge.errorCount > 0 ? 'has-errors' : ''}`}
+                  markerEnd="url(#topology-arrow)"
+                >
+                  <title>{`${edge.source} → ${edge.target}: ${edge.logCount} logs, ${edge.errorCount} errors`}</title>
+                </line>
+              );
+            })}
+            {topology.nodes.map(node => {
+              const { x, y } = layout.positions.get(node.id);
+              return (
+                <g key={node.id} transform={`translate(${x}, ${y})`} className="topology-node">
+                  <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" fill={HEALTH_COLORS[node.health]} />
+                  <text x={NODE_WIDTH / 2} y="21" className="node-name">{node.id}</text>
+                  <text x={NODE_WIDTH / 2} y="39" className="node-stats">
+                    {node.logCount} logs · {(node.errorRate * 100).toFixed(0)}% errors
+                  </text>
+                  <title>{`${node.id}: ${node.health}, ${node.errorCount} errors, ${node.warnCount} warnings`}</title>
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Topology;
@@ -1,17 +1,63 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import { API_KEY } from '../api';
 
-const useWebSocket = (onNewLog) => {
+const sendSubscription = (socket, subscription) => {
+  socket.emit('subscribe', subscription || null, (response) => {
+    if (!response.ok) {
+      console.error('🔌 Subscription rejected:', response.error);
+    }
+  });
+};
+
+// Log IDs are ULIDs that sort in ingestion order; legacy numeric IDs cannot be replayed from
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/i;
+
+const newestId = (logs, current) => logs
+  .map(log => log.id)
+  .filter(id => ULID_PATTERN.test(id))
+  .reduce((newest, id) => (!newest || id.toUpperCase() > newest ? id.toUpperCase() : newest), current);
+
+// onNewLog: 'newLog' events (logIngested, logsIngested and, after a reconnect, logsReplayed)
+// onAlert: alerts fired by the backend rules
+// onResync: the missed logs could not be replayed and the view should be reloaded
+// subscription: GET /logs filter params; the server only sends new logs matching them
+const useWebSocket = ({ onNewLog, onAlert, onResync, subscription }) => {
   const socketRef = useRef(null);
+  const subscriptionRef = useRef(subscription);
+  // Latest handlers, read by the socket listeners so new callbacks do not force a reconnect
+  const handlersRef = useRef({ onNewLog, onAlert, onResync });
+  handlersRef.current = { onNewLog, onAlert, onResync };
+  // Newest log ID this client has seen, sent on reconnect to replay what was missed
+  const lastSeenIdRef = useRef(null);
+  const hasConnectedRef = useRef(false);
 
   const connect = useCallback(() => {
     if (!socketRef.current) {
       socketRef.current = io('http://localhost:5000', {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: API_KEY ? { apiKey: API_KEY } : {}
       });
 
       socketRef.current.on('connect', () => {
         console.log('🔌 WebSocket connected');
+        // Subscriptions belong to the server-side socket, so they are sent again after every reconnect
+        sendSubscription(socketRef.current, subscriptionRef.current);
+
+        if (hasConnectedRef.current) {
+          const { onResync: handleResync } = handlersRef.current;
+          if (lastSeenIdRef.current) {
+            socketRef.current.emit('replay', { after: lastSeenIdRef.current }, (response) => {
+              if (response.ok) {
+                console.log(`🔌 Replayed ${response.replayed} missed logs`);
+              }
+            });
+          } else if (handleResync && typeof handleResync === 'function') {
+            // Nothing to replay from; reload to be sure nothing was missed
+            handleResync();
+          }
+        }
+        hasConnectedRef.current = true;
       });
 
       socketRef.current.on('disconnect', () => {
@@ -20,8 +66,26 @@ const useWebSocket = (onNewLog) => {
 
       socketRef.current.on('newLog', (data) => {
         console.log('📝 New log received via WebSocket:', data);
-        if (onNewLog && typeof onNewLog === 'function') {
-          onNewLog(data);
+        lastSeenIdRef.current = newestId(data.log ? [data.log] : data.logs, lastSeenIdRef.current);
+        const { onNewLog: handleNewLog } = handlersRef.current;
+        if (handleNewLog && typeof handleNewLog === 'function') {
+          handleNewLog(data);
+        }
+      });
+
+      socketRef.current.on('resyncRequired', ({ reason }) => {
+        console.warn('🔌 Resync required:', reason);
+        const { onResync: handleResync } = handlersRef.current;
+        if (handleResync && typeof handleResync === 'function') {
+          handleResync();
+        }
+      });
+
+      socketRef.current.on('alert', (alert) => {
+        console.log('🚨 Alert received via WebSocket:', alert);
+        const { onAlert: handleAlert } = handlersRef.current;
+        if (handleAlert && typeof handleAlert === 'function') {
+          handleAlert(alert);
         }
       });
 
@@ -29,7 +93,20 @@ const useWebSocket = (onNewLog) => {
         console.error('🔌 WebSocket connection error:', error);
       });
     }
-  }, [onNewLog]);
+  }, []);
+
+  // Change the subscription without reconnecting
+  useEffect(() => {
+    subscriptionRef.current = subscription;
+    if (socketRef.current && socketRef.current.connected) {
+      sendSubscription(socketRef.current, subscription);
+    }
+  }, [subscription]);
+
+  // Start replays from the newest of these logs, e.g. after the list was reloaded
+  const setLastSeen = useCallback((logs) => {
+    lastSeenIdRef.current = newestId(logs, null);
+  }, []);
 
   const disconnect = useCallback(() => {
     if (socketRef.current) {
@@ -57,8 +134,9 @@ const useWebSocket = (onNewLog) => {
     connected: socketRef.current?.connected || false,
     emit,
     connect,
-    disconnect
+    disconnect,
+    setLastSeen
   };
 };
 
-export default useWebSocket; 
\ No newline at end of file
+export default useWebSocket;